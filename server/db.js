@@ -0,0 +1,74 @@
+/**
+ * File Database
+ * JSON-file persistence for the local REST server.
+ * Each collection is an array of records with a string `id`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const createFileDatabase = async (filePath) => {
+  let data = {};
+
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read database ${filePath}: ${error.message}`);
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+  }
+
+  // Serialise writes so concurrent requests never interleave partial files
+  let writeQueue = Promise.resolve();
+
+  const persist = () => {
+    writeQueue = writeQueue.then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.rename(tmpPath, filePath);
+    });
+    return writeQueue;
+  };
+
+  const collection = (name) => {
+    const records = () => {
+      if (!data[name]) data[name] = [];
+      return data[name];
+    };
+
+    return {
+      all: () => records(),
+
+      find: (id) => records().find(record => record.id === id) || null,
+
+      insertMany: async (newRecords) => {
+        records().push(...newRecords);
+        await persist();
+        return newRecords;
+      },
+
+      update: async (id, changes) => {
+        const list = records();
+        const index = list.findIndex(record => record.id === id);
+        if (index === -1) return null;
+
+        list[index] = { ...list[index], ...changes, id };
+        await persist();
+        return list[index];
+      },
+
+      remove: async (id) => {
+        const list = records();
+        const index = list.findIndex(record => record.id === id);
+        if (index === -1) return false;
+
+        list.splice(index, 1);
+        await persist();
+        return true;
+      }
+    };
+  };
+
+  return { collection };
+};
@@ -0,0 +1,163 @@
+/**
+ * Site Register Server
+ * Small REST API that lets an enforcement team share one case register.
+ *
+ * Run with `npm run server`, then start the app with
+ * VITE_SITE_STORE_URL=/api (the Vite dev server proxies /api here).
+ */
+
+import express from 'express';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createFileDatabase } from './db.js';
+import { applySiteFilters, computeStatistics, matchesFields } from '../src/services/siteQueries.js';
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 3001;
+const DB_PATH = process.env.SITE_DB_PATH || path.join(serverDir, 'data', 'db.json');
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+
+const db = await createFileDatabase(DB_PATH);
+const sites = db.collection('sites');
+const watchAreas = db.collection('watchAreas');
+
+const app = express();
+// Site records carry before/after evidence images as data URLs
+app.use(express.json({ limit: '50mb' }));
+
+app.use((req, res, next) => {
+  res.set('Access-Control-Allow-Origin', CORS_ORIGIN);
+  res.set('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, X-Expect-Fields');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+});
+
+const api = express.Router();
+
+api.get('/sites', (req, res) => {
+  res.json(applySiteFilters(sites.all(), req.query));
+});
+
+api.get('/sites/:id', (req, res) => {
+  const site = sites.find(req.params.id);
+  if (!site) return res.status(404).json({ error: `Site ${req.params.id} not found` });
+  res.json(site);
+});
+
+api.post('/sites', async (req, res, next) => {
+  try {
+    const payload = Array.isArray(req.body) ? req.body : [req.body];
+    if (payload.some(site => !site || typeof site !== 'object' || !site.coordinates)) {
+      return res.status(400).json({ error: 'Each site must be an object with coordinates' });
+    }
+
+    // Ids are case references: a clash with a stored or another new site is refused
+    const created = payload.map(site => ({ ...site, id: site.id || crypto.randomUUID() }));
+    const ids = created.map(site => site.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i || sites.find(id));
+    if (duplicate) {
+      return res.status(409).json({ error: `Site id ${duplicate} already exists` });
+    }
+    res.status(201).json(await sites.insertMany(created));
+  } catch (error) {
+    next(error);
+  }
+});
+
+api.patch('/sites/:id', async (req, res, next) => {
+  try {
+    const updated = await sites.update(req.params.id, req.body || {});
+    if (!updated) return res.status(404).json({ error: `Site ${req.params.id} not found` });
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+});
+
+api.delete('/sites/:id', async (req, res, next) => {
+  try {
+    res.json({ deleted: await sites.remove(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+api.get('/statistics', (req, res) => {
+  res.json(computeStatistics(sites.all()));
+});
+
+api.get('/watch-areas', (req, res) => {
+  res.json(watchAreas.all());
+});
+
+api.get('/watch-areas/:id', (req, res) => {
+  const area = watchAreas.find(req.params.id);
+  if (!area) return res.status(404).json({ error: `Watch area ${req.params.id} not found` });
+  res.json(area);
+});
+
+api.post('/watch-areas', async (req, res, next) => {
+  try {
+    const payload = Array.isArray(req.body) ? req.body : [req.body];
+    if (payload.some(area => !area || typeof area !== 'object' || !area.aoi)) {
+      return res.status(400).json({ error: 'A watch area must be an object with an aoi' });
+    }
+
+    const created = await watchAreas.insertMany(payload.map(area => ({ ...area, id: area.id || crypto.randomUUID() })));
+    res.status(201).json(Array.isArray(req.body) ? created : created[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Field values a conditional update expects (X-Expect-Fields: JSON object)
+ */
+const expectedFields = (req) => {
+  const header = req.get('X-Expect-Fields');
+  return header ? JSON.parse(header) : null;
+};
+
+api.patch('/watch-areas/:id', async (req, res, next) => {
+  try {
+    // Checked and applied without yielding, so of racing clients exactly one wins
+    let expect;
+    try {
+      expect = expectedFields(req);
+    } catch {
+      return res.status(400).json({ error: 'X-Expect-Fields must be a JSON object' });
+    }
+    const current = watchAreas.find(req.params.id);
+    if (current && expect && !matchesFields(current, expect)) {
+      return res.status(409).json({ error: `Watch area ${req.params.id} was changed by another client` });
+    }
+
+    const updated = await watchAreas.update(req.params.id, req.body || {});
+    if (!updated) return res.status(404).json({ error: `Watch area ${req.params.id} not found` });
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+});
+
+api.delete('/watch-areas/:id', async (req, res, next) => {
+  try {
+    res.json({ deleted: await watchAreas.remove(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use('/api', api);
+
+// Express recognises error handlers by their four parameters
+app.use((error, req, res, _next) => {
+  console.error('❌ Site register error:', error);
+  res.status(500).json({ error: error.message });
+});
+
+app.listen(PORT, () => {
+  console.log(`🗄️ Site register listening on http://localhost:${PORT}/api (database: ${DB_PATH})`);
+});
@@ -3,14 +3,17 @@ import React from "react";
 import { Routes, Route, Navigate } from "react-router-dom";
 import CustomNavbar from "./components/CustomNavbar";
 import Chatbot from "./components/Chatbot";
+import WatchAlerts from "./components/WatchAlerts";
 import Home from "./pages/Home";
 import Dashboard from "./pages/Dashboard";
 import SiteCheck from "./pages/SiteCheck";
+import BatchCheck from "./pages/BatchCheck";
 import Reports from "./pages/Reports";
 import Login from "./pages/Login";
 import SignUp from "./pages/SignUp";
 import History from "./pages/History";
 import AddOn from "./pages/AddOn";
+import Models from "./pages/Models";
 import PrivateRoute from "./components/PrivateRoute";
 import { useAuth } from "./contexts/AuthContext";
 
@@ -81,6 +84,14 @@ export default function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/batch-check"
+            element={
+              <PrivateRoute>
+                <BatchCheck />
+              </PrivateRoute>
+            }
+          />
           <Route
             path="/reports"
             element={
@@ -89,11 +100,20 @@ export default function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/models"
+            element={
+              <PrivateRoute>
+                <Models />
+              </PrivateRoute>
+            }
+          />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </main>
 
       {!isAuthPage && currentUser && <Chatbot />}
+      {currentUser && <WatchAlerts />}
     </>
   );
 }
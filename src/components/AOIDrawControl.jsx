@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from "react";
+import { useMap, useMapEvents, Polyline, Polygon, Rectangle, CircleMarker } from "react-leaflet";
+
+const DRAW_STYLE = { color: "#fd7e14", fillColor: "#fd7e14", fillOpacity: 0.1, weight: 2, dashArray: "6 4" };
+
+/**
+ * Click-to-draw polygon or rectangle on the map.
+ * Polygon: click to add vertices, click the first vertex or double-click to
+ * finish. Rectangle: click two opposite corners. Escape cancels.
+ * `onComplete` receives the ring as [lat, lng] pairs (not closed).
+ */
+export default function AOIDrawControl({ mode, onComplete, onCancel }) {
+  const map = useMap();
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  // Double-click finishes a polygon instead of zooming while drawing
+  useEffect(() => {
+    if (!mode) return undefined;
+    map.doubleClickZoom.disable();
+    map.getContainer().style.cursor = "crosshair";
+    return () => {
+      map.doubleClickZoom.enable();
+      map.getContainer().style.cursor = "";
+      setPoints([]);
+      setCursor(null);
+    };
+  }, [map, mode]);
+
+  const finish = (ring) => {
+    setPoints([]);
+    setCursor(null);
+    onComplete(ring);
+  };
+
+  useMapEvents({
+    click: (e) => {
+      if (!mode) return;
+      const point = [e.latlng.lat, e.latlng.lng];
+
+      if (mode === "rectangle") {
+        if (points.length === 0) {
+          setPoints([point]);
+          return;
+        }
+        const [[lat1, lng1]] = points;
+        const [lat2, lng2] = point;
+        finish([[lat1, lng1], [lat1, lng2], [lat2, lng2], [lat2, lng1]]);
+        return;
+      }
+
+      setPoints(current => [...current, point]);
+    },
+    dblclick: () => {
+      // The double-click's own clicks added the last vertex twice
+      if (mode !== "polygon") return;
+      const ring = points.filter((point, i) => i === 0 || point[0] !== points[i - 1][0] || point[1] !== points[i - 1][1]);
+      if (ring.length >= 3) finish(ring);
+    },
+    mousemove: (e) => {
+      if (mode && points.length > 0) setCursor([e.latlng.lat, e.latlng.lng]);
+    },
+    keydown: (e) => {
+      if (mode && e.originalEvent.key === "Escape") {
+        setPoints([]);
+        setCursor(null);
+        onCancel();
+      }
+    }
+  });
+
+  if (!mode || points.length === 0) return null;
+
+  if (mode === "rectangle") {
+    return cursor ? <Rectangle bounds={[points[0], cursor]} pathOptions={DRAW_STYLE} interactive={false} /> : null;
+  }
+
+  return (
+    <>
+      {points.length >= 2 && (
+        <Polygon positions={points} pathOptions={{ ...DRAW_STYLE, weight: 0 }} interactive={false} />
+      )}
+      <Polyline positions={cursor ? [...points, cursor] : points} pathOptions={DRAW_STYLE} interactive={false} />
+      {points.map((point, i) => (
+        <CircleMarker
+          key={i}
+          center={point}
+          radius={i === 0 ? 6 : 4}
+          pathOptions={{ color: "#fd7e14", fillColor: "#fff", fillOpacity: 1, weight: 2 }}
+          bubblingMouseEvents={false}
+          eventHandlers={i === 0 ? {
+            click: () => {
+              if (points.length >= 3) finish(points);
+            }
+          } : {}}
+        />
+      ))}
+    </>
+  );
+}
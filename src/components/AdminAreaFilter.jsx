@@ -0,0 +1,64 @@
+import React from "react";
+import { Form, Row, Col } from "react-bootstrap";
+
+/**
+ * Cascading GHMC zone -> circle -> ward filter.
+ * `areas` is the hierarchy from the register statistics (adminAreas);
+ * `onChange` receives the filter keys to update.
+ */
+export default function AdminAreaFilter({ areas = [], filters, onChange, showLabels = false }) {
+  const zones = areas.filter(zone => zone.name);
+  const circles = areas
+    .filter(zone => !filters.zone || zone.name === filters.zone)
+    .flatMap(zone => zone.circles);
+  const wards = circles
+    .filter(circle => !filters.circle || circle.name === filters.circle)
+    .flatMap(circle => circle.wards);
+
+  return (
+    <Row className="g-2">
+      <Col md={4}>
+        <Form.Group>
+          {showLabels && <Form.Label>Zone</Form.Label>}
+          <Form.Select
+            value={filters.zone}
+            onChange={(e) => onChange({ zone: e.target.value, circle: "", ward: "" })}
+          >
+            <option value="">All Zones</option>
+            {zones.map(zone => (
+              <option key={zone.name} value={zone.name}>{zone.name}</option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+      <Col md={4}>
+        <Form.Group>
+          {showLabels && <Form.Label>Circle</Form.Label>}
+          <Form.Select
+            value={filters.circle}
+            onChange={(e) => onChange({ circle: e.target.value, ward: "" })}
+          >
+            <option value="">All Circles</option>
+            {circles.map(circle => (
+              <option key={circle.name} value={circle.name}>{circle.name}</option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+      <Col md={4}>
+        <Form.Group>
+          {showLabels && <Form.Label>Ward</Form.Label>}
+          <Form.Select
+            value={filters.ward}
+            onChange={(e) => onChange({ ward: e.target.value })}
+          >
+            <option value="">All Wards</option>
+            {wards.map(ward => (
+              <option key={ward} value={ward}>{ward}</option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+    </Row>
+  );
+}
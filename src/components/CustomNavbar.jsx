@@ -71,6 +71,14 @@ export default function CustomNavbar() {
               >
                 Site Check
               </Nav.Link>
+              <Nav.Link
+                as={Link}
+                to="/batch-check"
+                onClick={() => setExpanded(false)}
+                active={location.pathname === "/batch-check"}
+              >
+                Batch Check
+              </Nav.Link>
               <Nav.Link
                 as={Link}
                 to="/dashboard"
@@ -95,6 +103,14 @@ export default function CustomNavbar() {
               >
                 Add-On
               </Nav.Link>
+              <Nav.Link
+                as={Link}
+                to="/models"
+                onClick={() => setExpanded(false)}
+                active={location.pathname === "/models"}
+              >
+                Models
+              </Nav.Link>
             </Nav>
           )}
 
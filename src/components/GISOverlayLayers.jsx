@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from "react";
+import { LayersControl, GeoJSON, LayerGroup, Pane } from "react-leaflet";
+import L from "leaflet";
+import { loadGISLayers, getRuleZones, getFeatureName } from "../services/gisService";
+import { loadRuleSet } from "../services/ruleEngine";
+import { loadLayers } from "../services/layerCatalog";
+
+// Overlays in control order; `fields` are the properties shown in popups
+const OVERLAYS = [
+  {
+    id: "waterbodies",
+    name: "💧 Waterbodies",
+    checked: true,
+    style: { color: "#1565c0", fillColor: "#42a5f5", fillOpacity: 0.35, weight: 1.5 },
+    fields: ["name", "natural", "landuse"]
+  },
+  {
+    id: "waterways",
+    name: "🌊 Waterways",
+    checked: true,
+    style: { color: "#0277bd", weight: 2.5 },
+    fields: ["name", "type"]
+  },
+  {
+    id: "greenCover",
+    name: "🌳 Parks",
+    style: { color: "#2e7d32", fillColor: "#66bb6a", fillOpacity: 0.35, weight: 1.5 },
+    fields: ["Park_Name", "Ward_Name", "Area", "Jurisdictn"]
+  },
+  {
+    id: "vulnerableLocalities",
+    name: "⚠️ Vulnerable Localities",
+    style: { color: "#e65100", fillColor: "#ff9800", fillOpacity: 0.8, weight: 1, radius: 6 },
+    fields: ["Name of Vulnerable locality", "Name of the Mandal", "No. of families estimated to be effected", "Rehabilitation centre identified"]
+  },
+  {
+    id: "channels",
+    name: "〰️ Drainage Channels",
+    style: { color: "#00838f", weight: 1.5 },
+    fields: ["SEGMENT_ID", "ORDER"]
+  },
+  {
+    id: "railways",
+    name: "🚆 Railways",
+    style: { color: "#424242", weight: 2, dashArray: "6 4" },
+    fields: ["name", "type"]
+  },
+  {
+    id: "wards",
+    name: "🏛️ Ward Boundaries",
+    style: { color: "#6a1b9a", fill: false, weight: 1 },
+    fields: ["Ward Name", "CIRCLE", "ZONE"]
+  }
+];
+
+// Drawn below the default overlay pane so detection footprints stay clickable
+const OVERLAY_PANE = "gis-overlays";
+
+const BUFFER_STYLE = { color: "#d32f2f", fillColor: "#ef5350", fillOpacity: 0.15, weight: 1, dashArray: "4 4" };
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+/**
+ * Popup HTML listing the chosen (non-empty) properties of a feature
+ */
+const buildPopup = (title, properties, fields) => {
+  const rows = fields
+    .filter(field => properties[field] != null && properties[field] !== "")
+    .map(field => `<tr><td class="pe-2 text-muted">${escapeHtml(field)}</td><td>${escapeHtml(properties[field])}</td></tr>`)
+    .join("");
+  return `<strong>${escapeHtml(title)}</strong>${rows ? `<table class="small mt-1">${rows}</table>` : ""}`;
+};
+
+/**
+ * Layer control with the protected-zone and reference GIS layers.
+ * Must be rendered inside a MapContainer.
+ */
+export default function GISOverlayLayers({ position = "topright" }) {
+  const [layers, setLayers] = useState({});
+  const [buffers, setBuffers] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([loadGISLayers(), loadRuleSet(), loadLayers(["railways"])])
+      .then(([gisLayers, ruleSet, referenceLayers]) => {
+        if (cancelled) return;
+        setLayers({ ...gisLayers, ...referenceLayers });
+        // Show the zone each distance rule actually tests (e.g. the 50m waterway buffer)
+        setBuffers(ruleSet.rules
+          .filter(rule => rule.predicate === "within" && gisLayers[rule.layer])
+          .map(rule => ({ rule, data: getRuleZones(gisLayers, rule) })));
+      })
+      .catch(error => console.error("❌ Failed to load GIS overlays:", error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <Pane name={OVERLAY_PANE} style={{ zIndex: 350 }}>
+      <LayersControl position={position} collapsed>
+        {OVERLAYS.map(overlay => (
+          <LayersControl.Overlay key={overlay.id} name={overlay.name} checked={overlay.checked}>
+            <LayerGroup>
+              {layers[overlay.id] && (
+                <GeoJSON
+                  data={layers[overlay.id]}
+                  style={() => overlay.style}
+                  pointToLayer={(feature, latlng) => L.circleMarker(latlng, { ...overlay.style, pane: OVERLAY_PANE })}
+                  onEachFeature={(feature, layer) => {
+                    layer.bindPopup(buildPopup(overlay.name, feature.properties || {}, overlay.fields));
+                  }}
+                />
+              )}
+            </LayerGroup>
+          </LayersControl.Overlay>
+        ))}
+        {buffers.map(({ rule, data }) => (
+          <LayersControl.Overlay key={`buffer-${rule.id}`} name={`🔴 ${rule.type} zone (${rule.distance}m)`}>
+            <GeoJSON
+              data={data}
+              style={() => BUFFER_STYLE}
+              onEachFeature={(feature, layer) => {
+                layer.bindPopup(buildPopup(`${rule.type} (${rule.distance}m)`, {
+                  Feature: getFeatureName(feature, rule.featureName),
+                  Severity: rule.severity,
+                  Reference: rule.reference
+                }, ["Feature", "Severity", "Reference"]));
+              }}
+            />
+          </LayersControl.Overlay>
+        ))}
+      </LayersControl>
+    </Pane>
+  );
+}
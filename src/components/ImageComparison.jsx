@@ -0,0 +1,210 @@
+import React, { useState, useRef, useEffect, useId } from "react";
+import { ButtonGroup, Button, Form, Spinner } from "react-bootstrap";
+import { latLngToPixel } from "../services/geoTransform";
+
+const DEFAULT_ASPECT_RATIO = 4 / 3;
+
+/**
+ * Outer rings of a footprint as SVG point lists in image pixels
+ */
+const footprintToPoints = (footprint, geoTransform) => {
+  const geometry = footprint.geometry || footprint;
+  const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+  return polygons.map(rings => rings[0]
+    .map(([lng, lat]) => {
+      const { x, y } = latLngToPixel(geoTransform, lat, lng);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" "));
+};
+
+/**
+ * Before/after imagery comparison with a draggable swipe divider, an
+ * opacity blend and an optional change-mask / footprint overlay.
+ *
+ * `footprints` is a list of { id, footprint, color }; drawing them needs the
+ * imagery's geoTransform. Both images must share that geotransform.
+ */
+export default function ImageComparison({
+  beforeImage,
+  afterImage,
+  beforeLabel = "Before",
+  afterLabel = "After",
+  changeMaskImage = null,
+  footprints = [],
+  geoTransform = null
+}) {
+  const [mode, setMode] = useState("swipe");
+  const [position, setPosition] = useState(50);
+  const [opacity, setOpacity] = useState(50);
+  const [showOverlay, setShowOverlay] = useState(false);
+  const [loaded, setLoaded] = useState({ before: false, after: false });
+  const stageRef = useRef(null);
+  const dragging = useRef(false);
+  const overlaySwitchId = useId();
+
+  useEffect(() => {
+    setLoaded({ before: false, after: false });
+  }, [beforeImage, afterImage]);
+
+  const markLoaded = (key) => () => setLoaded(prev => ({ ...prev, [key]: true }));
+
+  const pending = (beforeImage && !loaded.before) || (afterImage && !loaded.after);
+  const drawableFootprints = geoTransform ? footprints.filter(item => item.footprint) : [];
+  const hasOverlay = Boolean(changeMaskImage) || drawableFootprints.length > 0;
+  const aspectRatio = geoTransform ? geoTransform.width / geoTransform.height : DEFAULT_ASPECT_RATIO;
+
+  const moveDivider = (clientX) => {
+    const rect = stageRef.current.getBoundingClientRect();
+    const percent = (clientX - rect.left) / rect.width * 100;
+    setPosition(Math.min(100, Math.max(0, percent)));
+  };
+
+  const handlePointerDown = (e) => {
+    if (mode !== "swipe") return;
+    dragging.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    moveDivider(e.clientX);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragging.current) moveDivider(e.clientX);
+  };
+
+  const handlePointerUp = () => {
+    dragging.current = false;
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowLeft") setPosition(p => Math.max(0, p - 2));
+    if (e.key === "ArrowRight") setPosition(p => Math.min(100, p + 2));
+  };
+
+  const imageStyle = {
+    position: "absolute",
+    inset: 0,
+    width: "100%",
+    height: "100%",
+    objectFit: "fill",
+    pointerEvents: "none",
+    userSelect: "none"
+  };
+
+  return (
+    <div>
+      <div className="d-flex flex-wrap align-items-center gap-3 mb-2">
+        <ButtonGroup size="sm">
+          <Button variant={mode === "swipe" ? "primary" : "outline-primary"} onClick={() => setMode("swipe")}>
+            ↔️ Swipe
+          </Button>
+          <Button variant={mode === "blend" ? "primary" : "outline-primary"} onClick={() => setMode("blend")}>
+            🌓 Blend
+          </Button>
+        </ButtonGroup>
+        {mode === "blend" && (
+          <div className="d-flex align-items-center gap-2 flex-grow-1" style={{ maxWidth: "280px" }}>
+            <small className="text-muted">Before</small>
+            <Form.Range
+              value={opacity}
+              onChange={(e) => setOpacity(Number(e.target.value))}
+              aria-label="After image opacity"
+            />
+            <small className="text-muted">After</small>
+          </div>
+        )}
+        <Form.Check
+          type="switch"
+          id={overlaySwitchId}
+          label="Show detected changes"
+          checked={showOverlay && hasOverlay}
+          disabled={!hasOverlay}
+          onChange={(e) => setShowOverlay(e.target.checked)}
+        />
+      </div>
+
+      <div
+        ref={stageRef}
+        className="border rounded overflow-hidden position-relative bg-light"
+        style={{ aspectRatio, cursor: mode === "swipe" ? "ew-resize" : "default", touchAction: "none" }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <img
+          src={afterImage}
+          alt="After"
+          style={imageStyle}
+          draggable={false}
+          onLoad={markLoaded("after")}
+          onError={markLoaded("after")}
+        />
+        <img
+          src={beforeImage}
+          alt="Before"
+          draggable={false}
+          onLoad={markLoaded("before")}
+          onError={markLoaded("before")}
+          style={{
+            ...imageStyle,
+            clipPath: mode === "swipe" ? `inset(0 ${100 - position}% 0 0)` : "none",
+            opacity: mode === "blend" ? 1 - opacity / 100 : 1
+          }}
+        />
+
+        {showOverlay && changeMaskImage && (
+          <img src={changeMaskImage} alt="Change mask" style={{ ...imageStyle, opacity: 0.6 }} draggable={false} />
+        )}
+        {showOverlay && drawableFootprints.length > 0 && (
+          <svg
+            viewBox={`0 0 ${geoTransform.width} ${geoTransform.height}`}
+            preserveAspectRatio="none"
+            style={imageStyle}
+          >
+            {drawableFootprints.map(item => footprintToPoints(item.footprint, geoTransform).map((points, i) => (
+              <polygon
+                key={`${item.id}-${i}`}
+                points={points}
+                fill={item.color || "#ffc107"}
+                fillOpacity={0.25}
+                stroke={item.color || "#ffc107"}
+                strokeWidth={2}
+                vectorEffect="non-scaling-stroke"
+              />
+            )))}
+          </svg>
+        )}
+
+        {pending && (
+          <div className="position-absolute top-50 start-50 translate-middle">
+            <Spinner animation="border" variant="primary" />
+          </div>
+        )}
+
+        <span className="position-absolute top-0 start-0 m-2 badge bg-dark bg-opacity-75">{beforeLabel}</span>
+        <span className="position-absolute top-0 end-0 m-2 badge bg-dark bg-opacity-75">{afterLabel}</span>
+
+        {mode === "swipe" && (
+          <div
+            role="slider"
+            tabIndex={0}
+            aria-label="Comparison divider"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(position)}
+            onKeyDown={handleKeyDown}
+            className="position-absolute top-0 bottom-0"
+            style={{ left: `${position}%`, width: "3px", marginLeft: "-1.5px", background: "#fff", boxShadow: "0 0 4px rgba(0,0,0,0.6)" }}
+          >
+            <div
+              className="position-absolute top-50 start-50 translate-middle rounded-circle bg-white border d-flex align-items-center justify-content-center"
+              style={{ width: "32px", height: "32px", fontSize: "14px" }}
+            >
+              ⇔
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from "react";
+import { Form, Button, Badge } from "react-bootstrap";
+import { getTileCache, getOfflineMode, setOfflineMode } from "../services/tileCache";
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Offline-mode switch and imagery cache usage. Offline, analyses use only
+ * cached tiles; the browser losing its connection has the same effect.
+ */
+export default function ImageryCachePanel({ disabled }) {
+  const [offline, setOffline] = useState(getOfflineMode());
+  const [connected, setConnected] = useState(navigator.onLine);
+  const [stats, setStats] = useState(null);
+
+  const refreshStats = () => {
+    getTileCache().stats().then(setStats).catch(() => setStats(null));
+  };
+
+  useEffect(() => {
+    refreshStats();
+    const update = () => setConnected(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  const handleToggle = (e) => {
+    setOfflineMode(e.target.checked);
+    setOffline(e.target.checked);
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm("Delete all cached imagery? Offline analyses will need it downloaded again.")) return;
+    await getTileCache().clear();
+    refreshStats();
+  };
+
+  return (
+    <div className="small">
+      <div className="d-flex align-items-center gap-2">
+        <Form.Check
+          type="switch"
+          id="offline-mode"
+          label="📴 Offline mode (cached imagery only)"
+          checked={offline}
+          onChange={handleToggle}
+          disabled={disabled}
+        />
+        {!connected && <Badge bg="secondary">No connection</Badge>}
+      </div>
+      <div className="text-muted d-flex align-items-center gap-2">
+        <span>
+          🗄️ Imagery cache: {stats ? `${stats.entries} tile(s), ${formatMB(stats.bytes)} of ${formatMB(stats.maxBytes)}` : "unavailable"}
+        </span>
+        <Button variant="link" size="sm" className="p-0" onClick={refreshStats}>Refresh</Button>
+        <Button variant="link" size="sm" className="p-0 text-danger" onClick={handleClear} disabled={disabled || !stats?.entries}>
+          Clear
+        </Button>
+      </div>
+    </div>
+  );
+}
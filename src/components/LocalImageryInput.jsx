@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { Form, Spinner, Badge, Button } from "react-bootstrap";
+import { loadLocalImagery } from "../services/localImageryService";
+
+/**
+ * File picker for one epoch's own imagery: a GeoTIFF, or a PNG/JPEG with
+ * its world file (plus .prj, or an EPSG code). `onChange` receives the
+ * loaded raster, with the capture date read from the file or entered here,
+ * or null when cleared.
+ */
+export default function LocalImageryInput({ label, value, onChange, disabled }) {
+  const [files, setFiles] = useState([]);
+  const [crs, setCrs] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // World-file images carry no coordinate system of their own
+  const needsCrs = files.length > 0 && !files.some(file => /\.(tiff?|prj)$/i.test(file.name));
+
+  const load = async (selected, crsCode) => {
+    onChange(null);
+    setError(null);
+    if (selected.length === 0) return;
+
+    setLoading(true);
+    try {
+      onChange(await loadLocalImagery(selected, { crs: crsCode }));
+    } catch (err) {
+      setError(err.message || "Could not read the imagery");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFiles = (e) => {
+    const selected = [...e.target.files];
+    setFiles(selected);
+    load(selected, crs);
+  };
+
+  const handleClear = () => {
+    setFiles([]);
+    setError(null);
+    onChange(null);
+  };
+
+  return (
+    <div className="mb-2">
+      <Form.Label className="small mb-1">{label}</Form.Label>
+      <Form.Control
+        type="file"
+        multiple
+        accept=".tif,.tiff,.png,.jpg,.jpeg,.wld,.pgw,.pngw,.jgw,.jpgw,.jpegw,.prj"
+        onChange={handleFiles}
+        disabled={disabled || loading}
+        size="sm"
+      />
+      {needsCrs && (
+        <Form.Control
+          className="mt-1"
+          size="sm"
+          placeholder="EPSG code, e.g. 32644 (UTM 44N)"
+          value={crs}
+          onChange={(e) => setCrs(e.target.value)}
+          onBlur={() => load(files, crs)}
+          disabled={disabled || loading}
+        />
+      )}
+      {loading && (
+        <small className="text-muted d-block mt-1">
+          <Spinner animation="border" size="sm" className="me-1" />
+          Reading imagery...
+        </small>
+      )}
+      {error && <small className="text-danger d-block mt-1">{error}</small>}
+      {value && (
+        <div className="small mt-1">
+          <div className="text-muted">
+            {value.name} · {value.width}×{value.height} px · {value.resolution.toFixed(2)} m/px · {value.crs}
+          </div>
+          <div className="d-flex align-items-center gap-2 mt-1">
+            <Form.Control
+              type="date"
+              size="sm"
+              value={value.captureDate || ""}
+              max={new Date().toISOString().split("T")[0]}
+              onChange={(e) => onChange({ ...value, captureDate: e.target.value || null, captureDateSource: "entered at upload" })}
+              disabled={disabled}
+              aria-label="Capture date"
+            />
+            {!value.captureDate && <Badge bg="warning" text="dark">Capture date needed</Badge>}
+            <Button variant="link" size="sm" className="p-0" onClick={handleClear} disabled={disabled}>
+              Remove
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+import { Form } from "react-bootstrap";
+import ImageComparison from "./ImageComparison";
+
+/**
+ * Steps through the epoch windows of a time-series analysis. Position `value`
+ * compares epoch value-1 with epoch value and outlines the structures that
+ * appeared in that window.
+ *
+ * `timeline` and `windows` come from analyzeSite; `sites` carry a constructionWindow.
+ */
+export default function TimelineScrubber({ timeline, windows = [], sites = [], value, onChange, getColor }) {
+  const before = timeline[value - 1];
+  const after = timeline[value];
+  const appeared = sites.filter(site => site.constructionWindow?.to === after.date);
+
+  return (
+    <div>
+      <Form.Range
+        min={1}
+        max={timeline.length - 1}
+        step={1}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        aria-label="Imagery epoch"
+      />
+      <div className="d-flex justify-content-between small text-muted mb-2">
+        {timeline.map((epoch, idx) => (
+          <span key={epoch.label} className={idx === value ? "fw-bold text-body" : ""}>
+            {epoch.label}
+          </span>
+        ))}
+      </div>
+      <p className="mb-2">
+        <strong>{before.label} → {after.label}:</strong> {appeared.length} new structure(s)
+      </p>
+      <ImageComparison
+        beforeImage={before.imageUrl}
+        afterImage={after.imageUrl}
+        beforeLabel={`Before · ${before.label}`}
+        afterLabel={`After · ${after.label}`}
+        changeMaskImage={windows[value - 1]?.changeMaskImage || null}
+        geoTransform={after.geoTransform}
+        footprints={appeared.map(site => ({
+          id: site.id,
+          footprint: site.footprint,
+          color: getColor(site.riskLevel)
+        }))}
+      />
+    </div>
+  );
+}
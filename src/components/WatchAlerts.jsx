@@ -0,0 +1,47 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { Toast, ToastContainer } from "react-bootstrap";
+import { startWatchScheduler } from "../services/watchService";
+
+/**
+ * Runs the watch-area scheduler while the app is open and pops a toast
+ * for every pass that finds new detections.
+ */
+export default function WatchAlerts() {
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    return startWatchScheduler({
+      onAlert: (area, newSites) => setAlerts(current => [
+        ...current,
+        {
+          id: `${area.id}-${Date.now()}`,
+          name: area.name,
+          count: newSites.length,
+          highRisk: newSites.filter(site => site.riskLevel === "HIGH").length
+        }
+      ])
+    });
+  }, []);
+
+  const dismiss = (id) => setAlerts(current => current.filter(alert => alert.id !== id));
+
+  return (
+    <ToastContainer position="top-end" className="p-3" style={{ marginTop: "70px", zIndex: 1100 }}>
+      {alerts.map(alert => (
+        <Toast key={alert.id} bg="danger" onClose={() => dismiss(alert.id)}>
+          <Toast.Header>
+            <strong className="me-auto">🚨 Watch area: {alert.name}</strong>
+          </Toast.Header>
+          <Toast.Body className="text-white">
+            {alert.count} new detection(s) since the last pass
+            {alert.highRisk > 0 && <> ({alert.highRisk} high risk)</>}.{" "}
+            <Link to="/add-on" className="text-white fw-semibold" onClick={() => dismiss(alert.id)}>
+              Review
+            </Link>
+          </Toast.Body>
+        </Toast>
+      ))}
+    </ToastContainer>
+  );
+}
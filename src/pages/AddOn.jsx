@@ -1,29 +1,122 @@
-import React, { useState } from "react";
-import { Alert, Button, Form } from "react-bootstrap";
+import React, { useState, useEffect } from "react";
+import { Alert, Badge, Button, Card, Form, Spinner } from "react-bootstrap";
+import {
+  listWatchAreas,
+  createWatchArea,
+  removeWatchArea,
+  runWatchArea,
+  setWatchAreaPaused,
+  setWatchInterval,
+  acknowledgeAlerts,
+  subscribeWatchAreas,
+  WATCH_INTERVALS,
+  WATCH_KINDS
+} from "../services/watchService";
+
+const EMPTY_REGION = { name: "", coordinates: "", radius: "" };
+
+const STATUS_VARIANTS = { idle: "secondary", running: "primary", failed: "danger" };
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : "—");
 
 export default function AddOn() {
-  const [landCoords, setLandCoords] = useState("");
-  const [landRadius, setLandRadius] = useState("");
-  const [waterCoords, setWaterCoords] = useState("");
-  const [waterRadius, setWaterRadius] = useState("");
+  const [land, setLand] = useState(EMPTY_REGION);
+  const [water, setWater] = useState(EMPTY_REGION);
+  const [intervalHours, setIntervalHours] = useState(24);
   const [showConfirm, setShowConfirm] = useState(false);
   const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState(null);
+  const [watchAreas, setWatchAreas] = useState([]);
+  const [runProgress, setRunProgress] = useState({});
+
+  useEffect(() => {
+    const refresh = () => listWatchAreas().then(setWatchAreas).catch(console.error);
+    refresh();
+    return subscribeWatchAreas(refresh);
+  }, []);
+
+  const regions = [
+    { kind: "land", values: land },
+    { kind: "water", values: water }
+  ].filter(region => region.values.coordinates.trim());
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    setShowConfirm(true);
+    setSubmitted(false);
+    setError(regions.length === 0 ? "Enter at least one land or water-body region" : null);
+    setShowConfirm(regions.length > 0);
   };
 
-  const handleConfirm = (confirm) => {
-    if (confirm) {
-      console.log("🌍 Land Region → Coordinates:", landCoords, "| Radius (km):", landRadius);
-      console.log("🌊 Water-Body Region → Coordinates:", waterCoords, "| Radius (km):", waterRadius);
-      alert("✅ Regions successfully submitted! Check console for details.");
+  const handleConfirm = async (confirm) => {
+    setShowConfirm(false);
+    if (!confirm) return;
+
+    try {
+      for (const { kind, values } of regions) {
+        await createWatchArea({
+          name: values.name || `${WATCH_KINDS[kind].label} ${values.coordinates}`,
+          kind,
+          coordinates: values.coordinates,
+          radiusKm: values.radius,
+          intervalHours
+        });
+      }
+      setLand(EMPTY_REGION);
+      setWater(EMPTY_REGION);
       setSubmitted(true);
+    } catch (err) {
+      setError(err.message || "Could not save the watch area");
     }
-    setShowConfirm(false);
   };
 
+  const handleRunNow = async (area) => {
+    setError(null);
+    try {
+      await runWatchArea(area, {
+        onProgress: (progress) => setRunProgress(current => ({ ...current, [area.id]: progress }))
+      });
+    } catch (err) {
+      setError(`${area.name}: ${err.message}`);
+    } finally {
+      setRunProgress(current => ({ ...current, [area.id]: null }));
+    }
+  };
+
+  const handleRemove = async (area) => {
+    if (window.confirm(`Stop watching "${area.name}"? Detected sites stay in the register.`)) {
+      await removeWatchArea(area.id);
+    }
+  };
+
+  const renderRegionFields = (kind, values, setValues, placeholder) => (
+    <div className="border rounded p-3 bg-body-secondary">
+      <h4 className="fw-semibold mb-3">{WATCH_KINDS[kind].icon} {WATCH_KINDS[kind].label}</h4>
+      <Form.Control
+        className="mb-3"
+        type="text"
+        placeholder="Watch area name (e.g., Durgam Cheruvu)"
+        value={values.name}
+        onChange={(e) => setValues({ ...values, name: e.target.value })}
+      />
+      <div className="d-flex flex-column flex-sm-row gap-3">
+        <Form.Control
+          type="text"
+          placeholder={placeholder}
+          value={values.coordinates}
+          onChange={(e) => setValues({ ...values, coordinates: e.target.value })}
+        />
+        <Form.Control
+          type="number"
+          step="any" // ✅ allows decimals
+          placeholder="Radius (km)"
+          value={values.radius}
+          onChange={(e) => setValues({ ...values, radius: e.target.value })}
+          required={Boolean(values.coordinates.trim())}
+        />
+      </div>
+    </div>
+  );
+
   return (
     <div className="d-flex flex-column align-items-center px-4 pb-5">
       <div className="w-100" style={{ maxWidth: "750px" }}>
@@ -32,52 +125,30 @@ export default function AddOn() {
 
           <Form onSubmit={handleSubmit} className="d-flex flex-column gap-4">
             {/* Land Region */}
-            <div className="border rounded p-3 bg-body-secondary">
-              <h4 className="fw-semibold mb-3">🏔 Land Region</h4>
-              <div className="d-flex flex-column flex-sm-row gap-3">
-                <Form.Control
-                  type="text"
-                  placeholder="Enter land coordinates (e.g., 17.3850, 78.4867)"
-                  value={landCoords}
-                  onChange={(e) => setLandCoords(e.target.value)}
-                  required
-                />
-                <Form.Control
-                  type="number"
-                  step="any" // ✅ allows decimals
-                  placeholder="Radius (km)"
-                  value={landRadius}
-                  onChange={(e) => setLandRadius(e.target.value)}
-                  required
-                />
-              </div>
-            </div>
+            {renderRegionFields("land", land, setLand, "Enter land coordinates (e.g., 17.3850, 78.4867)")}
 
             {/* Water-Body Region */}
-            <div className="border rounded p-3 bg-body-secondary">
-              <h4 className="fw-semibold mb-3">💧 Water-Body</h4>
-              <div className="d-flex flex-column flex-sm-row gap-3">
-                <Form.Control
-                  type="text"
-                  placeholder="Enter water-body coordinates (e.g., 16.5062, 80.6480)"
-                  value={waterCoords}
-                  onChange={(e) => setWaterCoords(e.target.value)}
-                  required
-                />
-                <Form.Control
-                  type="number"
-                  step="any" // ✅ allows decimals
-                  placeholder="Radius (km)"
-                  value={waterRadius}
-                  onChange={(e) => setWaterRadius(e.target.value)}
-                  required
-                />
-              </div>
-            </div>
+            {renderRegionFields("water", water, setWater, "Enter water-body coordinates (e.g., 17.4239, 78.3897)")}
+
+            {/* Monitoring interval */}
+            <Form.Group>
+              <Form.Label className="fw-semibold">Re-monitor</Form.Label>
+              <Form.Select
+                value={intervalHours}
+                onChange={(e) => setIntervalHours(Number(e.target.value))}
+              >
+                {WATCH_INTERVALS.map(option => (
+                  <option key={option.hours} value={option.hours}>{option.label}</option>
+                ))}
+              </Form.Select>
+              <small className="text-muted">
+                Watch areas are re-analysed automatically while the app is open; new detections since the last pass are raised as alerts.
+              </small>
+            </Form.Group>
 
             {/* Submit Button */}
             <Button variant="primary" type="submit" className="mt-3 fw-semibold">
-              Submit
+              Save Watch Areas
             </Button>
           </Form>
 
@@ -87,7 +158,7 @@ export default function AddOn() {
               variant="warning"
               className="mt-4 d-flex justify-content-between align-items-center"
             >
-              <div>⚠️ Are you sure you want to submit these regions?</div>
+              <div>⚠️ Start watching {regions.length === 1 ? "this region" : "these regions"}?</div>
               <div className="d-flex gap-2">
                 <Button
                   variant="danger"
@@ -107,16 +178,126 @@ export default function AddOn() {
             </Alert>
           )}
 
+          {error && (
+            <Alert variant="danger" className="mt-3">
+              {error}
+            </Alert>
+          )}
+
           {/* Submitted Message */}
           {submitted && (
             <Alert
               variant="success"
               className="mt-3 text-center fw-semibold"
             >
-              ✅ Data submitted successfully!
+              ✅ Watch areas saved! The first pass records a baseline.
             </Alert>
           )}
         </div>
+
+        {/* Watch areas */}
+        <h4 className="fw-semibold mt-5 mb-3">👁️ Watch Areas</h4>
+        {watchAreas.length === 0 && (
+          <p className="text-muted">No watch areas yet.</p>
+        )}
+        {watchAreas.map(area => {
+          const progress = runProgress[area.id];
+          const lastRun = area.runs?.[0];
+          const openAlerts = (area.alerts || []).filter(alert => !alert.acknowledged);
+
+          return (
+            <Card key={area.id} className="mb-3 shadow-sm">
+              <Card.Body>
+                <div className="d-flex justify-content-between align-items-start gap-2">
+                  <div>
+                    <h5 className="mb-1">
+                      {WATCH_KINDS[area.kind]?.icon} {area.name}
+                      {area.paused && <Badge bg="secondary" className="ms-2">Paused</Badge>}
+                    </h5>
+                    <small className="text-muted">
+                      {area.aoi.center.lat.toFixed(5)}, {area.aoi.center.lng.toFixed(5)} • {area.aoi.radiusKm} km radius
+                    </small>
+                  </div>
+                  <Badge bg={STATUS_VARIANTS[area.status] || "secondary"}>{area.status}</Badge>
+                </div>
+
+                <div className="mt-2 small">
+                  <div>Last pass: {formatDate(area.lastRunDate)}
+                    {lastRun && (
+                      <> • {lastRun.detections} detection(s), {lastRun.baseline ? "baseline" : `${lastRun.newDetections} new`}
+                        {lastRun.failedTiles > 0 && <> • {lastRun.failedTiles} tile(s) failed</>}
+                        {lastRun.unconfirmedDetections > 0 && <> • {lastRun.unconfirmedDetections} fallback detection(s) not saved</>}
+                      </>
+                    )}
+                  </div>
+                  <div>Next pass: {area.paused ? "paused" : formatDate(area.nextRunDate)}</div>
+                  <div>Known structures: {area.knownDetections?.length || 0}</div>
+                  {area.lastError && <div className="text-danger">Last error: {area.lastError}</div>}
+                </div>
+
+                {openAlerts.length > 0 && (
+                  <Alert variant="danger" className="mt-2 mb-0 py-2">
+                    {openAlerts.map(alert => (
+                      <div key={alert.id} className="small">
+                        🚨 {formatDate(alert.date)}: {alert.count} new detection(s)
+                        {alert.highRisk > 0 && <> ({alert.highRisk} high risk)</>}
+                      </div>
+                    ))}
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      className="mt-2"
+                      onClick={() => acknowledgeAlerts(area)}
+                    >
+                      Acknowledge
+                    </Button>
+                  </Alert>
+                )}
+
+                <div className="d-flex flex-wrap gap-2 mt-3 align-items-center">
+                  <Button
+                    size="sm"
+                    variant="primary"
+                    onClick={() => handleRunNow(area)}
+                    disabled={Boolean(progress)}
+                  >
+                    {progress ? (
+                      <>
+                        <Spinner animation="border" size="sm" className="me-1" />
+                        Tile {Math.min(progress.completed + 1, progress.total)} of {progress.total}
+                      </>
+                    ) : "▶ Run Now"}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline-secondary"
+                    onClick={() => setWatchAreaPaused(area.id, !area.paused)}
+                  >
+                    {area.paused ? "Resume" : "Pause"}
+                  </Button>
+                  <Form.Select
+                    size="sm"
+                    style={{ width: "auto" }}
+                    value={area.intervalHours}
+                    onChange={(e) => setWatchInterval(area, e.target.value)}
+                  >
+                    {WATCH_INTERVALS.map(option => (
+                      <option key={option.hours} value={option.hours}>{option.label}</option>
+                    ))}
+                  </Form.Select>
+                  <Button
+                    size="sm"
+                    variant="outline-danger"
+                    className="ms-auto"
+                    onClick={() => handleRemove(area)}
+                  >
+                    Remove
+                  </Button>
+                </div>
+              </Card.Body>
+            </Card>
+          );
+        })}
       </div>
     </div>
   );
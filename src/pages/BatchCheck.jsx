@@ -0,0 +1,262 @@
+import React, { useState, useRef, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { Alert, Card, Button, Form, Row, Col, ProgressBar, Table, Badge } from "react-bootstrap";
+import { analyzeSite } from "../services/api";
+import {
+  parseBatchFile,
+  createBatchQueue,
+  summarizeBatchJob,
+  batchSummaryRows,
+  DEFAULT_BATCH_RADIUS_KM
+} from "../services/batchService";
+import { downloadCSV } from "../services/csv";
+import ImageryCachePanel from "../components/ImageryCachePanel";
+
+// Badge colour per job status
+const STATUS_VARIANTS = {
+  queued: "secondary",
+  running: "primary",
+  retrying: "warning",
+  done: "success",
+  failed: "danger",
+  invalid: "dark"
+};
+
+// Only what the summary needs; full sites are already in the register
+// (apart from unconfirmed classical fallback detections, which are only counted)
+const trimResult = (result) => ({
+  hasChange: result.hasChange,
+  unconfirmedSites: result.unconfirmedSites || 0,
+  tiles: result.tiles,
+  imageryCoverage: result.imageryCoverage,
+  sites: (result.sites || []).map(({ id, type, riskLevel, violations }) => ({ id, type, riskLevel, violations }))
+});
+
+export default function BatchCheck() {
+  const [jobs, setJobs] = useState([]);
+  const [fileName, setFileName] = useState("");
+  const [concurrency, setConcurrency] = useState(2);
+  const [state, setState] = useState("idle"); // idle | running | paused | finished
+  const [error, setError] = useState(null);
+  const queueRef = useRef(null);
+
+  // Stop the running analyses and dispatch no more when leaving the page
+  useEffect(() => () => queueRef.current?.stop(), []);
+
+  const handleFile = async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+    setError(null);
+    setState("idle");
+    queueRef.current = null;
+    try {
+      setJobs(await parseBatchFile(file));
+      setFileName(file.name);
+    } catch (err) {
+      setJobs([]);
+      setFileName("");
+      setError(err.message || "Could not read the file");
+    }
+  };
+
+  const handleStart = async () => {
+    if (!queueRef.current) {
+      queueRef.current = createBatchQueue(jobs, {
+        concurrency,
+        onUpdate: setJobs,
+        run: async (job, onProgress, signal) => {
+          const result = await analyzeSite(`${job.lat},${job.lng}`, job.radiusKm, null, { onProgress, signal });
+          return trimResult(result);
+        }
+      });
+    }
+
+    setState("running");
+    await queueRef.current.start();
+    if (!queueRef.current.isPaused()) setState("finished");
+  };
+
+  const handlePause = () => {
+    queueRef.current?.pause();
+    setState("paused");
+  };
+
+  const handleRetryFailed = async () => {
+    setState("running");
+    queueRef.current.retryFailed();
+    await queueRef.current.start();
+    if (!queueRef.current.isPaused()) setState("finished");
+  };
+
+  const handleDownload = () => {
+    const baseName = fileName.replace(/\.[^.]+$/, "") || "batch";
+    downloadCSV(batchSummaryRows(jobs), `${baseName}-summary-${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const count = (status) => jobs.filter(job => job.status === status).length;
+  const runnable = jobs.length - count("invalid");
+  const settled = count("done") + count("failed");
+  const summaries = jobs.map(summarizeBatchJob);
+
+  return (
+    <div className="container-fluid py-4">
+      <Card className="shadow-sm mb-4">
+        <Card.Header className="bg-primary text-white">
+          <h4 className="mb-0">📋 Batch Site Check</h4>
+        </Card.Header>
+        <Card.Body>
+          <Row className="g-3 align-items-end">
+            <Col md={6}>
+              <Form.Group>
+                <Form.Label>Complaint locations</Form.Label>
+                <Form.Control
+                  type="file"
+                  accept=".csv,.geojson,.json"
+                  onChange={handleFile}
+                  disabled={state === "running" || state === "paused"}
+                />
+                <small className="text-muted">
+                  CSV with columns lat,lng,radius,reference (header optional) or a GeoJSON of points.
+                  Missing radius defaults to {DEFAULT_BATCH_RADIUS_KM} km.
+                </small>
+              </Form.Group>
+            </Col>
+            <Col md={2}>
+              <Form.Group>
+                <Form.Label>Concurrent analyses</Form.Label>
+                <Form.Select
+                  value={concurrency}
+                  onChange={(e) => setConcurrency(parseInt(e.target.value, 10))}
+                  disabled={state !== "idle"}
+                >
+                  {[1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={4} className="d-flex gap-2 flex-wrap">
+              {state === "running" ? (
+                <Button variant="warning" onClick={handlePause}>⏸ Pause</Button>
+              ) : (
+                <Button
+                  variant="primary"
+                  onClick={handleStart}
+                  disabled={runnable === 0 || state === "finished"}
+                >
+                  {state === "paused" ? "▶ Resume" : "▶ Start"}
+                </Button>
+              )}
+              <Button
+                variant="outline-danger"
+                onClick={handleRetryFailed}
+                disabled={state !== "finished" || count("failed") === 0}
+              >
+                ↻ Retry Failed
+              </Button>
+              <Button
+                variant="outline-success"
+                onClick={handleDownload}
+                disabled={jobs.length === 0}
+              >
+                ⬇ Download Summary
+              </Button>
+            </Col>
+          </Row>
+
+          <div className="mt-3">
+            <ImageryCachePanel disabled={state === "running"} />
+          </div>
+
+          {error && (
+            <Alert variant="danger" className="mt-3 mb-0">
+              {error}
+            </Alert>
+          )}
+
+          {jobs.length > 0 && (
+            <div className="mt-3">
+              <ProgressBar
+                animated={state === "running"}
+                now={runnable ? settled / runnable * 100 : 0}
+                label={`${settled} / ${runnable}`}
+              />
+              <small className="text-muted">
+                {fileName} • {count("done")} done • {count("running")} running • {count("queued") + count("retrying")} waiting
+                {" "}• {count("failed")} failed{count("invalid") > 0 && <> • {count("invalid")} invalid row(s) skipped</>}
+                {state === "paused" && count("running") > 0 && <> • pausing after the running analyses finish</>}
+              </small>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      {jobs.length > 0 && (
+        <Card className="shadow-sm">
+          <Card.Body className="p-0">
+            <Table responsive hover size="sm" className="mb-0">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Reference</th>
+                  <th>Location</th>
+                  <th>Radius</th>
+                  <th>Status</th>
+                  <th>Sites</th>
+                  <th>High / Med / Low</th>
+                  <th>Violations</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map((job, idx) => {
+                  const summary = summaries[idx];
+                  return (
+                    <tr key={job.id}>
+                      <td>{job.row}</td>
+                      <td>{job.reference}</td>
+                      <td>
+                        {Number.isFinite(job.lat) && Number.isFinite(job.lng)
+                          ? `${job.lat.toFixed(5)}, ${job.lng.toFixed(5)}`
+                          : "—"}
+                      </td>
+                      <td>{Number.isFinite(job.radiusKm) ? `${job.radiusKm} km` : "—"}</td>
+                      <td style={{ minWidth: "140px" }}>
+                        <Badge bg={STATUS_VARIANTS[job.status]}>{job.status}</Badge>
+                        {job.attempts > 1 && <small className="text-muted"> (try {job.attempts})</small>}
+                        {job.status === "running" && job.progress?.total > 0 && (
+                          <ProgressBar
+                            className="mt-1"
+                            style={{ height: "6px" }}
+                            now={job.progress.completed / job.progress.total * 100}
+                          />
+                        )}
+                      </td>
+                      <td>{job.status === "done" ? summary.sitesDetected : ""}</td>
+                      <td>{job.status === "done" ? `${summary.high} / ${summary.medium} / ${summary.low}` : ""}</td>
+                      <td><small>{summary.violations}</small></td>
+                      <td>
+                        <small className={job.error ? "text-danger" : "text-muted"}>
+                          {job.error || [
+                            summary.failedTiles > 0 && `${summary.failedTiles} tile(s) failed`,
+                            summary.incompleteTiles > 0 && `${summary.incompleteTiles} tile(s) with incomplete imagery`,
+                            summary.unconfirmedSites > 0 && `${summary.unconfirmedSites} fallback detection(s) not saved`
+                          ].filter(Boolean).join(" • ")}
+                        </small>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </Card.Body>
+          {state === "finished" && (
+            <Card.Footer className="text-end">
+              <Button as={Link} to="/dashboard" variant="outline-primary" size="sm">
+                View Detected Sites in Dashboard
+              </Button>
+            </Card.Footer>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from "react";
 import { Card, Row, Col, Badge, Button, Form, Table, Modal, InputGroup } from "react-bootstrap";
-import { MapContainer, TileLayer, Marker, Popup, useMap } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Popup, GeoJSON, useMap } from "react-leaflet";
 import L from "leaflet";
-import { getDetectedSites, filterSites, getStatistics, updateSiteStatus, deleteSite } from "../services/api";
+import { filterSites, getStatistics, updateSiteStatus, deleteSite } from "../services/api";
+import { describeViolationExtent } from "../services/gisService";
+import AdminAreaFilter from "../components/AdminAreaFilter";
+import GISOverlayLayers from "../components/GISOverlayLayers";
 import { useNavigate } from "react-router-dom";
 import { Search, MapPin, AlertTriangle, CheckCircle, Clock, XCircle } from "lucide-react";
 
@@ -14,9 +17,13 @@ L.Icon.Default.mergeOptions({
   shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png",
 });
 
+const getRiskColor = (riskLevel) => {
+  return riskLevel === 'HIGH' ? '#dc3545' : riskLevel === 'MEDIUM' ? '#ffc107' : '#28a745';
+};
+
 // Custom marker icons based on risk
 const createRiskIcon = (riskLevel) => {
-  const color = riskLevel === 'HIGH' ? '#dc3545' : riskLevel === 'MEDIUM' ? '#ffc107' : '#28a745';
+  const color = getRiskColor(riskLevel);
   return L.divIcon({
     className: 'custom-marker',
     html: `<div style="background-color: ${color}; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>`,
@@ -40,6 +47,9 @@ function Dashboard() {
   const [filters, setFilters] = useState({
     riskLevel: '',
     district: '',
+    zone: '',
+    circle: '',
+    ward: '',
     status: '',
     search: ''
   });
@@ -52,26 +62,30 @@ function Dashboard() {
     loadSites();
   }, [filters]);
 
-  const loadSites = () => {
-    const filtered = filterSites(filters);
+  const loadSites = async () => {
+    const [filtered, stats] = await Promise.all([filterSites(filters), getStatistics()]);
     setSites(filtered);
-    setStatistics(getStatistics());
+    setStatistics(stats);
   };
 
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
 
-  const handleStatusUpdate = (siteId, newStatus, remarks) => {
-    updateSiteStatus(siteId, newStatus, remarks);
-    loadSites();
+  const handleAdminAreaChange = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleStatusUpdate = async (siteId, newStatus, remarks) => {
+    await updateSiteStatus(siteId, newStatus, remarks);
+    await loadSites();
     setShowModal(false);
   };
 
-  const handleDelete = (siteId) => {
+  const handleDelete = async (siteId) => {
     if (window.confirm('Are you sure you want to delete this site?')) {
-      deleteSite(siteId);
-      loadSites();
+      await deleteSite(siteId);
+      await loadSites();
     }
   };
 
@@ -207,6 +221,12 @@ function Dashboard() {
                   </Form.Group>
                 </Col>
               </Row>
+              <AdminAreaFilter
+                areas={statistics?.adminAreas}
+                filters={filters}
+                onChange={handleAdminAreaChange}
+                showLabels
+              />
             </Card.Body>
           </Card>
 
@@ -240,7 +260,7 @@ function Dashboard() {
                           <h6 className="mb-1">{site.type}</h6>
                           <small className="text-muted d-block mb-1">
                             <MapPin size={12} className="me-1" />
-                            {site.district} • {site.coordinates.lat.toFixed(4)}, {site.coordinates.lng.toFixed(4)}
+                            {site.circle ? `${site.circle}, ` : ''}{site.district} • {site.coordinates.lat.toFixed(4)}, {site.coordinates.lng.toFixed(4)}
                           </small>
                           {site.violations && site.violations.length > 0 && (
                             <small className="text-danger d-block">
@@ -279,6 +299,25 @@ function Dashboard() {
                   attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; Esri'
                   url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
                 />
+                <GISOverlayLayers />
+                {sites.filter(site => site.footprint).map((site) => (
+                  <GeoJSON
+                    key={`footprint-${site.id}`}
+                    data={site.footprint}
+                    style={{
+                      color: getRiskColor(site.riskLevel),
+                      fillColor: getRiskColor(site.riskLevel),
+                      fillOpacity: 0.35,
+                      weight: 2
+                    }}
+                    eventHandlers={{
+                      click: () => {
+                        setSelectedSite(site);
+                        setShowModal(true);
+                      }
+                    }}
+                  />
+                ))}
                 {sites.map((site) => (
                   <Marker
                     key={site.id}
@@ -292,6 +331,12 @@ function Dashboard() {
                         Risk: <Badge bg={getRiskBadgeVariant(site.riskLevel)}>{site.riskLevel}</Badge>
                         <br />
                         District: {site.district}
+                        {site.ward && (
+                          <>
+                            <br />
+                            Ward: {site.ward}
+                          </>
+                        )}
                         <br />
                         Area: {Math.round(site.area)}m²
                         <br />
@@ -331,8 +376,14 @@ function Dashboard() {
                 <Col md={6}>
                   <p><strong>Type:</strong> {selectedSite.type}</p>
                   <p><strong>District:</strong> {selectedSite.district}</p>
+                  {selectedSite.ward && (
+                    <p><strong>Ward:</strong> {selectedSite.ward} ({selectedSite.circle}{selectedSite.zone && `, ${selectedSite.zone}`})</p>
+                  )}
                   <p><strong>Coordinates:</strong> {selectedSite.coordinates.lat.toFixed(6)}, {selectedSite.coordinates.lng.toFixed(6)}</p>
                   <p><strong>Area:</strong> {Math.round(selectedSite.area)} m²</p>
+                  {selectedSite.encroachment && (
+                    <p><strong>Encroached:</strong> {Math.round(selectedSite.encroachment.area)} m² ({selectedSite.encroachment.percent.toFixed(1)}% of structure)</p>
+                  )}
                 </Col>
                 <Col md={6}>
                   <p><strong>Risk Level:</strong> <Badge bg={getRiskBadgeVariant(selectedSite.riskLevel)}>{selectedSite.riskLevel}</Badge></p>
@@ -348,7 +399,7 @@ function Dashboard() {
                     {selectedSite.violations.map((violation, idx) => (
                       <li key={idx}>
                         <strong>{violation.type}</strong> - {violation.feature}
-                        {violation.distance && ` (${violation.distance})`}
+                        {` (${describeViolationExtent(violation)})`}
                         <Badge bg="danger" className="ms-2">{violation.severity}</Badge>
                       </li>
                     ))}
@@ -1,16 +1,21 @@
 import React, { useState, useEffect } from "react";
 import { Card, Table, Badge, Button, Form, Row, Col, InputGroup } from "react-bootstrap";
-import { getDetectedSites, filterSites } from "../services/api";
+import { filterSites, getStatistics } from "../services/api";
+import AdminAreaFilter from "../components/AdminAreaFilter";
 import { useNavigate } from "react-router-dom";
 import { Search, Calendar, MapPin } from "lucide-react";
 
 function History() {
   const navigate = useNavigate();
   const [sites, setSites] = useState([]);
+  const [adminAreas, setAdminAreas] = useState([]);
   const [filters, setFilters] = useState({
     search: "",
     riskLevel: "",
     district: "",
+    zone: "",
+    circle: "",
+    ward: "",
     status: ""
   });
 
@@ -18,8 +23,9 @@ function History() {
     loadHistory();
   }, [filters]);
 
-  const loadHistory = () => {
-    const filtered = filterSites(filters);
+  const loadHistory = async () => {
+    const [filtered, stats] = await Promise.all([filterSites(filters), getStatistics()]);
+    setAdminAreas(stats?.adminAreas || []);
     // Sort by detected date (newest first)
     const sorted = filtered.sort((a, b) => 
       new Date(b.detectedDate || 0) - new Date(a.detectedDate || 0)
@@ -31,6 +37,10 @@ function History() {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
 
+  const handleAdminAreaChange = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+  };
+
   const getRiskBadgeVariant = (risk) => {
     return risk === "HIGH" ? "danger" : risk === "MEDIUM" ? "warning" : "success";
   };
@@ -106,6 +116,9 @@ function History() {
               </Form.Select>
             </Col>
           </Row>
+          <div className="mt-3">
+            <AdminAreaFilter areas={adminAreas} filters={filters} onChange={handleAdminAreaChange} />
+          </div>
         </Card.Body>
       </Card>
 
@@ -144,7 +157,12 @@ function History() {
                       <small className="font-monospace">{site.id.substring(0, 8)}...</small>
                     </td>
                     <td>{site.type}</td>
-                    <td>{site.district}</td>
+                    <td>
+                      {site.district}
+                      {site.ward && (
+                        <small className="d-block text-muted">{site.ward}, {site.circle}</small>
+                      )}
+                    </td>
                     <td>
                       <small>
                         <MapPin size={12} className="me-1" />
@@ -12,12 +12,11 @@ function Home() {
     loadStats();
   }, []);
 
-  const loadStats = () => {
-    const statistics = getStatistics();
+  const loadStats = async () => {
+    const [statistics, sites] = await Promise.all([getStatistics(), getDetectedSites()]);
     setStats(statistics);
 
     // Get 3 most recent sites
-    const sites = getDetectedSites();
     const sorted = sites.sort(
       (a, b) =>
         new Date(b.detectedDate || 0) - new Date(a.detectedDate || 0)
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from "react";
+import { Alert, Badge, Button, Card, Form, Spinner, Table } from "react-bootstrap";
+import {
+  loadModelRegistry,
+  getModelSelection,
+  setActiveModel,
+  resolveActiveModels,
+  requireRealModels,
+  modelKey,
+  MODEL_TASKS,
+  MODEL_TASK_LABELS
+} from "../services/modelRegistry";
+import { mlModelService } from "../services/mlModelService";
+
+const describeNormalization = ({ scale, mean, std } = {}) => [
+  `÷${scale}`,
+  mean && `mean ${mean.join(", ")}`,
+  std && `std ${std.join(", ")}`
+].filter(Boolean).join(" · ");
+
+const describeTiling = ({ overlap, batchSize } = {}) => [
+  overlap != null && `${overlap}px overlap`,
+  batchSize && `batch ${batchSize}`
+].filter(Boolean).join(" · ") || "Default";
+
+const describeThresholds = (thresholds = {}) => (
+  Object.entries(thresholds).map(([name, value]) => `${name} ${value}`).join(", ") || "-"
+);
+
+/**
+ * Model registry admin: pick the active model of each task and check that it loads
+ */
+export default function Models() {
+  const [registry, setRegistry] = useState(null);
+  const [selection, setSelection] = useState(getModelSelection());
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [loadStatus, setLoadStatus] = useState(null);
+
+  useEffect(() => {
+    loadModelRegistry().then(setRegistry).catch(err => setError(err.message));
+  }, []);
+
+  const active = registry ? resolveActiveModels(registry, selection) : {};
+
+  const handleSelect = (task, key) => {
+    setActiveModel(task, key === registry.defaults[task] ? null : key);
+    setSelection(getModelSelection());
+    setLoadStatus(null);
+  };
+
+  const handleCheck = async () => {
+    setChecking(true);
+    setError(null);
+    try {
+      setLoadStatus(await mlModelService.loadModels());
+    } catch (err) {
+      setLoadStatus(null);
+      setError(err.message || "The active models could not be loaded");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="d-flex flex-column align-items-center px-4 pb-5">
+      <div className="w-100" style={{ maxWidth: "1100px" }}>
+        <div className="card p-4 mt-4 shadow-sm">
+          <h2 className="text-center mb-3 fw-bold text-primary">🧠 Model Registry</h2>
+          <p className="text-muted text-center mb-0">
+            {registry
+              ? <>Registry v{registry.version} · {registry.models.length} model(s) · <code>{registry.url}</code></>
+              : "Loading the model registry..."}
+          </p>
+          <div className="text-center mt-2">
+            {requireRealModels()
+              ? <Badge bg="danger">Production: analyses stop when a model is missing</Badge>
+              : <Badge bg="secondary">Development: untrained placeholders stand in for missing models</Badge>}
+          </div>
+
+          {error && <Alert variant="danger" className="mt-3 mb-0">{error}</Alert>}
+        </div>
+
+        {registry && MODEL_TASKS.map(task => (
+          <Card key={task} className="shadow-sm mt-4">
+            <Card.Header>
+              <h5 className="mb-0">{MODEL_TASK_LABELS[task]}</h5>
+            </Card.Header>
+            <Card.Body>
+              <Table responsive size="sm" className="mb-0 align-middle">
+                <thead>
+                  <tr>
+                    <th>Active</th>
+                    <th>Model</th>
+                    <th>Version</th>
+                    <th>Input</th>
+                    <th>Normalisation</th>
+                    <th>Classes</th>
+                    <th>Thresholds</th>
+                    <th>Tiling</th>
+                    <th>Checksum</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {registry.models.filter(model => model.task === task).map(model => {
+                    const key = modelKey(model);
+                    return (
+                      <tr key={key}>
+                        <td>
+                          <Form.Check
+                            type="radio"
+                            name={`active-${task}`}
+                            id={`model-${key}`}
+                            checked={modelKey(active[task]) === key}
+                            onChange={() => handleSelect(task, key)}
+                            disabled={checking}
+                          />
+                        </td>
+                        <td>
+                          {model.name || model.id}
+                          {registry.defaults[task] === key && <Badge bg="info" className="ms-2">Default</Badge>}
+                          <div className="small text-muted">
+                            <code>{model.url}</code> ({model.format})
+                          </div>
+                        </td>
+                        <td>{model.version}</td>
+                        <td>{model.inputShape.join("×")}</td>
+                        <td className="small">{describeNormalization(model.normalization)}</td>
+                        <td className="small">{Object.values(model.classLabels || {}).join(", ") || "-"}</td>
+                        <td className="small">{describeThresholds(model.thresholds)}</td>
+                        <td className="small">{describeTiling(model.tiling)}</td>
+                        <td className="small text-break">
+                          {model.checksum
+                            ? <code title={model.checksum}>{model.checksum.slice(0, 19)}…</code>
+                            : <Badge bg="warning" text="dark">Not set</Badge>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        ))}
+
+        {registry && (
+          <Card className="shadow-sm mt-4">
+            <Card.Body>
+              <div className="d-flex align-items-center gap-3">
+                <Button variant="primary" onClick={handleCheck} disabled={checking}>
+                  {checking ? (
+                    <>
+                      <Spinner animation="border" size="sm" className="me-2" />
+                      Loading models...
+                    </>
+                  ) : (
+                    "🔎 Load Active Models"
+                  )}
+                </Button>
+                <small className="text-muted">
+                  The selection applies to analyses started in this browser. Every detection records the id and version of the models that produced it.
+                </small>
+              </div>
+
+              {loadStatus && (
+                <Table size="sm" className="mt-3 mb-0">
+                  <tbody>
+                    {loadStatus.map(status => (
+                      <tr key={status.task}>
+                        <td><strong>{MODEL_TASK_LABELS[status.task]}</strong></td>
+                        <td>{status.id} v{status.version}</td>
+                        <td>
+                          {status.placeholder
+                            ? <Badge bg="warning" text="dark">Model files missing: untrained placeholder</Badge>
+                            : <Badge bg="success">Loaded{status.checksumVerified ? ", checksum verified" : ""}</Badge>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
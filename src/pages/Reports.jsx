@@ -5,6 +5,45 @@ import { jsPDF } from "jspdf";
 import "jspdf-autotable";
 import { useSearchParams } from "react-router-dom";
 import { getSiteById, getDetectedSites } from "../services/api";
+import { describeViolationExtent } from "../services/gisService";
+import { describeConstructionWindow } from "../services/timeSeriesService";
+import { describeCaptureDate, describeImagerySource } from "../services/imageryProviders";
+import { describeModels } from "../services/modelRegistry";
+import { describeChangeRegion } from "../services/changeDetectionService";
+import ImageComparison from "../components/ImageComparison";
+
+/**
+ * Construction window with the imagery dates it is bounded by
+ */
+const formatConstructionWindow = (constructionWindow) => {
+  if (!constructionWindow) return "Unknown";
+  return `${describeConstructionWindow(constructionWindow)} (imagery ${constructionWindow.from} to ${constructionWindow.to})`;
+};
+
+const imageryYearLabel = (date, fallback) => (date ? String(new Date(date).getFullYear()) : fallback);
+
+/**
+ * Chain-of-evidence rows ([field, before, after]) for the two images a site was detected between
+ */
+const imageryEvidenceRows = ({ before, after }) => {
+  const row = (field, describe) => [field, before ? describe(before) : "Unknown", after ? describe(after) : "Unknown"];
+  return [
+    row("Provider", p => p.providerName),
+    row("Layer", p => p.layer || "-"),
+    row("Sensor", p => p.sensor),
+    row("Zoom", p => {
+      if (p.resolution) return `${p.zoom} (source ${p.resolution.toFixed(2)} m/px, ${p.crs})`;
+      return p.nativeZoom === p.zoom ? String(p.zoom) : `${p.zoom} (source tiles z${p.nativeZoom})`;
+    }),
+    row("Tiles / Request / Files", describeImagerySource),
+    row("Requested Date", p => p.requestedDate || "Current"),
+    row("Capture Date", describeCaptureDate),
+    row("Date Matched", p => (p.dateMatched ? "Yes" : "No - provider has no imagery for the requested date")),
+    row("Licence", p => p.licence),
+    row("Attribution", p => p.attribution || "-"),
+    row("Retrieved", p => new Date(p.retrievedAt).toLocaleString())
+  ];
+};
 
 export default function Reports() {
   const [searchParams] = useSearchParams();
@@ -18,22 +57,26 @@ export default function Reports() {
     loadReportData();
   }, [siteId]);
 
-  const loadReportData = () => {
+  const loadReportData = async () => {
     setLoading(true);
     
-    if (siteId) {
-      const foundSite = getSiteById(siteId);
-      setSite(foundSite);
-    } else {
-      // Show all sites if no ID provided
-      const sites = getDetectedSites();
-      setAllSites(sites);
-      if (sites.length > 0) {
-        setSite(sites[0]); // Show first site by default
+    try {
+      if (siteId) {
+        const foundSite = await getSiteById(siteId);
+        setSite(foundSite);
+      } else {
+        // Show all sites if no ID provided
+        const sites = await getDetectedSites();
+        setAllSites(sites);
+        if (sites.length > 0) {
+          setSite(sites[0]); // Show first site by default
+        }
       }
+    } catch (error) {
+      console.error('Error loading report:', error);
+    } finally {
+      setLoading(false);
     }
-    
-    setLoading(false);
   };
 
   const handleDownloadPDF = () => {
@@ -63,12 +106,25 @@ export default function Reports() {
       ["Site ID", site.id],
       ["Construction Type", site.type],
       ["District", site.district],
+      ...(site.ward ? [["Ward / Circle / Zone", [site.ward, site.circle, site.zone].filter(Boolean).join(" / ")]] : []),
+      ...(site.lake ? [["Lake Zone", `${site.lake.name} - ${site.lake.zoneLabel}`]] : []),
       ["Coordinates", `${site.coordinates.lat.toFixed(6)}, ${site.coordinates.lng.toFixed(6)}`],
       ["Area", `${Math.round(site.area)} m²`],
+      ...(site.encroachment
+        ? [["Encroached Area", `${Math.round(site.encroachment.area)} m² (${site.encroachment.percent.toFixed(1)}% of structure)`]]
+        : []),
+      ...(site.ruleSetVersion ? [["Zoning Rules", `v${site.ruleSetVersion}`]] : []),
       ["Risk Level", site.riskLevel],
       ["Status", site.status],
       ["Detected Date", new Date(site.detectedDate).toLocaleDateString()],
-      ["Confidence", `${(site.confidence * 100).toFixed(1)}%`]
+      ["Construction Window", formatConstructionWindow(site.constructionWindow)],
+      ["Confidence", `${(site.confidence * 100).toFixed(1)}%`],
+      ...(site.models ? [["Models", describeModels(site.models)]] : []),
+      ...(site.detectionMethod ? [["Detection Method", site.detectionMethod]] : []),
+      ...(site.changeRegion ? [["Change Region", describeChangeRegion(site.changeRegion)]] : []),
+      ...(site.fallback
+        ? [["Fallback Confirmed", site.fallbackConfirmedAt ? new Date(site.fallbackConfirmedAt).toLocaleString() : "Not confirmed"]]
+        : [])
     ];
     
     doc.autoTable({
@@ -89,15 +145,15 @@ export default function Reports() {
       doc.text("Detected Violations", 20, yPos);
       
       const violationData = site.violations.map(v => [
-        v.type,
+        v.reference ? `${v.type}\n${v.reference}` : v.type,
         v.feature,
         v.severity,
-        v.distance || "N/A"
+        describeViolationExtent(v)
       ]);
       
       doc.autoTable({
         startY: yPos + 10,
-        head: [["Violation Type", "Feature", "Severity", "Distance"]],
+        head: [["Violation Type", "Feature", "Severity", "Distance/Details"]],
         body: violationData,
         theme: "grid",
         styles: { fontSize: 9 },
@@ -105,6 +161,24 @@ export default function Reports() {
       });
     }
     
+    // Imagery chain of evidence
+    if (site.evidence?.imagery) {
+      yPos = doc.lastAutoTable.finalY + 15;
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(14);
+      doc.text("Imagery Chain of Evidence", 20, yPos);
+      
+      doc.autoTable({
+        startY: yPos + 10,
+        head: [["", "Before", "After"]],
+        body: imageryEvidenceRows(site.evidence.imagery),
+        theme: "grid",
+        styles: { fontSize: 8, overflow: "linebreak" },
+        columnStyles: { 0: { fontStyle: "bold", cellWidth: 30 } },
+        margin: { left: 20, right: 20 }
+      });
+    }
+    
     // Add notes
     doc.setFont("helvetica", "bold");
     doc.setFontSize(12);
@@ -205,6 +279,18 @@ export default function Reports() {
                         <td><strong>District:</strong></td>
                         <td>{site.district}</td>
                       </tr>
+                      {site.ward && (
+                        <tr>
+                          <td><strong>Ward:</strong></td>
+                          <td>{[site.ward, site.circle, site.zone].filter(Boolean).join(" / ")}</td>
+                        </tr>
+                      )}
+                      {site.lake && (
+                        <tr>
+                          <td><strong>Lake Zone:</strong></td>
+                          <td>{site.lake.name} • {site.lake.zoneLabel}</td>
+                        </tr>
+                      )}
                       <tr>
                         <td><strong>Coordinates:</strong></td>
                         <td>
@@ -216,6 +302,12 @@ export default function Reports() {
                         <td><strong>Area:</strong></td>
                         <td>{Math.round(site.area)} m²</td>
                       </tr>
+                      {site.encroachment && (
+                        <tr>
+                          <td><strong>Encroached:</strong></td>
+                          <td>{Math.round(site.encroachment.area)} m² ({site.encroachment.percent.toFixed(1)}% of structure)</td>
+                        </tr>
+                      )}
                     </tbody>
                   </Table>
                 </Col>
@@ -249,10 +341,42 @@ export default function Reports() {
                           {new Date(site.detectedDate).toLocaleString()}
                         </td>
                       </tr>
+                      <tr>
+                        <td><strong>Built:</strong></td>
+                        <td>
+                          {describeConstructionWindow(site.constructionWindow)}
+                          {site.changeWindows?.length > 1 && (
+                            <small className="text-muted d-block">
+                              Changed again: {site.changeWindows.slice(1).map(describeConstructionWindow).join("; ")}
+                            </small>
+                          )}
+                        </td>
+                      </tr>
                       <tr>
                         <td><strong>Confidence:</strong></td>
                         <td>{(site.confidence * 100).toFixed(1)}%</td>
                       </tr>
+                      {site.models && (
+                        <tr>
+                          <td><strong>Models:</strong></td>
+                          <td className="small">{describeModels(site.models)}</td>
+                        </tr>
+                      )}
+                      {site.changeRegion && (
+                        <tr>
+                          <td><strong>Change Region:</strong></td>
+                          <td className="small">{describeChangeRegion(site.changeRegion)}</td>
+                        </tr>
+                      )}
+                      {site.fallback && (
+                        <tr>
+                          <td><strong>Method:</strong></td>
+                          <td className="small">
+                            <Badge bg="secondary" className="me-1">Classical fallback</Badge>
+                            {site.fallbackConfirmedAt && <>confirmed {new Date(site.fallbackConfirmedAt).toLocaleString()}</>}
+                          </td>
+                        </tr>
+                      )}
                       {site.reportedDate && (
                         <tr>
                           <td><strong>Reported:</strong></td>
@@ -266,6 +390,12 @@ export default function Reports() {
             </Card.Body>
           </Card>
 
+          {site.skippedRules?.length > 0 && (
+            <Alert variant="warning">
+              These zoning rules were not checked because their GIS layer failed to load: {site.skippedRules.join(", ")}
+            </Alert>
+          )}
+
           {/* Violations */}
           {site.violations && site.violations.length > 0 && (
             <Card className="shadow-sm mb-4">
@@ -285,14 +415,17 @@ export default function Reports() {
                   <tbody>
                     {site.violations.map((violation, idx) => (
                       <tr key={idx}>
-                        <td><strong>{violation.type}</strong></td>
+                        <td>
+                          <strong>{violation.type}</strong>
+                          {violation.reference && <div className="small text-muted">{violation.reference}</div>}
+                        </td>
                         <td>{violation.feature}</td>
                         <td>
                           <Badge bg={violation.severity === "HIGH" ? "danger" : "warning"}>
                             {violation.severity}
                           </Badge>
                         </td>
-                        <td>{violation.distance || "N/A"}</td>
+                        <td>{describeViolationExtent(violation)}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -307,61 +440,59 @@ export default function Reports() {
               <h4 className="mb-0">🛰 Before/After Satellite Imagery</h4>
             </Card.Header>
             <Card.Body>
-              <Row>
-                <Col md={6}>
-                  <div className="text-center mb-2">
-                    <strong>Before Image</strong>
-                    <small className="d-block text-muted">
-                      Historical Baseline: <strong>2006</strong> (~18+ years ago)
-                    </small>
-                  </div>
-                  {site.evidence?.beforeImage ? (
-                    <img
-                      src={site.evidence.beforeImage}
-                      alt="Before"
-                      className="img-fluid rounded border"
-                      style={{ maxHeight: "300px", width: "100%", objectFit: "cover" }}
-                      onError={(e) => {
-                        e.target.src = "https://via.placeholder.com/400x300?text=Before+Image";
-                      }}
-                    />
-                  ) : (
-                    <div className="border rounded d-flex align-items-center justify-content-center bg-light" style={{ height: "300px" }}>
-                      <p className="text-muted">Before image not available</p>
-                    </div>
-                  )}
-                </Col>
-                <Col md={6}>
-                  <div className="text-center mb-2">
-                    <strong>After Image</strong>
-                    <small className="d-block text-muted">Current</small>
-                  </div>
-                  {site.evidence?.afterImage ? (
-                    <img
-                      src={site.evidence.afterImage}
-                      alt="After"
-                      className="img-fluid rounded border"
-                      style={{ maxHeight: "300px", width: "100%", objectFit: "cover" }}
-                      onError={(e) => {
-                        e.target.src = "https://via.placeholder.com/400x300?text=After+Image";
-                      }}
-                    />
-                  ) : (
-                    <div className="border rounded d-flex align-items-center justify-content-center bg-light" style={{ height: "300px" }}>
-                      <p className="text-muted">After image not available</p>
-                    </div>
-                  )}
-                </Col>
-              </Row>
+              {site.evidence?.beforeImage || site.evidence?.afterImage ? (
+                <ImageComparison
+                  beforeImage={site.evidence.beforeImage}
+                  afterImage={site.evidence.afterImage}
+                  beforeLabel={`Before · ${imageryYearLabel(site.evidence.beforeDate, "Baseline")}`}
+                  afterLabel={`After · ${imageryYearLabel(site.evidence.afterDate, "Current")}`}
+                  geoTransform={site.evidence.geoTransform}
+                  footprints={[{ id: site.id, footprint: site.footprint, color: "#dc3545" }]}
+                />
+              ) : (
+                <div className="border rounded d-flex align-items-center justify-content-center bg-light" style={{ height: "300px" }}>
+                  <p className="text-muted">Satellite imagery not available</p>
+                </div>
+              )}
               <Alert variant="info" className="mt-3 mb-0">
                 <small>
-                  <strong>Analysis Note:</strong> These satellite images compare the area from the historical baseline (2006) with current imagery.
-                  This 18+ year comparison period provides maximum accuracy in detecting illegal constructions and encroachments.
-                  The system identified new structures through AI-powered change detection analysis comparing imagery from 2006 to present.
+                  <strong>Analysis Note:</strong> These satellite images are the two imagery epochs the structure was first seen between
+                  {site.constructionWindow ? ` (${site.constructionWindow.from} and ${site.constructionWindow.to})` : ""}.
+                  The construction date window decides whether a structure predates a regulation or court order; a multi-epoch
+                  time series on Site Check narrows it down.
                 </small>
               </Alert>
             </Card.Body>
           </Card>
+
+          {/* Imagery Provenance */}
+          {site.evidence?.imagery && (
+            <Card className="shadow-sm mt-4">
+              <Card.Header>
+                <h4 className="mb-0">🧾 Imagery Provenance</h4>
+              </Card.Header>
+              <Card.Body>
+                <Table responsive size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>Before</th>
+                      <th>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {imageryEvidenceRows(site.evidence.imagery).map(([field, before, after]) => (
+                      <tr key={field}>
+                        <td><strong>{field}</strong></td>
+                        <td className="small text-break">{before}</td>
+                        <td className="small text-break">{after}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          )}
         </Col>
 
         {/* Sidebar */}
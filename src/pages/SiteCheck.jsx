@@ -1,9 +1,23 @@
-import React, { useState, useEffect } from "react";
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from "react-leaflet";
+import React, { useState, useEffect, useRef } from "react";
+import { MapContainer, TileLayer, Marker, Popup, Circle, GeoJSON, Rectangle, useMap, useMapEvents } from "react-leaflet";
 import L from "leaflet";
-import { analyzeSite, parseCoordinates } from "../services/api";
-import { Alert, Spinner, Card, Button, Row, Col } from "react-bootstrap";
-import { loadGISLayers } from "../services/gisService";
+import { analyzeSite, parseCoordinates, confirmFallbackSites, isPersistable } from "../services/api";
+import { Alert, Spinner, Card, Button, ButtonGroup, Row, Col, ProgressBar, Form, Table, Badge } from "react-bootstrap";
+import { loadGISLayers, getLayerLoadProblems } from "../services/gisService";
+import GISOverlayLayers from "../components/GISOverlayLayers";
+import ImageComparison from "../components/ImageComparison";
+import TimelineScrubber from "../components/TimelineScrubber";
+import LocalImageryInput from "../components/LocalImageryInput";
+import ImageryCachePanel from "../components/ImageryCachePanel";
+import AOIDrawControl from "../components/AOIDrawControl";
+import { createDrawnAOI, parseAOIFile, describeAOI } from "../services/aoiService";
+import { listWaterbodies, findWaterbodyAt, prepareLake, analyzeLake, lakeInventoryRows } from "../services/lakeService";
+import { downloadCSV } from "../services/csv";
+import { EPOCH_STEPS, planEpochs, withUploadedImagery, describeConstructionWindow, existedBy } from "../services/timeSeriesService";
+import { DEFAULT_BASELINE_YEAR } from "../services/satelliteService";
+import { describeCaptureDate } from "../services/imageryProviders";
+import { isAbortError } from "../services/mlModelService";
+import { DEFAULT_REGION_FILTER, resolveRegionFilter } from "../services/changeDetectionService";
 
 // Fix for default marker icon
 delete L.Icon.Default.prototype._getIconUrl;
@@ -22,6 +36,58 @@ function MapCenter({ center, zoom }) {
   return null;
 }
 
+// Zoom the map to an area of interest
+function FitAOI({ aoi }) {
+  const map = useMap();
+  useEffect(() => {
+    if (aoi) map.fitBounds(L.geoJSON(aoi.geometry).getBounds(), { padding: [20, 20] });
+  }, [map, aoi]);
+  return null;
+}
+
+// Pick a waterbody by clicking inside it
+function WaterbodyPicker({ active, onPick }) {
+  useMapEvents({
+    click: (e) => {
+      if (active) onPick(e.latlng.lat, e.latlng.lng);
+    }
+  });
+  return null;
+}
+
+// Ways to define the area of interest
+const AOI_MODES = [
+  { id: "radius", label: "📍 Radius" },
+  { id: "polygon", label: "⬠ Polygon" },
+  { id: "rectangle", label: "▭ Rectangle" },
+  { id: "import", label: "📂 Import" },
+  { id: "lake", label: "🌊 Lake" }
+];
+
+// Lake FTL and buffer ring styles, innermost first
+const LAKE_ZONE_STYLES = [
+  { color: "#0d47a1", fillColor: "#1e88e5", fillOpacity: 0.25, weight: 2 },
+  { color: "#e65100", fillColor: "#ff9800", fillOpacity: 0.25, weight: 1, dashArray: "4 4" },
+  { color: "#f9a825", fillColor: "#fdd835", fillOpacity: 0.2, weight: 1, dashArray: "4 4" }
+];
+
+// Scan tile outline colours by status
+const TILE_COLORS = {
+  pending: "#adb5bd",
+  scanning: "#0d6efd",
+  done: "#20c997",
+  failed: "#dc3545"
+};
+
+// Inference stages reported by the ML worker (mlModelService)
+const INFERENCE_STAGES = {
+  "loading-models": "loading models",
+  decoding: "decoding imagery",
+  unet: "UNet change detection",
+  maskrcnn: "Mask R-CNN building detection",
+  postprocess: "post-processing"
+};
+
 export default function SiteCheck() {
   const [coordinates, setCoordinates] = useState("");
   const [radius, setRadius] = useState("2");
@@ -30,18 +96,140 @@ export default function SiteCheck() {
   const [result, setResult] = useState(null);
   const [mapCenter, setMapCenter] = useState([17.3850, 78.4867]); // Default: Hyderabad
   const [mapZoom, setMapZoom] = useState(13);
-  const [gisLayers, setGisLayers] = useState(null);
-  const [imageLoading, setImageLoading] = useState({ before: false, after: false });
+  const [layerProblems, setLayerProblems] = useState([]);
+  const [scanProgress, setScanProgress] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
+  const [savingFallback, setSavingFallback] = useState(false);
+  const abortRef = useRef(null);
+  const [aoiMode, setAoiMode] = useState("radius");
+  const [aoi, setAoi] = useState(null);
+  const [drawing, setDrawing] = useState(false);
+  const [waterbodies, setWaterbodies] = useState([]);
+  const [lake, setLake] = useState(null);
+  const [lakeZones, setLakeZones] = useState(null);
+  const [detectWaterLoss, setDetectWaterLoss] = useState(true);
+  const [baselineYear, setBaselineYear] = useState(String(DEFAULT_BASELINE_YEAR));
+  const [epochStep, setEpochStep] = useState(0);
+  const [timelineIndex, setTimelineIndex] = useState(1);
+  const [uploads, setUploads] = useState({ before: null, after: null });
+  // Blank fields keep the default change region filter
+  const [regionInputs, setRegionInputs] = useState({ minArea: "", maxArea: "", maxRegions: "" });
 
   useEffect(() => {
     // Load GIS layers on mount
-    loadGISLayers().then(setGisLayers).catch(console.error);
+    loadGISLayers()
+      .then(() => setLayerProblems(getLayerLoadProblems()))
+      .catch(console.error);
   }, []);
 
+  // Leaving the page stops a running analysis
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleModeChange = (mode) => {
+    setAoiMode(mode);
+    setAoi(null);
+    setError(null);
+    setDrawing(false);
+    setLake(null);
+    setLakeZones(null);
+
+    if (mode === "lake" && waterbodies.length === 0) {
+      listWaterbodies()
+        .then(setWaterbodies)
+        .catch(err => setError(`Could not load waterbodies: ${err.message}`));
+    }
+  };
+
+  const handleLakeSelect = async (waterbody) => {
+    setError(null);
+    setLake(waterbody);
+    if (!waterbody) {
+      setAoi(null);
+      setLakeZones(null);
+      return;
+    }
+    try {
+      const { aoi: lakeAOI, zones } = await prepareLake(waterbody);
+      setAoi(lakeAOI);
+      setLakeZones(zones);
+    } catch (err) {
+      setError(err.message || "Could not build the lake buffer zones");
+    }
+  };
+
+  const handleLakePick = (lat, lng) => {
+    const waterbody = findWaterbodyAt(waterbodies, lat, lng);
+    if (waterbody) handleLakeSelect(waterbody);
+  };
+
+  const handleDrawComplete = (ring) => {
+    setDrawing(false);
+    try {
+      setAoi(createDrawnAOI(ring, aoiMode));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFileImport = async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+    setError(null);
+    try {
+      setAoi(await parseAOIFile(file));
+    } catch (err) {
+      setAoi(null);
+      setError(err.message || "Could not import the area of interest");
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
+    setCancelled(false);
     setResult(null);
+    setScanProgress(null);
+
+    let epochs;
+    let regionFilter;
+    try {
+      epochs = withUploadedImagery(planEpochs({ startYear: baselineYear, stepYears: epochStep }), uploads);
+      regionFilter = Object.fromEntries(
+        Object.entries(regionInputs).filter(([, value]) => value !== "").map(([key, value]) => [key, Number(value)])
+      );
+      resolveRegionFilter(regionFilter);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (aoiMode === "lake") {
+      if (!lake) {
+        setError("Please choose a waterbody by name or click one on the map");
+        return;
+      }
+
+      // Only the FTL and its buffer rings are scanned
+      await runAnalysis(
+        (signal) => analyzeLake(lake, { onProgress: setScanProgress, signal, waterShrinkage: detectWaterLoss, epochs, regionFilter }),
+        "Lake analysis failed. Please try again."
+      );
+      return;
+    }
+
+    if (aoiMode !== "radius") {
+      if (!aoi) {
+        setError(aoiMode === "import"
+          ? "Please choose a GeoJSON or KML file"
+          : `Please draw a ${aoiMode} on the map`);
+        return;
+      }
+
+      // Analysis covers exactly the drawn or imported area
+      await runAnalysis((signal) => analyzeSite(null, null, null, { onProgress: setScanProgress, signal, aoi, epochs, regionFilter }));
+      return;
+    }
     
     if (!coordinates.trim()) {
       setError("Please enter coordinates");
@@ -54,28 +242,64 @@ export default function SiteCheck() {
       return;
     }
 
-    setLoading(true);
     setMapCenter([lat, lng]);
     setMapZoom(Math.max(12, 15 - parseFloat(radius || 2)));
 
+    // The map stays on the search circle: detections can be anywhere inside it
+    await runAnalysis((signal) => analyzeSite(coordinates, radius, null, { onProgress: setScanProgress, signal, epochs, regionFilter }));
+  };
+
+  // Runs an analysis that the Cancel button can abort
+  const runAnalysis = async (analyze, failureMessage = "Analysis failed. Please try again.") => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setLoading(true);
     try {
-      const analysisResult = await analyzeSite(coordinates, radius);
-      setResult(analysisResult);
-      
-      if (analysisResult.hasChange && analysisResult.sites) {
-        // Center on first detected site if any
-        if (analysisResult.sites.length > 0) {
-          const firstSite = analysisResult.sites[0];
-          setMapCenter([firstSite.coordinates.lat, firstSite.coordinates.lng]);
-        }
-      }
+      showResult(await analyze(controller.signal));
     } catch (err) {
-      setError(err.message || "Analysis failed. Please try again.");
+      if (isAbortError(err)) {
+        setCancelled(true);
+      } else {
+        setError(err.message || failureMessage);
+      }
     } finally {
+      abortRef.current = null;
       setLoading(false);
     }
   };
 
+  const handleCancel = () => abortRef.current?.abort();
+
+  // Classical fallback detections reach the register only through this button
+  const handleConfirmFallback = async () => {
+    setSavingFallback(true);
+    try {
+      const confirmed = await confirmFallbackSites(result.sites.filter(site => !isPersistable(site)));
+      const byId = new Map(confirmed.map(site => [site.id, site]));
+      setResult(current => ({
+        ...current,
+        sites: current.sites.map(site => byId.get(site.id) || site),
+        unconfirmedSites: 0
+      }));
+    } catch (err) {
+      setError(err.message || "Could not save the fallback detections");
+    } finally {
+      setSavingFallback(false);
+    }
+  };
+
+  // Timeline opens on the latest epoch
+  const showResult = (analysisResult) => {
+    setResult(analysisResult);
+    setTimelineIndex((analysisResult.timeline?.length || 2) - 1);
+  };
+
+  const scanTiles = loading ? scanProgress?.tiles : result?.tiles;
+  // The map shows the structures that existed at the selected timeline epoch
+  const timelineDate = result?.timeline?.[timelineIndex]?.date;
+  const visibleSites = (result?.sites || []).filter(site => !timelineDate || existedBy(site, timelineDate));
+  const failedTiles = result?.tiles?.filter(tile => tile.status === "failed").length || 0;
+
   const getRiskColor = (riskLevel) => {
     switch (riskLevel) {
       case "HIGH": return "#dc3545";
@@ -95,6 +319,92 @@ export default function SiteCheck() {
             </Card.Header>
             <Card.Body>
               <form onSubmit={handleSubmit}>
+                <div className="mb-3">
+                  <label className="form-label d-block">Area of Interest</label>
+                  <ButtonGroup className="w-100">
+                    {AOI_MODES.map(mode => (
+                      <Button
+                        key={mode.id}
+                        variant={aoiMode === mode.id ? "primary" : "outline-primary"}
+                        size="sm"
+                        onClick={() => handleModeChange(mode.id)}
+                        disabled={loading}
+                      >
+                        {mode.label}
+                      </Button>
+                    ))}
+                  </ButtonGroup>
+                </div>
+
+                {(aoiMode === "polygon" || aoiMode === "rectangle") && (
+                  <div className="mb-3">
+                    <Button
+                      variant={drawing ? "warning" : "outline-secondary"}
+                      className="w-100"
+                      onClick={() => setDrawing(!drawing)}
+                      disabled={loading}
+                    >
+                      {drawing ? "✖ Cancel Drawing" : aoi ? "✏️ Redraw on Map" : "✏️ Draw on Map"}
+                    </Button>
+                    <small className="text-muted">
+                      {aoiMode === "polygon"
+                        ? "Click to add points; click the first point or double-click to finish. Esc cancels."
+                        : "Click two opposite corners. Esc cancels."}
+                    </small>
+                  </div>
+                )}
+
+                {aoiMode === "import" && (
+                  <div className="mb-3">
+                    <Form.Control
+                      type="file"
+                      accept=".geojson,.json,.kml"
+                      onChange={handleFileImport}
+                      disabled={loading}
+                    />
+                    <small className="text-muted">
+                      GeoJSON or KML with the boundary polygon(s) (lake boundary, survey number, layout)
+                    </small>
+                  </div>
+                )}
+
+                {aoiMode === "lake" && (
+                  <div className="mb-3">
+                    <Form.Select
+                      value={lake?.id || ""}
+                      onChange={(e) => handleLakeSelect(waterbodies.find(w => w.id === e.target.value) || null)}
+                      disabled={loading || waterbodies.length === 0}
+                    >
+                      <option value="">{waterbodies.length ? "Choose a waterbody…" : "Loading waterbodies…"}</option>
+                      {waterbodies.map(waterbody => (
+                        <option key={waterbody.id} value={waterbody.id}>
+                          {waterbody.name} ({waterbody.areaHa.toFixed(1)} ha)
+                        </option>
+                      ))}
+                    </Form.Select>
+                    <small className="text-muted">
+                      Or click a waterbody on the map. Its FTL and buffer rings are scanned for structures.
+                    </small>
+                    <Form.Check
+                      type="checkbox"
+                      id="detect-water-loss"
+                      className="mt-2"
+                      label="Detect lake filling (open water lost since the baseline)"
+                      checked={detectWaterLoss}
+                      onChange={(e) => setDetectWaterLoss(e.target.checked)}
+                      disabled={loading}
+                    />
+                  </div>
+                )}
+
+                {aoiMode !== "radius" && aoi && (
+                  <Alert variant="secondary" className="py-2">
+                    <small><strong>AOI:</strong> {describeAOI(aoi)}</small>
+                  </Alert>
+                )}
+
+                {aoiMode === "radius" && (
+                <>
                 <div className="mb-3">
                   <label className="form-label">Coordinates</label>
             <input
@@ -103,7 +413,6 @@ export default function SiteCheck() {
               value={coordinates}
               onChange={(e) => setCoordinates(e.target.value)}
               className="form-control"
-                    required
                   />
                   <small className="text-muted">
                     Enter coordinates within Hyderabad region
@@ -123,6 +432,109 @@ export default function SiteCheck() {
                     step="0.5"
                   />
                 </div>
+                </>
+                )}
+
+                <Row className="mb-3 g-2">
+                  <Col xs={5}>
+                    <Form.Label className="small mb-1">Baseline year</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="2000"
+                      max={new Date().getFullYear() - 1}
+                      value={baselineYear}
+                      onChange={(e) => setBaselineYear(e.target.value)}
+                      disabled={loading}
+                    />
+                  </Col>
+                  <Col xs={7}>
+                    <Form.Label className="small mb-1">Imagery epochs</Form.Label>
+                    <Form.Select
+                      value={epochStep}
+                      onChange={(e) => setEpochStep(Number(e.target.value))}
+                      disabled={loading}
+                    >
+                      {EPOCH_STEPS.map(step => (
+                        <option key={step.years} value={step.years}>{step.label}</option>
+                      ))}
+                    </Form.Select>
+                  </Col>
+                  <Col xs={12}>
+                    <small className="text-muted">
+                      A time series compares each pair of consecutive epochs, so every structure is dated to the window it appeared in.
+                    </small>
+                  </Col>
+                </Row>
+
+                <details className="mb-3">
+                  <summary className="small fw-semibold">🧩 Change regions</summary>
+                  <Row className="mt-2 g-2">
+                    <Col xs={4}>
+                      <Form.Label className="small mb-1">Min area (m²)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        placeholder={String(DEFAULT_REGION_FILTER.minArea)}
+                        value={regionInputs.minArea}
+                        onChange={(e) => setRegionInputs(prev => ({ ...prev, minArea: e.target.value }))}
+                        disabled={loading}
+                      />
+                    </Col>
+                    <Col xs={4}>
+                      <Form.Label className="small mb-1">Max area (m²)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        placeholder={DEFAULT_REGION_FILTER.maxArea == null ? "No limit" : String(DEFAULT_REGION_FILTER.maxArea)}
+                        value={regionInputs.maxArea}
+                        onChange={(e) => setRegionInputs(prev => ({ ...prev, maxArea: e.target.value }))}
+                        disabled={loading}
+                      />
+                    </Col>
+                    <Col xs={4}>
+                      <Form.Label className="small mb-1">Per tile</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        step="1"
+                        placeholder={String(DEFAULT_REGION_FILTER.maxRegions)}
+                        value={regionInputs.maxRegions}
+                        onChange={(e) => setRegionInputs(prev => ({ ...prev, maxRegions: e.target.value }))}
+                        disabled={loading}
+                      />
+                    </Col>
+                    <Col xs={12}>
+                      <small className="text-muted">
+                        Which changed areas found by UNet are passed on to building detection; the largest are kept when a tile has more than the limit.
+                      </small>
+                    </Col>
+                  </Row>
+                </details>
+
+                <details className="mb-3">
+                  <summary className="small fw-semibold">📁 Own imagery (GeoTIFF / orthophoto)</summary>
+                  <div className="mt-2">
+                    <LocalImageryInput
+                      label="Before (replaces the baseline)"
+                      value={uploads.before}
+                      onChange={(raster) => setUploads(prev => ({ ...prev, before: raster }))}
+                      disabled={loading}
+                    />
+                    <LocalImageryInput
+                      label="After (replaces current imagery)"
+                      value={uploads.after}
+                      onChange={(raster) => setUploads(prev => ({ ...prev, after: raster }))}
+                      disabled={loading}
+                    />
+                    <small className="text-muted">
+                      A GeoTIFF, or a PNG/JPEG with its world file (and .prj). Only the part of the area covered by the uploads is analysed; with both uploaded no imagery is fetched.
+                    </small>
+                  </div>
+                </details>
+
+                <div className="mb-3">
+                  <ImageryCachePanel disabled={loading} />
+                </div>
 
                 <Button
                   type="submit"
@@ -139,43 +551,129 @@ export default function SiteCheck() {
                     "🔍 Check Site"
                   )}
                 </Button>
+                {loading && (
+                  <Button variant="outline-secondary" className="w-100 mt-2" onClick={handleCancel}>
+                    ⏹️ Cancel
+                  </Button>
+                )}
           </form>
 
+              {loading && scanProgress && (
+                <div className="mt-3">
+                  <ProgressBar
+                    animated
+                    now={scanProgress.total ? scanProgress.completed / scanProgress.total * 100 : 0}
+                  />
+                  <small className="text-muted">
+                    {scanProgress.window?.count > 1 && (
+                      <>Epoch {scanProgress.window.from} → {scanProgress.window.to} ({scanProgress.window.index + 1} of {scanProgress.window.count}) • </>
+                    )}
+                    {scanProgress.completed < scanProgress.total
+                      ? `Scanning tile ${scanProgress.completed + 1} of ${scanProgress.total}`
+                      : `Scanned ${scanProgress.total} tile(s), checking zoning rules`}
+                    {scanProgress.stage && scanProgress.completed < scanProgress.total && (
+                      ` (${INFERENCE_STAGES[scanProgress.stage] || scanProgress.stage}${scanProgress.inferenceWindows?.total > 1
+                        ? `, window ${scanProgress.inferenceWindows.completed + 1} of ${scanProgress.inferenceWindows.total}`
+                        : ""})`
+                    )}
+                    {" "}• {scanProgress.detections} detection(s) so far
+                  </small>
+                </div>
+              )}
+
+              {cancelled && (
+                <Alert variant="secondary" className="mt-3">
+                  Analysis cancelled. No sites were recorded.
+                </Alert>
+              )}
+
               {error && (
                 <Alert variant="danger" className="mt-3">
                   {error}
                 </Alert>
               )}
 
+              {layerProblems.length > 0 && (
+                <Alert variant="warning" className="mt-3">
+                  <strong>Some zoning rules cannot be checked:</strong>
+                  <ul className="mb-0">
+                    {layerProblems.map(problem => (
+                      <li key={problem.ruleId}>
+                        {problem.ruleId} - layer "{problem.layer}" failed to load ({problem.error})
+                      </li>
+                    ))}
+                  </ul>
+                </Alert>
+              )}
+
               {result && (
                 <div className="mt-4">
                   {result.method && (
                     <Alert variant="info" className="mb-2">
                       <small>
                         <strong>🔬 Detection Method:</strong> {result.method}
-                        {result.method.includes('UNet') && result.changeRegions && (
-                          <span> • {result.changeRegions} change regions detected</span>
+                        {result.method.includes('UNet') && (result.changeRegions > 0 || result.regionsFound > 0) && (
+                          <span>
+                            {" "}• {result.changeRegions} change regions detected
+                            {result.regionsFound > result.changeRegions && <> ({result.regionsFound - result.changeRegions} filtered out)</>}
+                          </span>
                         )}
-                        {result.method.includes('UNet') && result.buildingsDetected && (
+                        {result.method.includes('UNet') && result.buildingsDetected > 0 && (
                           <span> • {result.buildingsDetected} buildings identified</span>
                         )}
+                        {result.tiles && (
+                          <span> • {result.tiles.length} imagery tile(s) over {describeAOI(result.aoi)}</span>
+                        )}
                       </small>
                     </Alert>
                   )}
-                  {(imageLoading.before || imageLoading.after) && (
-                    <Alert variant="info" className="mb-2">
+                  {failedTiles > 0 && (
+                    <Alert variant="warning" className="mb-2">
+                      <small>
+                        ⚠️ {failedTiles} tile(s) could not be analysed; detections in those parts of the area of interest may be missing.
+                        {result.imageryCoverage?.offline && " Offline mode: these tiles have no cached imagery."}
+                      </small>
+                    </Alert>
+                  )}
+                  {result.imageryCoverage?.incompleteTiles > 0 && (
+                    <Alert variant="warning" className="mb-2">
                       <small>
-                        <Spinner animation="border" size="sm" className="me-2" />
-                        Loading satellite imagery from NASA GIBS / Esri...
+                        ⚠️ Incomplete imagery: {result.imageryCoverage.incompleteTiles} tile(s) were analysed with part of their imagery missing
+                        {result.imageryCoverage.offline ? " from the offline cache" : ""} (grey on the map tiles and in the comparison).
+                        Changes in the missing parts are not detected; re-run online for full coverage.
                       </small>
                     </Alert>
                   )}
+                  {result.fallbackTiles > 0 && (
+                    <Alert variant="warning" className="mb-2">
+                      <small>
+                        🧮 The ML models could not run on {result.fallbackTiles} tile(s); they were analysed with classical
+                        change-vector analysis instead. Those regions are unclassified changes, not confirmed buildings.
+                        {result.unconfirmedSites > 0 && (
+                          <> {result.unconfirmedSites} fallback detection(s) have <strong>not been saved</strong>; review them before adding them to the register.</>
+                        )}
+                      </small>
+                      {result.unconfirmedSites > 0 && (
+                        <div className="mt-2">
+                          <Button size="sm" variant="outline-dark" onClick={handleConfirmFallback} disabled={savingFallback}>
+                            {savingFallback ? "Saving..." : "💾 Save to register"}
+                          </Button>
+                        </div>
+                      )}
+                    </Alert>
+                  )}
+                  {result.imageryCoverage?.offline && !result.imageryCoverage.incompleteTiles && !failedTiles && (
+                    <Alert variant="secondary" className="mb-2">
+                      <small>📴 Analysed offline from fully cached imagery.</small>
+                    </Alert>
+                  )}
                   {result.hasChange ? (
                     <>
                       <Alert variant="warning" className="mb-3">
                         <strong>⚠️ Changes Detected!</strong>
                         <br />
-                        Found {result.sites.length} potential construction site(s)
+                        Found {result.sites.filter(site => site.changeType !== "lake-filling").length} potential construction site(s)
+                        {result.waterLoss?.regions > 0 && <> and {result.waterLoss.regions} lake filling region(s)</>}
                       </Alert>
                       
                       <div className="mb-3">
@@ -186,9 +684,16 @@ export default function SiteCheck() {
                               <div className="d-flex justify-content-between align-items-center">
                                 <div>
                                   <strong>{site.type}</strong>
+                                  {site.fallback && (
+                                    <Badge bg="secondary" className="ms-2">
+                                      Classical fallback{!site.fallbackConfirmedAt && " · not saved"}
+                                    </Badge>
+                                  )}
                                   <br />
                                   <small className="text-muted">
                                     {site.district} • {Math.round(site.area)}m²
+                                    {site.lake && <> • {site.lake.zoneLabel}</>}
+                                    {site.constructionWindow && <> • {describeConstructionWindow(site.constructionWindow)}</>}
                                   </small>
                                 </div>
                                 <span
@@ -236,9 +741,53 @@ export default function SiteCheck() {
                   attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; Esri'
                   url="https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}"
                 />
+                <GISOverlayLayers />
+                <FitAOI aoi={aoi} />
+                <WaterbodyPicker active={aoiMode === "lake" && !loading} onPick={handleLakePick} />
+                <AOIDrawControl
+                  mode={drawing ? aoiMode : null}
+                  onComplete={handleDrawComplete}
+                  onCancel={() => setDrawing(false)}
+                />
+
+                {/* Lake FTL and buffer rings */}
+                {aoiMode === "lake" && lakeZones?.map((zone, idx) => zone.geometry && (
+                  <GeoJSON
+                    key={`${lake.id}-${zone.id}`}
+                    data={zone.geometry}
+                    style={LAKE_ZONE_STYLES[Math.min(idx, LAKE_ZONE_STYLES.length - 1)]}
+                  >
+                    <Popup>{lake.name} • {zone.label}</Popup>
+                  </GeoJSON>
+                ))}
+
+                {/* Drawn or imported area of interest */}
+                {aoiMode !== "radius" && aoiMode !== "lake" && aoi && (
+                  <GeoJSON
+                    key={aoi.id}
+                    data={aoi.geometry}
+                    style={{
+                      color: "#007bff",
+                      fillColor: "#007bff",
+                      fillOpacity: 0.1,
+                      weight: 2
+                    }}
+                  />
+                )}
                 
+                {/* Footprints of uploaded imagery */}
+                {[uploads.before, uploads.after].filter(Boolean).map(raster => (
+                  <GeoJSON
+                    key={`upload-${raster.name}`}
+                    data={raster.footprint}
+                    style={{ color: "#6f42c1", fill: false, weight: 2, dashArray: "8 4" }}
+                  >
+                    <Popup>Uploaded imagery • {raster.name}{raster.captureDate ? ` • ${raster.captureDate}` : ""}</Popup>
+                  </GeoJSON>
+                ))}
+
                 {/* Search area circle */}
-                {coordinates && !loading && (() => {
+                {aoiMode === "radius" && coordinates && !loading && (() => {
                   const { lat, lng } = parseCoordinates(coordinates);
                   if (lat && lng) {
                     return (
@@ -257,8 +806,45 @@ export default function SiteCheck() {
                   return null;
                 })()}
 
+                {/* Imagery tiles of the area scan */}
+                {scanTiles?.map(tile => (
+                  <Rectangle
+                    key={`tile-${tile.id}`}
+                    bounds={[[tile.bounds.south, tile.bounds.west], [tile.bounds.north, tile.bounds.east]]}
+                    pathOptions={{
+                      color: TILE_COLORS[tile.status] || TILE_COLORS.pending,
+                      fill: tile.status === "scanning",
+                      fillOpacity: 0.1,
+                      weight: 1,
+                      dashArray: tile.status === "pending" ? "4 4" : null
+                    }}
+                  >
+                    <Popup>
+                      Tile {tile.id} • {tile.status}
+                      {tile.detections > 0 && <> • {tile.detections} detection(s)</>}
+                      {tile.coverage < 1 && <> • {Math.round(tile.coverage * 100)}% imagery</>}
+                      {tile.error && <><br /><small>{tile.error}</small></>}
+                    </Popup>
+                  </Rectangle>
+                ))}
+
+                {/* Detected building footprints */}
+                {visibleSites.filter(site => site.footprint).map((site, idx) => (
+                  <GeoJSON
+                    key={`footprint-${site.id || idx}`}
+                    data={site.footprint}
+                    style={{
+                      color: getRiskColor(site.riskLevel),
+                      fillColor: getRiskColor(site.riskLevel),
+                      fillOpacity: 0.35,
+                      weight: 2,
+                      ...(site.changeType === "lake-filling" ? { dashArray: "6 4" } : {})
+                    }}
+                  />
+                ))}
+
                 {/* Detected sites markers */}
-                {result?.sites?.map((site, idx) => (
+                {visibleSites.map((site, idx) => (
                   <Marker
                     key={idx}
                     position={[site.coordinates.lat, site.coordinates.lng]}
@@ -274,6 +860,12 @@ export default function SiteCheck() {
                         District: {site.district}
                         <br />
                         Area: {Math.round(site.area)}m²
+                        {site.constructionWindow && (
+                          <>
+                            <br />
+                            {describeConstructionWindow(site.constructionWindow)}
+                          </>
+                        )}
                         {site.violations && site.violations.length > 0 && (
                           <>
                             <br />
@@ -294,129 +886,132 @@ export default function SiteCheck() {
           {result && (result.beforeImage || result.afterImage) && (
             <Card className="mt-3 shadow-sm">
               <Card.Header className="bg-info text-white">
-                <h5 className="mb-0">🛰 Before/After Satellite Imagery Comparison</h5>
+                <h5 className="mb-0">
+                  {result.timeline?.length > 2 ? "🛰 Satellite Imagery Timeline" : "🛰 Before/After Satellite Imagery Comparison"}
+                </h5>
               </Card.Header>
               <Card.Body>
-                <Row>
-                  <Col md={6}>
-                    <div className="text-center mb-2">
-                      <strong>Before Image</strong>
-                      <br />
-                      <small className="text-muted">
-                        {result.beforeImageYear ? (
-                          <>
-                            Historical Baseline: <strong>{result.beforeImageYear}</strong>
-                            {result.yearsBack && (
-                              <span> (~{result.yearsBack} years ago)</span>
-                            )}
-                          </>
-                        ) : (
-                          result.beforeImageDate ? 
-                            new Date(result.beforeImageDate).toLocaleDateString() : 
-                            "Historical (2006)"
-                        )}
-                      </small>
-                    </div>
-                    {result.beforeImage ? (
-                      <div className="border rounded overflow-hidden position-relative" style={{ height: "300px" }}>
-                        {imageLoading.before && (
-                          <div className="position-absolute top-50 start-50 translate-middle">
-                            <Spinner animation="border" variant="primary" />
-                          </div>
-                        )}
-                        <img
-                          src={result.beforeImage}
-                          alt="Before - Historical Satellite Image"
-                          className="img-fluid w-100 h-100"
-                          style={{ objectFit: "cover", opacity: imageLoading.before ? 0.5 : 1, minHeight: "300px" }}
-                          onLoad={(e) => {
-                            console.log('✅ Before image loaded successfully');
-                            setImageLoading(prev => ({ ...prev, before: false }));
-                          }}
-                          onLoadStart={() => {
-                            console.log('🔄 Loading before image...');
-                            setImageLoading(prev => ({ ...prev, before: true }));
-                          }}
-                          onError={(e) => {
-                            console.error('❌ Before image failed to load');
-                            setImageLoading(prev => ({ ...prev, before: false }));
-                            // Try alternative: show a test image
-                            if (e.target.src && !e.target.src.includes('placeholder')) {
-                              e.target.style.backgroundColor = '#f0f0f0';
-                              e.target.style.display = 'flex';
-                              e.target.style.alignItems = 'center';
-                              e.target.style.justifyContent = 'center';
-                            }
-                          }}
-                        />
-                      </div>
-                    ) : (
-                      <div className="border rounded d-flex align-items-center justify-content-center bg-light" style={{ height: "300px" }}>
-                        <div className="text-center">
-                          <Spinner animation="border" className="mb-2" />
-                          <p className="text-muted mb-0">Loading historical imagery...</p>
-                        </div>
-                      </div>
-                    )}
-                  </Col>
-                  <Col md={6}>
-                    <div className="text-center mb-2">
-                      <strong>After Image</strong>
-                      <br />
-                      <small className="text-muted">
-                        Current ({result.analysisDate ? new Date(result.analysisDate).toLocaleDateString() : "Today"})
-                      </small>
-                    </div>
-                    {result.afterImage ? (
-                      <div className="border rounded overflow-hidden position-relative" style={{ height: "300px" }}>
-                        {imageLoading.after && (
-                          <div className="position-absolute top-50 start-50 translate-middle">
-                            <Spinner animation="border" variant="primary" />
-                          </div>
-                        )}
-                        <img
-                          src={result.afterImage}
-                          alt="After - Current Satellite Image"
-                          className="img-fluid w-100 h-100"
-                          style={{ objectFit: "cover", opacity: imageLoading.after ? 0.5 : 1, minHeight: "300px" }}
-                          onLoad={(e) => {
-                            console.log('✅ After image loaded successfully');
-                            setImageLoading(prev => ({ ...prev, after: false }));
-                          }}
-                          onLoadStart={() => {
-                            console.log('🔄 Loading after image...');
-                            setImageLoading(prev => ({ ...prev, after: true }));
-                          }}
-                          onError={(e) => {
-                            console.error('❌ After image failed to load');
-                            setImageLoading(prev => ({ ...prev, after: false }));
-                            if (e.target.src && !e.target.src.includes('placeholder')) {
-                              e.target.style.backgroundColor = '#f0f0f0';
-                            }
-                          }}
-                        />
-                      </div>
-                    ) : (
-                      <div className="border rounded d-flex align-items-center justify-content-center bg-light" style={{ height: "300px" }}>
-                        <div className="text-center">
-                          <Spinner animation="border" className="mb-2" />
-                          <p className="text-muted mb-0">Loading current imagery...</p>
+                {result.timeline?.length > 2 ? (
+                  <TimelineScrubber
+                    timeline={result.timeline}
+                    windows={result.windows}
+                    sites={result.sites || []}
+                    value={timelineIndex}
+                    onChange={setTimelineIndex}
+                    getColor={getRiskColor}
+                  />
+                ) : (
+                  <ImageComparison
+                    beforeImage={result.beforeImage}
+                    afterImage={result.afterImage}
+                    beforeLabel={result.beforeImageYear
+                      ? `Before · ${result.beforeImageYear}${result.yearsBack ? ` (~${result.yearsBack} years ago)` : ""}`
+                      : `Before · ${result.beforeImageDate ? new Date(result.beforeImageDate).toLocaleDateString() : "Baseline"}`}
+                    afterLabel={`After · ${result.analysisDate ? new Date(result.analysisDate).toLocaleDateString() : "Today"}`}
+                    changeMaskImage={result.changeMaskImage}
+                    geoTransform={result.geoTransform}
+                    footprints={(result.sites || []).map(site => ({
+                      id: site.id,
+                      footprint: site.footprint,
+                      color: getRiskColor(site.riskLevel)
+                    }))}
+                  />
+                )}
+                {(result.beforeImagery || result.afterImagery) && (
+                  <div className="small text-muted mt-2">
+                    {[["Baseline", result.beforeImagery], ["Latest", result.afterImagery]]
+                      .filter(([, provenance]) => provenance)
+                      .map(([label, provenance]) => (
+                        <div key={label}>
+                          🛰 {label}: {provenance.providerName}{provenance.layer ? ` · ${provenance.layer}` : ""} · z{provenance.nativeZoom} · captured {describeCaptureDate(provenance)}
+                          {!provenance.dateMatched && <Badge bg="warning" text="dark" className="ms-2">Requested date not available</Badge>}
                         </div>
-          </div>
-                    )}
-                  </Col>
-                </Row>
+                      ))}
+                  </div>
+                )}
                 <Alert variant="info" className="mt-3 mb-0">
                   <small>
-                    <strong>Analysis Note:</strong> These satellite images compare the area from the historical baseline ({result.beforeImageYear || '2006'}) with current imagery. 
-                    This {result.yearsBack || '18+'} year comparison period provides maximum accuracy in detecting illegal constructions and encroachments. 
-                    The AI change detection system analyzes these images to identify new structures.
+                    <strong>Analysis Note:</strong>{" "}
+                    {result.timeline?.length > 2
+                      ? <>Each step of the timeline compares two consecutive imagery epochs; drag the slider to see which structures appeared in each window. The map shows the structures that existed at the selected epoch.</>
+                      : <>These satellite images compare the area from the historical baseline ({result.beforeImageYear}) with current imagery, so detected structures are dated to that {result.yearsBack}-year window. Choose an imagery epoch step to narrow it down.</>}
+                    {" "}The AI change detection system analyzes these images to identify new structures.
+                    {result.tiles?.length > 1 && (
+                      <> The images show the centre tile of the {result.tiles.length}-tile area scan; the map shows detections from every tile.</>
+                    )}
                   </small>
                 </Alert>
               </Card.Body>
             </Card>
           )}
 
+          {result?.inventory && (
+            <Card className="mt-3 shadow-sm">
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <h6 className="mb-0">🌊 {result.lake.name} • Structure Inventory</h6>
+                <Button
+                  size="sm"
+                  variant="outline-primary"
+                  disabled={result.sites.length === 0}
+                  onClick={() => downloadCSV(lakeInventoryRows(result), `${result.lake.name.replace(/[^\w-]+/g, "_")}-inventory.csv`)}
+                >
+                  ⬇ Download CSV
+                </Button>
+              </Card.Header>
+              <Card.Body className="p-0">
+                <Table size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Zone</th>
+                      <th>Structures</th>
+                      <th>Built Area</th>
+                      <th>High Risk</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.inventory.map(zone => (
+                      <tr key={zone.zone}>
+                        <td>{zone.label}</td>
+                        <td>{zone.structures}</td>
+                        <td>{Math.round(zone.builtArea)} m²</td>
+                        <td>{zone.highRisk}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+              <Card.Footer>
+                <small className="text-muted">
+                  Lake area {result.lake.areaHa.toFixed(1)} ha. The mapped waterbody outline is used as the FTL; each structure is counted in the innermost zone it touches.
+                </small>
+              </Card.Footer>
+            </Card>
+          )}
+
+          {result?.waterLoss && (
+            <Card className="mt-3 shadow-sm">
+              <Card.Header>
+                <h6 className="mb-0">💧 {result.lake.name} • Water Surface Change</h6>
+              </Card.Header>
+              <Card.Body>
+                {result.waterLoss.regions > 0 ? (
+                  <Alert variant="danger" className="mb-2">
+                    <strong>🚨 Lake Filling:</strong> {Math.round(result.waterLoss.lostArea).toLocaleString()} m² of open water lost
+                    ({result.waterLoss.lostPercent.toFixed(1)}% of the FTL area) in {result.waterLoss.regions} region(s)
+                  </Alert>
+                ) : (
+                  <Alert variant="success" className="mb-2">
+                    ✅ No loss of open water detected since the baseline
+                  </Alert>
+                )}
+                <small className="text-muted">
+                  Water is segmented by colour in the baseline and current imagery{result.waterMethod && <> ({result.waterMethod})</>};
+                  lost regions are outlined with dashed lines on the map. Seasonal drawdown also shows as lost water, so check the imagery dates before acting.
+                </small>
+              </Card.Body>
+            </Card>
+          )}
+
           {result?.hasChange && result.sites && (
             <Card className="mt-3 shadow-sm">
               <Card.Body>
@@ -0,0 +1,196 @@
+/**
+ * Area of Interest Service
+ * Builds, imports and validates the areas an analysis runs over:
+ * a point plus radius, a polygon or rectangle drawn on the map, a
+ * boundary imported from a GeoJSON or KML file, or a lake and its buffers.
+ */
+
+import * as turf from '@turf/turf';
+
+// Coordinates are stored with every resulting site; ~10cm precision is plenty
+const COORDINATE_PRECISION = 6;
+
+/**
+ * Error for an area or location that can never be analysed as given
+ * (retrying does not help)
+ */
+export const invalidInput = (message) => Object.assign(new Error(message), { name: 'InvalidInputError' });
+
+export const isInvalidInputError = (error) => error?.name === 'InvalidInputError';
+
+/**
+ * Wrap a Polygon/MultiPolygon geometry as an AOI record
+ */
+const createAOI = (geometry, { source, name, ...extra }) => {
+  const feature = turf.truncate(turf.feature(geometry), { precision: COORDINATE_PRECISION, coordinates: 2 });
+  const [lng, lat] = turf.centroid(feature).geometry.coordinates;
+
+  return {
+    id: `aoi_${Date.now()}`,
+    source,
+    name,
+    geometry: feature.geometry,
+    center: { lat, lng },
+    areaSqKm: turf.area(feature) / 1e6,
+    createdDate: new Date().toISOString(),
+    ...extra
+  };
+};
+
+/**
+ * Throw if a polygon is unusable as a scan boundary
+ */
+const assertValidPolygon = (polygon) => {
+  const rings = polygon.geometry.coordinates;
+  if (!rings.length || rings[0].length < 4) {
+    throw invalidInput('Area of interest needs at least 3 points');
+  }
+  if (turf.kinks(polygon).features.length > 0) {
+    throw invalidInput('Area of interest boundary crosses itself');
+  }
+  if (turf.area(polygon) === 0) {
+    throw invalidInput('Area of interest has no area');
+  }
+};
+
+/**
+ * Combine polygons into a single AOI geometry (overlaps are dissolved)
+ */
+const combinePolygons = (polygons) => {
+  if (polygons.length === 0) {
+    throw new Error('No polygon found in the file. Lines and points cannot be used as an area of interest.');
+  }
+  polygons.forEach(assertValidPolygon);
+  if (polygons.length === 1) return polygons[0].geometry;
+  return turf.union(turf.featureCollection(polygons)).geometry;
+};
+
+/**
+ * AOI for the classic point plus search radius
+ */
+export const createCircleAOI = (lat, lng, radiusKm) => {
+  const circle = turf.circle([lng, lat], radiusKm, { units: 'kilometers', steps: 64 });
+  return {
+    ...createAOI(circle.geometry, { source: 'radius', name: `${radiusKm} km radius`, radiusKm }),
+    center: { lat, lng }
+  };
+};
+
+/**
+ * AOI from a shape drawn on the map
+ *
+ * @param {Array} latLngs - ring vertices as [lat, lng] (not closed)
+ * @param {string} shape - 'polygon' or 'rectangle'
+ */
+export const createDrawnAOI = (latLngs, shape = 'polygon') => {
+  if (latLngs.length < 3) {
+    throw new Error('Area of interest needs at least 3 points');
+  }
+  const ring = latLngs.map(([lat, lng]) => [lng, lat]);
+  const polygon = turf.polygon([[...ring, ring[0]]]);
+  assertValidPolygon(polygon);
+
+  return createAOI(polygon.geometry, {
+    source: shape,
+    name: shape === 'rectangle' ? 'Drawn rectangle' : 'Drawn polygon'
+  });
+};
+
+/**
+ * AOI covering a lake's FTL and its outermost buffer ring
+ */
+export const createLakeAOI = (boundary, { lakeId, lakeName, bufferMeters }) => {
+  return createAOI(boundary.geometry, {
+    source: 'lake',
+    name: `${lakeName} FTL + ${bufferMeters} m buffer`,
+    lakeId
+  });
+};
+
+/**
+ * Polygons from any GeoJSON object (FeatureCollection, Feature or geometry)
+ */
+const polygonsFromGeoJSON = (geojson) => {
+  const polygons = [];
+  turf.flattenEach(geojson, (feature) => {
+    if (feature.geometry?.type === 'Polygon') polygons.push(feature);
+  });
+  return polygons;
+};
+
+/**
+ * Parse a KML <coordinates> element ("lng,lat[,alt] ...") into a ring
+ */
+const parseKMLRing = (element) => {
+  const text = element?.getElementsByTagName('coordinates')[0]?.textContent || '';
+  return text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+    const [lng, lat] = tuple.split(',').map(Number);
+    return [lng, lat];
+  });
+};
+
+/**
+ * Polygons from a KML document (Placemarks, including MultiGeometry)
+ */
+const polygonsFromKML = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The KML file could not be parsed');
+  }
+
+  const polygons = [...doc.getElementsByTagName('Polygon')].map(polygon => {
+    const outer = parseKMLRing(polygon.getElementsByTagName('outerBoundaryIs')[0]);
+    const inner = [...polygon.getElementsByTagName('innerBoundaryIs')].map(parseKMLRing);
+    const rings = [outer, ...inner].filter(ring => ring.length > 0).map(ring => {
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+    });
+    return turf.polygon(rings);
+  });
+
+  const name = doc.getElementsByTagName('Placemark')[0]?.getElementsByTagName('name')[0]?.textContent
+    || doc.getElementsByTagName('name')[0]?.textContent;
+  return { polygons, name: name?.trim() };
+};
+
+/**
+ * Import an AOI from a .geojson/.json or .kml file
+ */
+export const parseAOIFile = async (file) => {
+  const text = await file.text();
+  const extension = file.name.split('.').pop().toLowerCase();
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+
+  if (extension === 'kml') {
+    const { polygons, name } = polygonsFromKML(text);
+    return createAOI(combinePolygons(polygons), { source: 'import', name: name || baseName, fileName: file.name });
+  }
+
+  if (extension === 'geojson' || extension === 'json') {
+    let geojson;
+    try {
+      geojson = JSON.parse(text);
+    } catch {
+      throw new Error('The GeoJSON file could not be parsed');
+    }
+    const polygons = polygonsFromGeoJSON(geojson);
+    const properties = polygons[0]?.properties || {};
+    const name = properties.name || properties.Name || baseName;
+    return createAOI(combinePolygons(polygons), { source: 'import', name, fileName: file.name });
+  }
+
+  throw new Error(`Unsupported file type ".${extension}". Use a GeoJSON or KML file.`);
+};
+
+/**
+ * The AOI as a GeoJSON feature for turf and map layers
+ */
+export const aoiToFeature = (aoi) => turf.feature(aoi.geometry, { id: aoi.id, name: aoi.name, source: aoi.source });
+
+/**
+ * Short human-readable description ("Drawn polygon · 1.24 km²")
+ */
+export const describeAOI = (aoi) => {
+  if (!aoi) return '';
+  return `${aoi.name} · ${aoi.areaSqKm.toFixed(2)} km²`;
+};
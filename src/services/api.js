@@ -3,84 +3,197 @@
  * Coordinates satellite imagery, change detection, and GIS validation
  */
 
-import { getCurrentImagery, getHistoricalImagery, isWithinHyderabadRegion } from './satelliteService';
+import * as turf from '@turf/turf';
+import { isWithinHyderabadRegion } from './satelliteService';
 import { loadGISLayers, checkProtectedZone, calculateRiskLevel, getDistrict } from './gisService';
-import { detectChanges, processDetectedSite } from './changeDetectionService';
-
-// Store detected sites in localStorage (in production, use backend API)
-const STORAGE_KEY = 'detected_illegal_sites';
+import { processDetectedSite } from './changeDetectionService';
+import { summarizeTile } from './areaScan';
+import { scanTimeSeries, baselineEpochs } from './timeSeriesService';
+import { getSiteStore } from './siteStore';
+import { loadRuleSet } from './ruleEngine';
+import { isOffline } from './tileCache';
+import { createCircleAOI, aoiToFeature, invalidInput } from './aoiService';
 
 /**
- * Perform complete site analysis
+ * Perform complete site analysis over an area of interest.
+ * Without an `aoi` the area is the circle of `radius` km around
+ * `coordinates`. The area is scanned as a grid of imagery tiles; the
+ * centre tile's imagery is returned for the before/after comparison.
+ * With `epochs` (see timeSeriesService.planEpochs) every pair of
+ * consecutive epochs is compared instead of `historicalDate` against today,
+ * and the centre tile's imagery of each epoch is returned as `timeline`.
+ * Epochs with uploaded imagery (timeSeriesService.withUploadedImagery) are
+ * read from the user's own GeoTIFF/orthophoto instead of being fetched.
+ * Every site records the `constructionWindow` it appeared in.
+ * With `save: false` the caller decides which sites go to the register.
+ * Sites from the classical fallback (ML models unavailable) are never saved
+ * here; they are returned for a user to confirm with confirmFallbackSites.
+ * With a `waterbody` (GeoJSON feature) lost open water around it is
+ * reported as lake filling alongside new construction.
+ * `regionFilter` ({ minArea, maxArea } in m², maxRegions per tile) sets which
+ * change regions are kept (see changeDetectionService.DEFAULT_REGION_FILTER).
+ * Aborting `signal` stops the scan and rejects with an AbortError.
  */
-export const analyzeSite = async (coordinates, radius, historicalDate = null) => {
-  const { lat, lng } = parseCoordinates(coordinates);
-  
-  // Validate coordinates
-  if (!lat || !lng) {
-    throw new Error('Invalid coordinates format. Use: lat,lng');
-  }
+export const analyzeSite = async (coordinates, radius, historicalDate = null, { onProgress, signal = null, aoi: customAOI, save = true, waterbody = null, epochs = null, regionFilter = {} } = {}) => {
+  const aoi = customAOI || createRadiusAOI(coordinates, radius);
   
   // Check if within Hyderabad region
-  if (!isWithinHyderabadRegion(lat, lng)) {
-    throw new Error('Coordinates must be within Hyderabad region (Hyderabad, Rangareddy, Sangareddy, Vikarabad, Medchal)');
+  const [west, south, east, north] = turf.bbox(aoi.geometry);
+  if (!isWithinHyderabadRegion(south, west) || !isWithinHyderabadRegion(north, east)) {
+    throw invalidInput('Area of interest must be within Hyderabad region (Hyderabad, Rangareddy, Sangareddy, Vikarabad, Medchal)');
   }
   
-  // Load GIS layers
-  const gisLayers = await loadGISLayers();
+  // Load GIS layers and the zoning rules they are checked against
+  const [gisLayers, ruleSet] = await Promise.all([loadGISLayers(), loadRuleSet()]);
   
-  // Get imagery - using 2006 as baseline for maximum accuracy
-  const [beforeImage, afterImage] = await Promise.all([
-    getHistoricalImagery(lat, lng, historicalDate, 2006), // Baseline year 2006
-    getCurrentImagery(lat, lng)
-  ]);
+  // Scan every imagery tile in the area of interest for each epoch window (2006 to today by default)
+  const scan = await scanTimeSeries({
+    area: aoiToFeature(aoi),
+    epochs: epochs || baselineEpochs(historicalDate),
+    waterbody,
+    regionFilter,
+    signal,
+    onProgress
+  });
+  const scannedTiles = scan.windows.flatMap(epochWindow => epochWindow.tiles).filter(tile => tile.status === 'done');
+  const centerResult = scannedTiles[0].result;
+  const baseline = scan.timeline[0];
+  const latest = scan.timeline[scan.timeline.length - 1];
   
-  // Detect changes
-  const changeDetection = await detectChanges(beforeImage, afterImage, { lat, lng });
+  const methods = [...new Set(scannedTiles.map(tile => tile.result.method))];
+  const summary = {
+    method: methods.join(' / '),
+    aoi,
+    tiles: scan.tiles.map(summarizeTile),
+    timeline: scan.timeline,
+    windows: scan.windows.map(({ index, from, to, changeMaskImage }) => ({ index, from, to, changeMaskImage })),
+    changeRegions: scannedTiles.reduce((sum, tile) => sum + (tile.result.changeRegions || 0), 0),
+    regionsFound: scannedTiles.reduce((sum, tile) => sum + (tile.result.regionsFound || 0), 0),
+    buildingsDetected: scannedTiles.reduce((sum, tile) => sum + (tile.result.buildingsDetected || 0), 0),
+    fallbackTiles: scannedTiles.filter(tile => tile.result.fallback).length,
+    ...(waterbody ? { waterMethod: scannedTiles.find(tile => tile.waterResult)?.waterResult.method || null } : {}),
+    beforeImage: baseline.imageUrl,
+    afterImage: latest.imageUrl,
+    imageryCoverage: {
+      offline: isOffline(),
+      incompleteTiles: scan.tiles.filter(tile => tile.status === 'done' && tile.coverage < 1).length
+    },
+    beforeImagery: baseline.provenance,
+    afterImagery: latest.provenance,
+    // A change mask covers one epoch window, so it only matches a plain baseline comparison
+    changeMaskImage: scan.windows.length === 1 ? scan.windows[0].changeMaskImage : null,
+    geoTransform: latest.geoTransform || baseline.geoTransform || null,
+    beforeImageDate: baseline.date,
+    beforeImageYear: baseline.year,
+    yearsBack: new Date().getFullYear() - baseline.year,
+    analysisDate: centerResult.analysisDate || new Date().toISOString()
+  };
   
-  if (!changeDetection.hasChange) {
+  if (scan.detections.length === 0) {
     return {
+      ...summary,
       hasChange: false,
       message: 'No significant construction changes detected',
-      confidence: changeDetection.confidence,
-      beforeImage: beforeImage.url,
-      afterImage: afterImage.url,
-      beforeImageDate: beforeImage.date,
-      beforeImageYear: beforeImage.year,
-      yearsBack: beforeImage.yearsBack,
-      analysisDate: changeDetection.analysisDate || new Date().toISOString()
+      confidence: Math.min(...scannedTiles.map(tile => tile.result.confidence ?? 1))
     };
   }
   
   // Process each detected change with GIS validation
   const processedSites = await Promise.all(
-    changeDetection.changes.map(change => processDetectedSite(change, gisLayers))
+    scan.detections.map(async change => ({
+      ...await processDetectedSite(change, gisLayers, ruleSet),
+      aoi: siteAOI(aoi)
+    }))
   );
   
-  // Save to storage
-  const existingSites = getDetectedSites();
-  const updatedSites = [...existingSites, ...processedSites];
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(updatedSites));
+  // Save to the site register; fallback detections wait for confirmation
+  if (save) {
+    await saveNewSites(processedSites.filter(isPersistable));
+  }
   
   return {
+    ...summary,
     hasChange: true,
     sites: processedSites,
-    beforeImage: beforeImage.url,
-    afterImage: afterImage.url,
-    beforeImageDate: beforeImage.date,
-    beforeImageYear: beforeImage.year,
-    yearsBack: beforeImage.yearsBack,
-    analysisDate: changeDetection.analysisDate
+    unconfirmedSites: processedSites.filter(site => !isPersistable(site)).length,
+    confidence: Math.max(...scannedTiles.map(tile => tile.result.confidence || 0))
   };
 };
 
+/**
+ * Whether a site may go to the register without a user's confirmation:
+ * ML detections always, classical fallback detections once confirmed
+ */
+export const isPersistable = (site) => !site.fallback || Boolean(site.fallbackConfirmedAt);
+
+/**
+ * Add sites to the register, leaving out ids it already holds: deterministic
+ * detections (classical fallback, lake filling) keep their id when the same
+ * imagery is analysed again, and are registered once
+ *
+ * @returns {Promise<Array>} the sites added
+ */
+export const saveNewSites = async (sites) => {
+  const store = getSiteStore();
+  const unique = sites.filter((site, i) => sites.findIndex(other => other.id === site.id) === i);
+  const existing = await Promise.all(unique.map(site => store.get(site.id)));
+  const fresh = unique.filter((_, i) => !existing[i]);
+  if (fresh.length > 0) {
+    await store.addMany(fresh);
+  }
+  return fresh;
+};
+
+/**
+ * Save fallback detections a user has reviewed and confirmed
+ *
+ * @returns {Promise<Array>} the confirmed sites, as saved
+ */
+export const confirmFallbackSites = async (sites) => {
+  const confirmedAt = new Date().toISOString();
+  const confirmed = sites.map(site => ({ ...site, fallbackConfirmedAt: confirmedAt }));
+  await saveNewSites(confirmed);
+  return confirmed;
+};
+
+/**
+ * Area of interest for the classic point plus search radius
+ */
+const createRadiusAOI = (coordinates, radius) => {
+  const { lat, lng } = parseCoordinates(coordinates);
+  const radiusKm = parseFloat(radius);
+  
+  // Validate coordinates
+  if (!lat || !lng) {
+    throw invalidInput('Invalid coordinates format. Use: lat,lng');
+  }
+  
+  if (!radiusKm || radiusKm <= 0) {
+    throw invalidInput('Search radius must be a positive number of kilometres');
+  }
+  
+  return createCircleAOI(lat, lng, radiusKm);
+};
+
+/**
+ * The AOI record stored on each site (what was scanned, not how it was drawn)
+ */
+const siteAOI = ({ id, source, name, geometry, areaSqKm, radiusKm, fileName }) => ({
+  id,
+  source,
+  name,
+  geometry,
+  areaSqKm,
+  ...(radiusKm ? { radiusKm } : {}),
+  ...(fileName ? { fileName } : {})
+});
+
 /**
  * Get all detected sites
  */
-export const getDetectedSites = () => {
+export const getDetectedSites = async () => {
   try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
+    return await getSiteStore().list();
   } catch (error) {
     console.error('Error loading detected sites:', error);
     return [];
@@ -91,94 +204,44 @@ export const getDetectedSites = () => {
  * Get site by ID
  */
 export const getSiteById = (id) => {
-  const sites = getDetectedSites();
-  return sites.find(site => site.id === id);
+  return getSiteStore().get(id);
 };
 
 /**
  * Update site status
  */
 export const updateSiteStatus = (id, status, remarks = '') => {
-  const sites = getDetectedSites();
-  const index = sites.findIndex(site => site.id === id);
-  
-  if (index === -1) return null;
-  
-  sites[index] = {
-    ...sites[index],
+  return getSiteStore().update(id, {
     status,
     remarks,
     updatedDate: new Date().toISOString()
-  };
-  
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(sites));
-  return sites[index];
+  });
 };
 
 /**
  * Delete site
  */
 export const deleteSite = (id) => {
-  const sites = getDetectedSites();
-  const filtered = sites.filter(site => site.id !== id);
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-  return filtered;
+  return getSiteStore().remove(id);
 };
 
 /**
  * Filter sites by criteria
  */
-export const filterSites = (filters = {}) => {
-  let sites = getDetectedSites();
-  
-  if (filters.riskLevel) {
-    sites = sites.filter(s => s.riskLevel === filters.riskLevel);
-  }
-  
-  if (filters.district) {
-    sites = sites.filter(s => s.district === filters.district);
-  }
-  
-  if (filters.status) {
-    sites = sites.filter(s => s.status === filters.status);
-  }
-  
-  if (filters.search) {
-    const searchLower = filters.search.toLowerCase();
-    sites = sites.filter(s => 
-      s.type?.toLowerCase().includes(searchLower) ||
-      s.district?.toLowerCase().includes(searchLower) ||
-      s.violations?.some(v => v.type?.toLowerCase().includes(searchLower))
-    );
+export const filterSites = async (filters = {}) => {
+  try {
+    return await getSiteStore().filter(filters);
+  } catch (error) {
+    console.error('Error filtering detected sites:', error);
+    return [];
   }
-  
-  return sites;
 };
 
 /**
  * Get statistics
  */
 export const getStatistics = () => {
-  const sites = getDetectedSites();
-  
-  return {
-    total: sites.length,
-    byRiskLevel: {
-      HIGH: sites.filter(s => s.riskLevel === 'HIGH').length,
-      MEDIUM: sites.filter(s => s.riskLevel === 'MEDIUM').length,
-      LOW: sites.filter(s => s.riskLevel === 'LOW').length
-    },
-    byStatus: {
-      PENDING: sites.filter(s => s.status === 'PENDING').length,
-      UNDER_INVESTIGATION: sites.filter(s => s.status === 'UNDER_INVESTIGATION').length,
-      ACTION_TAKEN: sites.filter(s => s.status === 'ACTION_TAKEN').length,
-      RESOLVED: sites.filter(s => s.status === 'RESOLVED').length
-    },
-    byDistrict: sites.reduce((acc, site) => {
-      acc[site.district] = (acc[site.district] || 0) + 1;
-      return acc;
-    }, {})
-  };
+  return getSiteStore().statistics();
 };
 
 /**
@@ -0,0 +1,248 @@
+/**
+ * Area Scan Service
+ * Covers an area of interest with a grid of imagery tiles, runs change
+ * detection on each one and merges detections that straddle tile seams.
+ * When a waterbody is given, each tile is also checked for lost open water.
+ */
+
+import * as turf from '@turf/turf';
+import { getCurrentImagery, getHistoricalImagery, DEFAULT_BASELINE_YEAR } from './satelliteService';
+import { detectChanges, detectWaterShrinkage } from './changeDetectionService';
+import { latLngToWorldPixel, worldPixelToLatLng, createGeoTransform } from './geoTransform';
+import { getUploadedImagery } from './localImageryService';
+import { isAbortError } from './mlModelService';
+import { isModelUnavailableError } from './modelRegistry';
+import { invalidInput } from './aoiService';
+
+// Matches the composites fetched by satelliteService
+export const SCAN_TILE = { zoom: 15, width: 800, height: 600 };
+
+// Neighbouring tiles overlap so a structure on a seam is seen whole by one of them
+const TILE_OVERLAP = 0.1;
+const MAX_SCAN_TILES = 80;
+
+/**
+ * Plan the imagery tiles covering an area of interest.
+ * Tiles are laid out on an exact world-pixel grid so their geotransforms
+ * line up; only tiles touching the area are kept.
+ *
+ * @param {Object} area - GeoJSON Polygon/MultiPolygon feature
+ */
+export const planScanTiles = (area, tile = SCAN_TILE) => {
+  const { zoom, width, height } = tile;
+  const [west, south, east, north] = turf.bbox(area);
+  const topLeft = latLngToWorldPixel(north, west, zoom);
+  const bottomRight = latLngToWorldPixel(south, east, zoom);
+  const center = { x: (topLeft.x + bottomRight.x) / 2, y: (topLeft.y + bottomRight.y) / 2 };
+  const stepX = width * (1 - TILE_OVERLAP);
+  const stepY = height * (1 - TILE_OVERLAP);
+
+  // Keep at least the centre tile (area smaller than one tile)
+  const cols = Math.max(0, Math.ceil(((bottomRight.x - topLeft.x) / 2 - width / 2) / stepX));
+  const rows = Math.max(0, Math.ceil(((bottomRight.y - topLeft.y) / 2 - height / 2) / stepY));
+
+  const tiles = [];
+  for (let row = -rows; row <= rows; row++) {
+    for (let col = -cols; col <= cols; col++) {
+      const tileCenter = worldPixelToLatLng(center.x + col * stepX, center.y + row * stepY, zoom);
+      const geoTransform = createGeoTransform({ centerLat: tileCenter.lat, centerLng: tileCenter.lng, zoom, width, height });
+      const { bounds } = geoTransform;
+
+      const outline = turf.bboxPolygon([bounds.west, bounds.south, bounds.east, bounds.north]);
+      if (!turf.booleanIntersects(outline, area)) continue;
+
+      tiles.push({
+        id: `${row}:${col}`,
+        row,
+        col,
+        center: tileCenter,
+        bounds,
+        geoTransform,
+        status: 'pending'
+      });
+    }
+  }
+
+  if (tiles.length > MAX_SCAN_TILES) {
+    throw invalidInput(`Area of interest needs ${tiles.length} imagery tiles (max ${MAX_SCAN_TILES}). Use a smaller area.`);
+  }
+
+  // Scan outwards from the centre so the most relevant results come first
+  return tiles.sort((a, b) => Math.hypot(a.row, a.col) - Math.hypot(b.row, b.col));
+};
+
+/**
+ * Plain summary of a tile for progress reports and results (no imagery)
+ */
+export const summarizeTile = (tile) => ({
+  id: tile.id,
+  bounds: tile.bounds,
+  status: tile.status,
+  detections: tile.detections || 0,
+  // Share of the tile's imagery that loaded (below 1: partly blank, e.g. offline with an incomplete cache)
+  coverage: tile.coverage ?? null,
+  error: tile.error || null
+});
+
+/**
+ * Merge detections of the same change type from different tiles whose
+ * footprints overlap. The most confident detection of each group is kept,
+ * with the union of the group's footprints as its footprint.
+ */
+export const mergeSeamDetections = (detections) => {
+  const withFootprint = detections.filter(d => d.footprint);
+  const parent = withFootprint.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const tree = turf.geojsonRbush();
+  tree.load(withFootprint.map((d, i) => turf.feature(d.footprint.geometry, { index: i })));
+
+  withFootprint.forEach((detection, i) => {
+    tree.search(detection.footprint).features.forEach(candidate => {
+      const j = candidate.properties.index;
+      const other = withFootprint[j];
+      if (j <= i || other.scanTile === detection.scanTile || other.changeType !== detection.changeType) return;
+      if (turf.booleanIntersects(detection.footprint, other.footprint)) {
+        parent[find(j)] = find(i);
+      }
+    });
+  });
+
+  const groups = new Map();
+  withFootprint.forEach((detection, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(detection);
+  });
+
+  const merged = [...groups.values()].map(group => {
+    if (group.length === 1) return group[0];
+
+    const best = group.reduce((a, b) => ((b.confidence || 0) > (a.confidence || 0) ? b : a));
+    const footprint = turf.union(turf.featureCollection(group.map(d => d.footprint)));
+    footprint.properties = { ...best.footprint.properties, source: 'merged' };
+    const [west, south, east, north] = turf.bbox(footprint);
+    const [centerLng, centerLat] = turf.centroid(footprint).geometry.coordinates;
+
+    return {
+      ...best,
+      footprint,
+      coordinates: { lat: centerLat, lng: centerLng },
+      bounds: { north, south, east, west },
+      area: turf.area(footprint),
+      areaMethod: 'merged',
+      mergedFrom: group.map(d => d.id)
+    };
+  });
+
+  // Detections without a footprint cannot be matched across seams
+  return [...merged, ...detections.filter(d => !d.footprint)];
+};
+
+/**
+ * Scan an area of interest tile by tile.
+ *
+ * @param {Object} options
+ * @param {Object} options.area - GeoJSON Polygon/MultiPolygon feature to scan
+ * @param {string|null} options.historicalDate - baseline imagery date
+ * @param {string|null} options.afterDate - date of the imagery compared against (null: current)
+ * @param {Object|null} options.waterbody - GeoJSON feature of a lake to check for lost open water
+ * @param {Object|null} options.beforeImagery - uploaded raster used instead of the baseline imagery (localImageryService)
+ * @param {Object|null} options.afterImagery - uploaded raster used instead of the imagery compared against
+ * @param {Object} options.regionFilter - change region filter, as for detectChanges
+ * @param {AbortSignal} options.signal - cancels the scan between tiles and during inference
+ * @param {Function} options.onProgress - called with { completed, total, tiles, detections, stage, inferenceWindows }
+ *   (stage and inferenceWindows: the running tile's inference stage and sliding windows, see mlModelService)
+ * @returns {Promise<Object>} { tiles, detections, centerTile }
+ */
+export const scanArea = async ({
+  area,
+  historicalDate = null,
+  afterDate = null,
+  waterbody = null,
+  beforeImagery = null,
+  afterImagery = null,
+  regionFilter = {},
+  signal = null,
+  onProgress = () => {}
+}) => {
+  const tiles = planScanTiles(area);
+  const detections = [];
+  const report = (completed, stage = null, inferenceWindows = null) => onProgress({
+    completed,
+    total: tiles.length,
+    tiles: tiles.map(summarizeTile),
+    detections: detections.length,
+    stage,
+    inferenceWindows
+  });
+
+  console.log(`🧭 Scanning ${(turf.area(area) / 1e6).toFixed(2)} km² area of interest with ${tiles.length} imagery tile(s)`);
+  report(0);
+
+  // Tiles run one at a time: each holds two composites and ML tensors in memory
+  for (const [index, tile] of tiles.entries()) {
+    signal?.throwIfAborted();
+    tile.status = 'scanning';
+    report(index);
+
+    try {
+      const fetchAfter = () => (afterDate
+        ? getHistoricalImagery(tile.center.lat, tile.center.lng, afterDate)
+        : getCurrentImagery(tile.center.lat, tile.center.lng));
+      const [beforeImage, afterImage] = await Promise.all([
+        beforeImagery
+          ? getUploadedImagery(beforeImagery, tile.geoTransform)
+          : getHistoricalImagery(tile.center.lat, tile.center.lng, historicalDate, DEFAULT_BASELINE_YEAR),
+        afterImagery ? getUploadedImagery(afterImagery, tile.geoTransform) : fetchAfter()
+      ]);
+      const result = await detectChanges(beforeImage, afterImage, tile.center, {
+        regionFilter,
+        signal,
+        onProgress: ({ stage, windows }) => report(index, stage, windows)
+      });
+      const waterResult = waterbody
+        ? await detectWaterShrinkage(beforeImage, afterImage, waterbody, tile.center)
+        : null;
+      const changes = [...(result.changes || []), ...(waterResult?.changes || [])];
+
+      tile.beforeImage = beforeImage;
+      tile.afterImage = afterImage;
+      tile.result = result;
+      tile.waterResult = waterResult;
+      tile.detections = changes.length;
+      tile.coverage = Math.min(beforeImage.provenance?.coverage ?? 1, afterImage.provenance?.coverage ?? 1);
+      tile.status = 'done';
+
+      // The change happened somewhere between the two imagery dates
+      const constructionWindow = { from: beforeImage.date, to: afterImage.date };
+      const imagery = { before: beforeImage.provenance || null, after: afterImage.provenance || null };
+      changes.forEach(change => {
+        detections.push({ ...change, scanTile: tile.id, constructionWindow, imagery });
+      });
+    } catch (error) {
+      // Not specific to this tile: every other tile would fail the same way
+      if (isAbortError(error) || isModelUnavailableError(error)) throw error;
+      console.error(`❌ Scan tile ${tile.id} failed:`, error);
+      tile.status = 'failed';
+      tile.error = error.message;
+    }
+
+    report(index + 1);
+  }
+
+  if (tiles.every(tile => tile.status === 'failed')) {
+    throw new Error('Imagery analysis failed for every tile in the area of interest');
+  }
+
+  // Overlapping tiles see seam structures twice; tiles also reach past the area
+  const merged = mergeSeamDetections(detections).filter(detection =>
+    turf.booleanPointInPolygon(turf.point([detection.coordinates.lng, detection.coordinates.lat]), area)
+  );
+
+  return {
+    tiles,
+    detections: merged,
+    centerTile: tiles[0]
+  };
+};
@@ -0,0 +1,308 @@
+/**
+ * Batch Analysis Service
+ * Reads lists of complaint locations from CSV or GeoJSON and runs
+ * `analyzeSite` over them through a pausable queue with limited
+ * concurrency and automatic retries of transient failures.
+ */
+
+import * as turf from '@turf/turf';
+import { parseCSV } from './csv';
+import { isInvalidInputError } from './aoiService';
+import { isModelUnavailableError } from './modelRegistry';
+import { isAbortError } from './mlModelService';
+
+export const DEFAULT_BATCH_RADIUS_KM = 1;
+
+// Each analysis holds imagery and ML tensors for its tiles; keep it small
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+
+/**
+ * Whether a failed analysis may succeed when tried again (imagery or network
+ * hiccups); bad input, missing models and cancellation fail every time
+ */
+export const isTransientError = (error) => (
+  !isInvalidInputError(error) && !isModelUnavailableError(error) && !isAbortError(error)
+);
+
+/**
+ * Build a queue job for one location, flagging unusable input
+ */
+const createJob = (index, { lat, lng, radius, reference }) => {
+  const radiusKm = radius === '' || radius === undefined || radius === null
+    ? DEFAULT_BATCH_RADIUS_KM
+    : parseFloat(radius);
+
+  let error = null;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) error = 'Invalid coordinates';
+  else if (!Number.isFinite(radiusKm) || radiusKm <= 0) error = 'Invalid radius';
+
+  return {
+    id: `job_${index + 1}`,
+    row: index + 1,
+    reference: reference ? String(reference) : `Row ${index + 1}`,
+    lat,
+    lng,
+    radiusKm,
+    status: error ? 'invalid' : 'queued',
+    attempts: 0,
+    progress: null,
+    result: null,
+    error
+  };
+};
+
+/**
+ * Jobs from CSV rows of lat,lng,radius,reference (header row optional)
+ */
+const jobsFromCSV = (text) => {
+  const rows = parseCSV(text).filter(row => row.some(Boolean));
+  if (rows.length === 0) return [];
+
+  // A header is recognised by a non-numeric first field
+  const hasHeader = Number.isNaN(parseFloat(rows[0][0]));
+  const header = hasHeader ? rows[0].map(name => name.toLowerCase()) : [];
+  const column = (names, fallback) => {
+    const index = header.findIndex(name => names.includes(name));
+    return index === -1 ? fallback : index;
+  };
+  const columns = {
+    lat: column(['lat', 'latitude'], 0),
+    lng: column(['lng', 'lon', 'long', 'longitude'], 1),
+    radius: column(['radius', 'radius_km', 'radiuskm'], 2),
+    reference: column(['reference', 'ref', 'complaint', 'id', 'name'], 3)
+  };
+
+  return rows.slice(hasHeader ? 1 : 0).map((row, index) => createJob(index, {
+    lat: parseFloat(row[columns.lat]),
+    lng: parseFloat(row[columns.lng]),
+    radius: row[columns.radius],
+    reference: row[columns.reference]
+  }));
+};
+
+/**
+ * Jobs from the Point features of a GeoJSON file
+ */
+const jobsFromGeoJSON = (text) => {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch {
+    throw new Error('The GeoJSON file could not be parsed');
+  }
+
+  const points = [];
+  turf.flattenEach(geojson, (feature) => {
+    if (feature.geometry?.type === 'Point') points.push(feature);
+  });
+
+  return points.map((feature, index) => {
+    const [lng, lat] = feature.geometry.coordinates;
+    const properties = feature.properties || {};
+    return createJob(index, {
+      lat,
+      lng,
+      radius: properties.radius ?? properties.radiusKm,
+      reference: properties.reference ?? properties.name ?? properties.id
+    });
+  });
+};
+
+/**
+ * Read a batch upload (.csv, .geojson or .json) into queue jobs
+ */
+export const parseBatchFile = async (file) => {
+  const text = await file.text();
+  const extension = file.name.split('.').pop().toLowerCase();
+
+  let jobs;
+  if (extension === 'csv') jobs = jobsFromCSV(text);
+  else if (extension === 'geojson' || extension === 'json') jobs = jobsFromGeoJSON(text);
+  else throw new Error(`Unsupported file type ".${extension}". Use a CSV or GeoJSON file.`);
+
+  if (jobs.length === 0) {
+    throw new Error('No locations found in the file');
+  }
+  return jobs;
+};
+
+/**
+ * Queue that runs `run(job, onProgress, signal)` over jobs.
+ *
+ * @param {Array} jobs - from parseBatchFile
+ * @param {Object} options
+ * @param {Function} options.run - async analysis of one job, resolves with its result;
+ *   `signal` aborts when the queue is stopped
+ * @param {number} options.concurrency - jobs running at once
+ * @param {number} options.maxAttempts - tries per job before it is marked failed
+ * @param {Function} options.isRetryable - whether a failure is worth another attempt
+ * @param {Function} options.onUpdate - called with a copy of the jobs after every change
+ */
+export const createBatchQueue = (jobs, {
+  run,
+  concurrency = DEFAULT_CONCURRENCY,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  isRetryable = isTransientError,
+  onUpdate = () => {}
+}) => {
+  const state = jobs.map(job => ({ ...job }));
+  // Abort controller of each running job
+  const controllers = new Map();
+  let paused = true;
+  let running = 0;
+  let finished = null;
+  let settle = null;
+
+  const notify = () => onUpdate(state.map(job => ({ ...job })));
+
+  const update = (job, changes) => {
+    Object.assign(job, changes);
+    notify();
+  };
+
+  const isFinished = () => running === 0 && !state.some(job => job.status === 'queued' || job.status === 'retrying');
+
+  const runJob = async (job) => {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    running++;
+    update(job, { status: 'running', attempts: job.attempts + 1, error: null, progress: null });
+
+    try {
+      const result = await run(job, (progress) => update(job, { progress }), controller.signal);
+      update(job, { status: 'done', result });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // Stopped, not failed: the attempt does not count
+        update(job, { status: 'queued', attempts: job.attempts - 1, error: null, progress: null });
+      } else if (job.attempts < maxAttempts && isRetryable(error)) {
+        // Back off before the retry; imagery providers fail in bursts
+        update(job, { status: 'retrying', error: error.message });
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * job.attempts));
+        job.status = 'queued';
+      } else {
+        update(job, { status: 'failed', error: error.message });
+      }
+    } finally {
+      controllers.delete(job.id);
+      running--;
+      dispatch();
+    }
+  };
+
+  const dispatch = () => {
+    if (!paused) {
+      state
+        .filter(job => job.status === 'queued')
+        .slice(0, Math.max(0, concurrency - running))
+        .forEach(runJob);
+    }
+    notify();
+
+    if (isFinished() && settle) {
+      settle(state.map(job => ({ ...job })));
+      finished = null;
+      settle = null;
+    }
+  };
+
+  return {
+    /**
+     * Start or resume the queue; resolves with the jobs once none are left to run
+     */
+    start: () => {
+      if (!finished) finished = new Promise(resolve => { settle = resolve; });
+      const done = finished;
+      paused = false;
+      dispatch();
+      return done;
+    },
+
+    /**
+     * Stop starting new jobs; running ones finish
+     */
+    pause: () => {
+      paused = true;
+      notify();
+    },
+
+    /**
+     * Pause and abort the running jobs; they are queued again
+     */
+    stop: () => {
+      paused = true;
+      controllers.forEach(controller => controller.abort());
+      notify();
+    },
+
+    /**
+     * Queue failed jobs again with a fresh set of attempts
+     */
+    retryFailed: () => {
+      state
+        .filter(job => job.status === 'failed')
+        .forEach(job => Object.assign(job, { status: 'queued', attempts: 0, error: null }));
+      dispatch();
+    },
+
+    isPaused: () => paused,
+
+    getJobs: () => state.map(job => ({ ...job }))
+  };
+};
+
+/**
+ * Summary row of a finished job
+ */
+export const summarizeBatchJob = (job) => {
+  const sites = job.result?.sites || [];
+  const countRisk = (level) => sites.filter(site => site.riskLevel === level).length;
+
+  return {
+    row: job.row,
+    reference: job.reference,
+    lat: job.lat,
+    lng: job.lng,
+    radiusKm: job.radiusKm,
+    status: job.status,
+    attempts: job.attempts,
+    sitesDetected: sites.length,
+    high: countRisk('HIGH'),
+    medium: countRisk('MEDIUM'),
+    low: countRisk('LOW'),
+    violations: [...new Set(sites.flatMap(site => (site.violations || []).map(v => v.type)))].join('; '),
+    failedTiles: job.result?.tiles?.filter(tile => tile.status === 'failed').length || 0,
+    incompleteTiles: job.result?.imageryCoverage?.incompleteTiles || 0,
+    unconfirmedSites: job.result?.unconfirmedSites || 0,
+    error: job.error || ''
+  };
+};
+
+const SUMMARY_COLUMNS = [
+  ['row', 'Row'],
+  ['reference', 'Reference'],
+  ['lat', 'Latitude'],
+  ['lng', 'Longitude'],
+  ['radiusKm', 'Radius (km)'],
+  ['status', 'Status'],
+  ['attempts', 'Attempts'],
+  ['sitesDetected', 'Sites Detected'],
+  ['high', 'High Risk'],
+  ['medium', 'Medium Risk'],
+  ['low', 'Low Risk'],
+  ['violations', 'Violations'],
+  ['failedTiles', 'Failed Tiles'],
+  ['incompleteTiles', 'Incomplete Imagery Tiles'],
+  ['unconfirmedSites', 'Unsaved Fallback Detections'],
+  ['error', 'Error']
+];
+
+/**
+ * Summary table rows (header first) for CSV export
+ */
+export const batchSummaryRows = (jobs) => [
+  SUMMARY_COLUMNS.map(([, label]) => label),
+  ...jobs.map(summarizeBatchJob).map(summary => SUMMARY_COLUMNS.map(([key]) => summary[key]))
+];
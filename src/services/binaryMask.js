@@ -0,0 +1,159 @@
+/**
+ * Binary Mask Operations
+ * Thresholding, morphology and connected components on row-major grids
+ * (Uint8Array, 1 = set), shared by the classical segmentation pipelines.
+ */
+
+/**
+ * Otsu's threshold of a set of values: the cut that maximises the
+ * between-class variance of a `bins`-bin histogram over [0, max]
+ */
+export const otsuThreshold = (values, max, bins = 256) => {
+  if (!(max > 0) || values.length === 0) return max;
+
+  const histogram = new Float64Array(bins);
+  values.forEach(value => {
+    histogram[Math.min(bins - 1, Math.floor(value / max * bins))]++;
+  });
+
+  const total = values.length;
+  const sumAll = histogram.reduce((sum, count, bin) => sum + bin * count, 0);
+  let weightBelow = 0;
+  let sumBelow = 0;
+  let best = { variance: -1, bin: 0 };
+
+  for (let bin = 0; bin < bins; bin++) {
+    weightBelow += histogram[bin];
+    if (weightBelow === 0) continue;
+    const weightAbove = total - weightBelow;
+    if (weightAbove === 0) break;
+
+    sumBelow += bin * histogram[bin];
+    const meanBelow = sumBelow / weightBelow;
+    const meanAbove = (sumAll - sumBelow) / weightAbove;
+    const variance = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+    if (variance > best.variance) best = { variance, bin };
+  }
+
+  // Values above the upper edge of the best bin are the foreground
+  return (best.bin + 1) / bins * max;
+};
+
+/**
+ * 3x3 erosion (every neighbour set) or dilation (any neighbour set) of a binary mask
+ */
+export const morph = (mask, width, height, dilate) => {
+  const out = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let set = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[ny * width + nx]) set++;
+        }
+      }
+      out[y * width + x] = (dilate ? set > 0 : set === 9) ? 1 : 0;
+    }
+  }
+  return out;
+};
+
+/**
+ * Opening (erode, dilate): removes speckle and slivers
+ */
+export const openMask = (mask, width, height) => morph(morph(mask, width, height, false), width, height, true);
+
+/**
+ * Closing (dilate, erode): fills pinholes and joins fragments one cell apart
+ */
+export const closeMask = (mask, width, height) => morph(morph(mask, width, height, true), width, height, false);
+
+/**
+ * 4-connected components of a binary mask, labelled in two passes with
+ * union-find, so regions of any size come out whole. Components are
+ * numbered in the raster order of their first cell.
+ *
+ * @param {Object} options
+ * @param {ArrayLike<number>} options.values - per-cell values to average (e.g. change probability)
+ * @param {number} options.cellWidth - length of a cell's top and bottom edges (default 1)
+ * @param {number} options.cellHeight - length of a cell's left and right edges (default 1)
+ * @returns {Object} { labels: Int32Array, components }
+ *   components: { label, cells, x0, y0, x1, y1, perimeter, centroid: { x, y }, meanValue }
+ *   (cell bounds inclusive; the centroid is in cell units, at cell centres)
+ */
+export const labelComponents = (mask, width, height, { values = null, cellWidth = 1, cellHeight = 1 } = {}) => {
+  const provisional = new Int32Array(mask.length);
+  // parent[label] of each provisional label; 0 is background
+  const parent = [0];
+  const find = (label) => {
+    while (parent[label] !== label) {
+      parent[label] = parent[parent[label]];
+      label = parent[label];
+    }
+    return label;
+  };
+
+  // First pass: take the label of the left or upper neighbour and record where they meet
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+
+      const left = x > 0 ? provisional[i - 1] : 0;
+      const up = y > 0 ? provisional[i - width] : 0;
+      if (left && up) {
+        const rootLeft = find(left);
+        const rootUp = find(up);
+        provisional[i] = Math.min(rootLeft, rootUp);
+        parent[Math.max(rootLeft, rootUp)] = Math.min(rootLeft, rootUp);
+      } else if (left || up) {
+        provisional[i] = left || up;
+      } else {
+        provisional[i] = parent.length;
+        parent.push(parent.length);
+      }
+    }
+  }
+
+  // Second pass: resolve every cell to its final label and gather statistics
+  const labels = new Int32Array(mask.length);
+  const finalLabels = new Int32Array(parent.length);
+  const stats = [];
+  for (let i = 0; i < mask.length; i++) {
+    if (!provisional[i]) continue;
+
+    const root = find(provisional[i]);
+    if (!finalLabels[root]) {
+      finalLabels[root] = stats.length + 1;
+      stats.push({ label: stats.length + 1, cells: [], x0: width, y0: height, x1: 0, y1: 0, perimeter: 0, sumX: 0, sumY: 0, sumValue: 0 });
+    }
+    const component = stats[finalLabels[root] - 1];
+    const x = i % width;
+    const y = (i - x) / width;
+    labels[i] = component.label;
+    component.cells.push(i);
+    component.x0 = Math.min(component.x0, x);
+    component.y0 = Math.min(component.y0, y);
+    component.x1 = Math.max(component.x1, x);
+    component.y1 = Math.max(component.y1, y);
+    component.sumX += x;
+    component.sumY += y;
+    if (values) component.sumValue += values[i];
+
+    // Cell edges facing background or the mask border
+    if (x === 0 || !mask[i - 1]) component.perimeter += cellHeight;
+    if (x === width - 1 || !mask[i + 1]) component.perimeter += cellHeight;
+    if (y === 0 || !mask[i - width]) component.perimeter += cellWidth;
+    if (y === height - 1 || !mask[i + width]) component.perimeter += cellWidth;
+  }
+
+  const components = stats.map(({ sumX, sumY, sumValue, ...component }) => ({
+    ...component,
+    centroid: { x: sumX / component.cells.length + 0.5, y: sumY / component.cells.length + 0.5 },
+    meanValue: values ? sumValue / component.cells.length : null
+  }));
+
+  return { labels, components };
+};
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { otsuThreshold, labelComponents } from './binaryMask.js';
+
+const grid = (rows) => Uint8Array.from(rows.join('').split(''), Number);
+
+test('otsuThreshold splits two clusters of values', () => {
+  const threshold = otsuThreshold([10, 12, 15, 11, 200, 210, 205, 198], 255);
+  assert.ok(threshold > 15 && threshold <= 198, `threshold ${threshold}`);
+});
+
+test('otsuThreshold returns max when there is nothing to split', () => {
+  assert.equal(otsuThreshold([], 255), 255);
+  assert.equal(otsuThreshold([0, 0], 0), 0);
+});
+
+test('labelComponents numbers 4-connected components in raster order', () => {
+  const mask = grid([
+    '1100',
+    '1001',
+    '0001'
+  ]);
+  const { labels, components } = labelComponents(mask, 4, 3);
+
+  assert.equal(components.length, 2);
+  assert.deepEqual([...labels], [1, 1, 0, 0, 1, 0, 0, 2, 0, 0, 0, 2]);
+  assert.deepEqual(components[1].cells, [7, 11]);
+  assert.deepEqual(
+    { x0: components[1].x0, y0: components[1].y0, x1: components[1].x1, y1: components[1].y1 },
+    { x0: 3, y0: 1, x1: 3, y1: 2 }
+  );
+});
+
+test('labelComponents does not join diagonal neighbours', () => {
+  const { components } = labelComponents(grid(['10', '01']), 2, 2);
+  assert.equal(components.length, 2);
+});
+
+test('labelComponents merges branches that meet further down', () => {
+  // A U shape: the two arms get different provisional labels until the base joins them
+  const mask = grid([
+    '101',
+    '101',
+    '111'
+  ]);
+  const { labels, components } = labelComponents(mask, 3, 3);
+
+  assert.equal(components.length, 1);
+  assert.equal(components[0].cells.length, 7);
+  assert.ok([...labels].every((label, i) => label === (mask[i] ? 1 : 0)));
+});
+
+test('labelComponents measures perimeter, centroid and mean value', () => {
+  const mask = grid([
+    '110',
+    '110',
+    '000'
+  ]);
+  const values = [0.2, 0.4, 0, 0.6, 0.8, 0, 0, 0, 0];
+  const [square] = labelComponents(mask, 3, 3, { values, cellWidth: 2, cellHeight: 3 }).components;
+
+  // Two cells per side: top and bottom edges are cellWidth long, left and right cellHeight
+  assert.equal(square.perimeter, 2 * 2 * 2 + 2 * 2 * 3);
+  assert.deepEqual(square.centroid, { x: 1, y: 1 });
+  assert.ok(Math.abs(square.meanValue - 0.5) < 1e-9);
+});
+
+test('labelComponents leaves meanValue null without values', () => {
+  const [component] = labelComponents(grid(['1']), 1, 1).components;
+  assert.equal(component.meanValue, null);
+  assert.equal(component.perimeter, 4);
+});
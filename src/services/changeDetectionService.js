@@ -1,22 +1,200 @@
 /**
  * Change Detection Service
- * Analyzes satellite imagery to detect new constructions using UNet and Mask R-CNN
+ * Analyzes satellite imagery to detect new constructions using UNet and Mask R-CNN,
+ * and loss of open water (lake filling) around a waterbody
  */
 
-import { checkProtectedZone, calculateRiskLevel, getDistrict } from './gisService';
-import { mlModelService } from './mlModelService';
+import { checkProtectedZone, calculateRiskLevel, getAdministrativeArea } from './gisService';
+import { mlModelService, isAbortError } from './mlModelService';
+import { isModelUnavailableError } from './modelRegistry';
+import * as turf from '@turf/turf';
+import { createGeoTransform, bboxToGeo, pixelAreaAt } from './geoTransform';
+import { instanceMaskToFootprint, changeRegionToFootprint, bboxToFootprint } from './maskVectorizer';
+import { segmentWaterLoss } from './waterSurfaceService';
+import { detectChangesClassically, classicalConfidence } from './classicalChangeDetection';
+
+// Default composite used by satelliteService when imagery carries no geotransform
+const DEFAULT_IMAGE = { zoom: 15, width: 800, height: 600 };
+const MASK_THRESHOLD = 0.5;
+const FALLBACK_METHOD = 'Classical change-vector analysis (fallback: ML models unavailable)';
+
+/**
+ * Id of a deterministic detection, derived from its footprint and the dates
+ * of both images: the same inputs always give the same id
+ */
+const contentId = (prefix, footprint, beforeImage, afterImage) => {
+  const text = JSON.stringify([footprint.geometry.coordinates, beforeImage.date || null, afterImage.date || null]);
+  // Two 32-bit FNV-1a hashes with different offsets, 64 bits in all
+  const fnv1a = (offset) => {
+    let hash = offset;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  };
+  return `${prefix}_${fnv1a(0x811c9dc5)}${fnv1a(0x050c5d1f)}`;
+};
+
+// Why an untrained placeholder's output is discarded for the classical fallback
+const placeholderReason = (model) => `${model.name || model.id} is an untrained placeholder`;
+
+/**
+ * UNet change regions kept by default: at least a small shed, no upper
+ * limit, and the 50 largest per tile
+ */
+export const DEFAULT_REGION_FILTER = { minArea: 20, maxArea: null, maxRegions: 50 };
+
+/**
+ * Complete a per-analysis region filter ({ minArea, maxArea } in m², maxRegions)
+ * with the defaults, rejecting values that cannot be applied
+ */
+export const resolveRegionFilter = (filter = {}, defaults = DEFAULT_REGION_FILTER) => {
+  const resolved = { ...defaults };
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') resolved[key] = Number(value);
+  });
+
+  if (!(resolved.minArea >= 0)) {
+    throw new Error('Minimum change region area must be zero or more square metres');
+  }
+  if (resolved.maxArea != null && !(resolved.maxArea >= resolved.minArea)) {
+    throw new Error('Maximum change region area must not be below the minimum');
+  }
+  if (resolved.maxRegions != null && !(Number.isInteger(resolved.maxRegions) && resolved.maxRegions >= 1)) {
+    throw new Error('Change regions per tile must be a whole number of at least 1');
+  }
+  return resolved;
+};
+
+/**
+ * Ground area (m²) covered by a detection's instance mask.
+ * The mask is sampled over the detection box, so each mask cell covers
+ * (box width / mask width) x (box height / mask height) image pixels.
+ */
+const maskAreaInSquareMeters = (mask, bbox, geoTransform, threshold = MASK_THRESHOLD) => {
+  const cellWidth = bbox.width / mask.width;
+  const cellHeight = bbox.height / mask.height;
+  let area = 0;
+
+  for (let my = 0; my < mask.height; my++) {
+    const rowArea = pixelAreaAt(geoTransform, bbox.y + (my + 0.5) * cellHeight) * cellWidth * cellHeight;
+    for (let mx = 0; mx < mask.width; mx++) {
+      if (mask.data[my * mask.width + mx] > threshold) {
+        area += rowArea;
+      }
+    }
+  }
+
+  return area;
+};
+
+/**
+ * Change region whose bbox contains the centre of a detection box
+ */
+const findContainingRegion = (bbox, regions) => {
+  const centerX = bbox.x + bbox.width / 2;
+  const centerY = bbox.y + bbox.height / 2;
+  return regions.find(region => {
+    const r = region.bbox;
+    return centerX >= r.x && centerX <= r.x2 && centerY >= r.y && centerY <= r.y2;
+  });
+};
+
+/**
+ * What a detection records about its change region (no cells)
+ */
+const summarizeChangeRegion = ({ area, perimeter, compactness, meanProbability, centroid, bbox }) => (
+  { area, perimeter, compactness, meanProbability, centroid, bbox }
+);
+
+/**
+ * One-line description of a detection's change region for reports
+ */
+export const describeChangeRegion = ({ area, perimeter, compactness, meanProbability }) => [
+  `${Math.round(area)} m²`,
+  `perimeter ${Math.round(perimeter)} m`,
+  `compactness ${compactness.toFixed(2)}`,
+  `mean change probability ${(meanProbability * 100).toFixed(0)}%`
+].join(', ');
+
+/**
+ * Footprint polygon for a detection: instance mask first, then the
+ * UNet change region it sits in, then its bounding box
+ */
+const buildFootprint = (building, region, geoTransform, maskThreshold = MASK_THRESHOLD) => {
+  if (building.mask) {
+    const footprint = instanceMaskToFootprint(building.mask, building.bbox, geoTransform, { source: 'instance-mask' }, maskThreshold);
+    if (footprint) return footprint;
+  }
+
+  if (region) {
+    const footprint = changeRegionToFootprint(region, geoTransform, { source: 'change-region' });
+    if (footprint) return footprint;
+  }
+
+  return bboxToFootprint(building.bbox, geoTransform, { source: 'bounding-box' });
+};
+
+/**
+ * Render the UNet change mask as a transparent PNG (changed pixels in red)
+ * for overlaying on the imagery; the mask spans the whole image
+ */
+const renderChangeMaskImage = (changeMask) => {
+  const { confidence, maskWidth, maskHeight } = changeMask;
+  if (!confidence?.length || !maskWidth || !maskHeight) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = maskWidth;
+  canvas.height = maskHeight;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(maskWidth, maskHeight);
+
+  for (let i = 0; i < maskWidth * maskHeight; i++) {
+    if (confidence[i] > MASK_THRESHOLD) {
+      image.data[i * 4] = 255;
+      image.data[i * 4 + 3] = 180;
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL('image/png');
+};
 
 /**
  * Detect changes using UNet model for change detection
  * Then use Mask R-CNN to identify and segment buildings
+ *
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - cancels inference (rejects with an AbortError)
+ * @param {Function} options.onProgress - called with the inference { stage, windows }
+ * @param {Object} options.regionFilter - { minArea, maxArea, maxRegions } of change regions
+ *   (m², per tile); unset fields take DEFAULT_REGION_FILTER
  */
-export const detectChanges = async (beforeImage, afterImage, coordinates) => {
+export const detectChanges = async (beforeImage, afterImage, coordinates, { signal, onProgress, regionFilter = {} } = {}) => {
+  // Pixel positions are georeferenced with the composite's Web Mercator geotransform
+  const geoTransform = afterImage.geoTransform || createGeoTransform({
+    centerLat: coordinates.lat,
+    centerLng: coordinates.lng,
+    ...DEFAULT_IMAGE
+  });
+
   try {
     console.log('🔄 Starting ML-based change detection with UNet and Mask R-CNN...');
     
     // Step 1: Use UNet for change detection
     console.log('📊 Running UNet change detection...');
-    const changeMask = await mlModelService.detectChangesWithUNet(beforeImage, afterImage);
+    const changeMask = await mlModelService.detectChangesWithUNet(beforeImage, afterImage, {
+      geoTransform,
+      regionFilter: resolveRegionFilter(regionFilter),
+      signal,
+      onProgress
+    });
+
+    // An untrained placeholder's regions are noise: use the classical fallback instead
+    if (changeMask?.model?.placeholder) {
+      console.warn('⚠️ UNet model is a placeholder, falling back to classical change detection');
+      return await fallbackDetection(beforeImage, { ...afterImage, geoTransform }, regionFilter, placeholderReason(changeMask.model));
+    }
     
     if (!changeMask || !changeMask.regions || changeMask.regions.length === 0) {
       return {
@@ -24,60 +202,67 @@ export const detectChanges = async (beforeImage, afterImage, coordinates) => {
         confidence: 0.95,
         changes: [],
         analysisDate: new Date().toISOString(),
-        method: 'UNet + Mask R-CNN'
+        method: 'UNet + Mask R-CNN',
+        regionsFound: changeMask?.regionsFound || 0,
+        models: { changeDetection: changeMask?.model || null }
       };
     }
     
-    console.log(`✅ Found ${changeMask.regions.length} change regions with UNet`);
+    console.log(`✅ Kept ${changeMask.regions.length} of ${changeMask.regionsFound} change regions found by UNet`);
     
     // Step 2: Use Mask R-CNN to detect buildings in changed areas
     console.log('🏗️ Running Mask R-CNN building detection...');
-    const buildings = await mlModelService.detectBuildingsWithMaskRCNN(
+    const { buildings, maskThreshold, model: buildingModel } = await mlModelService.detectBuildingsWithMaskRCNN(
       afterImage,
-      changeMask.regions
+      changeMask.regions,
+      { signal, onProgress }
     );
+    if (buildingModel?.placeholder) {
+      console.warn('⚠️ Mask R-CNN model is a placeholder, falling back to classical change detection');
+      return await fallbackDetection(beforeImage, { ...afterImage, geoTransform }, regionFilter, placeholderReason(buildingModel));
+    }
+    // Registry id/version of both models, recorded on every detection
+    const models = { changeDetection: changeMask.model, buildingDetection: buildingModel };
     
     console.log(`✅ Detected ${buildings.length} buildings with Mask R-CNN`);
     
+    const changeMaskImage = renderChangeMaskImage(changeMask);
+    
     // Step 3: Convert building detections to site format
-    const changes = buildings.map((building, idx) => {
-      // Convert pixel coordinates to GPS coordinates
-      // This is simplified - in production, use proper georeferencing
-      const pixelToLatLng = (px, py, centerLat, centerLng, imageWidth, imageHeight, zoom = 14) => {
-        // Approximate conversion (in production, use proper projection)
-        const latOffset = (py - imageHeight / 2) / (256 * Math.pow(2, zoom)) * 180;
-        const lngOffset = (px - imageWidth / 2) / (256 * Math.pow(2, zoom)) * 360;
-        return {
-          lat: centerLat + latOffset,
-          lng: centerLng + lngOffset
-        };
-      };
-      
+    const changes = buildings.map(building => {
       const bbox = building.bbox;
-      const center = pixelToLatLng(
-        bbox.x + bbox.width / 2,
-        bbox.y + bbox.height / 2,
-        coordinates.lat,
-        coordinates.lng,
-        800, // Assuming 800x800 image
-        800
-      );
+      const geo = bboxToGeo(geoTransform, bbox);
+      const region = findContainingRegion(bbox, changeMask.regions);
+      
+      const footprint = buildFootprint(building, region, geoTransform, maskThreshold);
       
-      // Calculate area in square meters (approximate)
-      const area = (bbox.width * bbox.height) * 0.5; // Rough conversion
+      // Instance masks give a pixel-exact area; otherwise measure the footprint
+      const area = footprint.properties.source === 'instance-mask'
+        ? maskAreaInSquareMeters(building.mask, bbox, geoTransform, maskThreshold)
+        : turf.area(footprint);
       
       return {
-        id: building.id || `change_${Date.now()}_${idx}`,
-        coordinates: center,
-        area: Math.max(area, 50), // Minimum 50 sq meters
-        type: building.class === 1 ? 'Residential Building' : 
-              building.class === 2 ? 'Commercial Structure' : 'Infrastructure',
+        id: building.id || crypto.randomUUID(),
+        coordinates: geo.center,
+        bounds: geo.bounds,
+        footprint,
+        area,
+        areaMethod: footprint.properties.source,
+        groundResolution: geoTransform.metersPerPixel,
+        // Class labels come from the model's registry entry
+        type: building.label || (building.class === 1 ? 'Residential Building' :
+              building.class === 2 ? 'Commercial Structure' : 'Infrastructure'),
         confidence: building.confidence || 0.8,
         detectedDate: new Date().toISOString(),
         beforeImage: beforeImage.url,
         afterImage: afterImage.url,
+        imageGeoTransform: geoTransform,
         bbox: bbox,
-        detectionMethod: 'UNet + Mask R-CNN'
+        changeType: 'construction',
+        detectionMethod: 'UNet + Mask R-CNN',
+        // Statistics of the UNet change region the building sits in
+        changeRegion: region ? summarizeChangeRegion(region) : null,
+        models
       };
     });
     
@@ -92,95 +277,181 @@ export const detectChanges = async (beforeImage, afterImage, coordinates) => {
       changes,
       analysisDate: new Date().toISOString(),
       method: 'UNet + Mask R-CNN',
+      changeMaskImage,
       changeRegions: changeMask.regions.length,
-      buildingsDetected: buildings.length
+      regionsFound: changeMask.regionsFound,
+      buildingsDetected: buildings.length,
+      models
     };
     
   } catch (error) {
+    // Cancelled analyses and models missing or corrupt in production stop the scan
+    if (isAbortError(error) || isModelUnavailableError(error)) throw error;
     console.error('❌ Error in ML change detection:', error);
     
-    // Fallback to simulated detection if ML models fail
-    console.warn('⚠️ Falling back to simulated detection');
-    return await fallbackDetection(beforeImage, afterImage, coordinates);
+    // Failed inference falls back to classical change detection, labelled
+    // as such on every result
+    console.warn('⚠️ Falling back to classical change detection');
+    return await fallbackDetection(beforeImage, { ...afterImage, geoTransform }, regionFilter, error.message);
   }
 };
 
 /**
- * Fallback detection when ML models are not available
+ * Fallback detection when the ML models fail or are untrained
+ * placeholders: deterministic change-vector analysis
+ * (classicalChangeDetection.js). Every change is marked `fallback` and
+ * carries the threshold and statistics behind it; callers do not save
+ * fallback sites until a user confirms them.
  */
-async function fallbackDetection(beforeImage, afterImage, coordinates) {
-  await new Promise(resolve => setTimeout(resolve, 2000));
-  
-  const changeProbability = Math.random();
-  const hasSignificantChange = changeProbability > 0.6;
-  
-  if (!hasSignificantChange) {
+async function fallbackDetection(beforeImage, afterImage, regionFilter, reason) {
+  const { geoTransform } = afterImage;
+  const classical = await detectChangesClassically(beforeImage, afterImage, regionFilter);
+  const explanation = {
+    threshold: classical.threshold,
+    normalization: classical.normalization,
+    changedShare: classical.changedShare,
+    comparable: classical.comparable
+  };
+
+  const changes = classical.regions.map(region => {
+    const [west, south, east, north] = turf.bbox(region.footprint);
+    const [lng, lat] = turf.centroid(region.footprint).geometry.coordinates;
+
     return {
-      hasChange: false,
-      confidence: 1 - changeProbability,
-      changes: [],
-      analysisDate: new Date().toISOString(),
-      method: 'Fallback (No ML models available)'
-    };
-  }
-  
-  const numChanges = Math.floor(Math.random() * 3) + 1;
-  const changes = [];
-  
-  for (let i = 0; i < numChanges; i++) {
-    const offsetLat = (Math.random() - 0.5) * 0.01;
-    const offsetLng = (Math.random() - 0.5) * 0.01;
-    
-    changes.push({
-      id: `change_${Date.now()}_${i}`,
-      coordinates: {
-        lat: coordinates.lat + offsetLat,
-        lng: coordinates.lng + offsetLng
-      },
-      area: Math.random() * 500 + 100,
-      type: ['Residential Building', 'Commercial Structure', 'Infrastructure'][Math.floor(Math.random() * 3)],
-      confidence: Math.random() * 0.3 + 0.7,
-      detectedDate: new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000).toISOString(),
+      // Same images, same regions, same ids
+      id: contentId('classical', region.footprint, beforeImage, afterImage),
+      coordinates: { lat, lng },
+      bounds: { north, south, east, west },
+      footprint: region.footprint,
+      area: region.area,
+      areaMethod: 'change-vector',
+      groundResolution: geoTransform.metersPerPixel,
+      type: 'Unclassified Change',
+      confidence: classicalConfidence(region.meanMagnitude, classical.threshold),
+      detectedDate: new Date().toISOString(),
       beforeImage: beforeImage.url,
       afterImage: afterImage.url,
-      detectionMethod: 'Fallback'
-    });
-  }
-  
+      imageGeoTransform: geoTransform,
+      bbox: region.bbox,
+      changeType: 'construction',
+      detectionMethod: FALLBACK_METHOD,
+      fallback: true,
+      explanation: {
+        threshold: classical.threshold,
+        meanMagnitude: region.meanMagnitude,
+        cells: region.cells,
+        normalization: classical.normalization
+      }
+    };
+  });
+
+  console.log(`✅ ${changes.length} change region(s) from classical change detection`);
   return {
-    hasChange: true,
-    confidence: changeProbability,
+    hasChange: changes.length > 0,
+    confidence: changes.length > 0
+      ? Math.max(...changes.map(change => change.confidence))
+      : 1 - classical.changedShare,
     changes,
     analysisDate: new Date().toISOString(),
-    method: 'Fallback (No ML models available)'
+    method: FALLBACK_METHOD,
+    fallback: true,
+    fallbackReason: reason || 'ML models unavailable',
+    explanation
   };
 }
 
 /**
- * Process detected site with GIS validation
+ * Detect open water lost around a waterbody (lake filling).
+ * Water is segmented in both images; every region that was water in the
+ * baseline and is not any more becomes a change of type 'lake-filling'.
+ */
+export const detectWaterShrinkage = async (beforeImage, afterImage, waterbody, coordinates) => {
+  const geoTransform = afterImage.geoTransform || createGeoTransform({
+    centerLat: coordinates.lat,
+    centerLng: coordinates.lng,
+    ...DEFAULT_IMAGE
+  });
+
+  console.log('🌊 Segmenting open water for lake filling...');
+  const water = await segmentWaterLoss(beforeImage, { ...afterImage, geoTransform }, waterbody);
+  const method = `Water segmentation (${water.classifier})`;
+
+  const changes = water.lostRegions.map(region => {
+    const [west, south, east, north] = turf.bbox(region.footprint);
+    const [lng, lat] = turf.centroid(region.footprint).geometry.coordinates;
+
+    return {
+      // Deterministic segmentation: the same images give the same regions and ids
+      id: contentId('water', region.footprint, beforeImage, afterImage),
+      coordinates: { lat, lng },
+      bounds: { north, south, east, west },
+      footprint: region.footprint,
+      area: region.area,
+      areaMethod: 'water-mask',
+      groundResolution: geoTransform.metersPerPixel,
+      type: 'Lake Filling',
+      changeType: 'lake-filling',
+      // The colour classifier gives no per-pixel score; larger regions are less likely to be noise
+      confidence: Math.min(0.95, 0.6 + region.cells / 2000),
+      detectedDate: new Date().toISOString(),
+      beforeImage: beforeImage.url,
+      afterImage: afterImage.url,
+      imageGeoTransform: geoTransform,
+      detectionMethod: method
+    };
+  });
+
+  console.log(`✅ ${changes.length} region(s) of lost open water`);
+  return {
+    hasChange: changes.length > 0,
+    changes,
+    waterAreaBefore: water.waterAreaBefore,
+    waterAreaAfter: water.waterAreaAfter,
+    analysisDate: new Date().toISOString(),
+    method
+  };
+};
+
+/**
+ * Process detected site with GIS validation against the zoning rule set.
+ * Only the rules that apply to the site's change type are evaluated.
  */
-export const processDetectedSite = async (site, gisLayers) => {
+export const processDetectedSite = async (site, gisLayers, ruleSet) => {
   const zoneCheck = checkProtectedZone(
     site.coordinates.lat,
     site.coordinates.lng,
-    gisLayers
+    gisLayers,
+    ruleSet,
+    site.footprint,
+    site.changeType
   );
   
-  const risk = calculateRiskLevel(zoneCheck.violations);
-  const district = getDistrict(site.coordinates.lat, site.coordinates.lng);
+  const risk = calculateRiskLevel(zoneCheck.violations, ruleSet);
+  const adminArea = getAdministrativeArea(site.coordinates.lat, site.coordinates.lng, gisLayers);
   
   return {
     ...site,
     riskLevel: risk.level,
     riskScore: risk.score,
     violations: zoneCheck.violations,
-    district,
+    encroachment: zoneCheck.encroachment || null,
+    ruleSetVersion: zoneCheck.ruleSetVersion,
+    skippedRules: zoneCheck.skippedRules,
+    ...adminArea,
     status: 'PENDING',
     reportedDate: new Date().toISOString(),
     evidence: {
       beforeImage: site.beforeImage,
       afterImage: site.afterImage,
-      coordinates: site.coordinates
+      beforeDate: site.constructionWindow?.from || null,
+      afterDate: site.constructionWindow?.to || null,
+      // Provider, layer, zoom, tiles, capture date and licence of both images
+      imagery: site.imagery || null,
+      // Registry id/version of the models that produced the detection
+      models: site.models || null,
+      geoTransform: site.imageGeoTransform || null,
+      coordinates: site.coordinates,
+      bounds: site.bounds
     }
   };
 };
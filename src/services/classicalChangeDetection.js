@@ -0,0 +1,187 @@
+/**
+ * Classical Change Detection
+ * Non-ML change detection for when the ML models cannot run. Every step is
+ * deterministic, so the same pair of images always gives the same regions:
+ *
+ *   1. Radiometric normalisation: each channel of the baseline is rescaled
+ *      linearly to the mean and spread of the current image
+ *   2. Change-vector analysis: Euclidean RGB distance per pixel
+ *   3. Otsu threshold of the change magnitudes (never below MIN_MAGNITUDE)
+ *   4. Morphological opening, then closing, of the change mask
+ *   5. 4-connected components between MIN_AREA_M2 and MAX_AREA_M2 (unless the
+ *      analysis sets its own region filter)
+ *
+ * Blank fill (missing tiles, outside uploads) is left out of every step.
+ */
+
+import { vectorizeMask } from './maskVectorizer';
+import { loadImagePixels, sampleGrid, cellsArea } from './waterSurfaceService';
+import { otsuThreshold, openMask, closeMask, labelComponents } from './binaryMask';
+
+// Fill colour behind missing imagery (imageryProviders, localImageryService)
+const BLANK = [232, 232, 232];
+// Largest RGB distance
+const MAX_MAGNITUDE = Math.sqrt(3 * 255 * 255);
+// Floor under the Otsu threshold, so unchanged scenes are not split on noise alone
+const MIN_MAGNITUDE = 40;
+// A small house; smaller regions are speckle left by co-registration or shadows
+const MIN_AREA_M2 = 40;
+// Larger regions are scene-wide differences (season, sensor, mosaic seams), not structures
+const MAX_AREA_M2 = 50000;
+// Above this share of changed pixels the two images are not comparable
+const MAX_CHANGED_SHARE = 0.5;
+
+const isBlank = (rgb, i) => rgb[i] === BLANK[0] && rgb[i + 1] === BLANK[1] && rgb[i + 2] === BLANK[2];
+
+/**
+ * Per-channel gain and offset mapping the baseline onto the current image's radiometry
+ */
+const fitNormalization = (beforeRgb, afterRgb, valid) => {
+  return [0, 1, 2].map(channel => {
+    let n = 0;
+    let sumBefore = 0;
+    let sumAfter = 0;
+    let sqBefore = 0;
+    let sqAfter = 0;
+    valid.forEach((isValid, cell) => {
+      if (!isValid) return;
+      const before = beforeRgb[cell * 3 + channel];
+      const after = afterRgb[cell * 3 + channel];
+      n++;
+      sumBefore += before;
+      sumAfter += after;
+      sqBefore += before * before;
+      sqAfter += after * after;
+    });
+    if (n === 0) return { gain: 1, offset: 0 };
+
+    const meanBefore = sumBefore / n;
+    const meanAfter = sumAfter / n;
+    const stdBefore = Math.sqrt(Math.max(0, sqBefore / n - meanBefore ** 2));
+    const stdAfter = Math.sqrt(Math.max(0, sqAfter / n - meanAfter ** 2));
+    const gain = stdBefore > 0 ? stdAfter / stdBefore : 1;
+    return { gain, offset: meanAfter - gain * meanBefore };
+  });
+};
+
+/**
+ * Find changed regions between two co-registered images.
+ *
+ * @param {Object} beforeImage - baseline imagery ({ url, geoTransform })
+ * @param {Object} afterImage - current imagery ({ url, geoTransform })
+ * @param {Object} regionFilter - { minArea, maxArea (m²), maxRegions }; unset fields use the defaults above
+ * @returns {Promise<Object>} { regions, threshold, normalization, changedShare, comparable }
+ *   regions: { footprint, area, bbox (image pixels), cells, meanMagnitude }, largest first
+ */
+export const detectChangesClassically = async (beforeImage, afterImage, regionFilter = {}) => {
+  const { minArea = MIN_AREA_M2, maxArea = MAX_AREA_M2, maxRegions = null } = regionFilter;
+  const geoTransform = afterImage.geoTransform;
+  if (!geoTransform) {
+    throw new Error('Classical change detection needs georeferenced imagery');
+  }
+
+  const grid = {
+    imageWidth: geoTransform.width,
+    imageHeight: geoTransform.height,
+    width: geoTransform.width,
+    height: geoTransform.height,
+    cellWidth: 1,
+    cellHeight: 1
+  };
+  const [beforePixels, afterPixels] = await Promise.all([
+    loadImagePixels(beforeImage.url),
+    loadImagePixels(afterImage.url)
+  ]);
+  const beforeRgb = sampleGrid(beforePixels, grid);
+  const afterRgb = sampleGrid(afterPixels, grid);
+
+  const cellCount = grid.width * grid.height;
+  const valid = new Uint8Array(cellCount);
+  for (let cell = 0; cell < cellCount; cell++) {
+    valid[cell] = isBlank(beforeRgb, cell * 3) || isBlank(afterRgb, cell * 3) ? 0 : 1;
+  }
+
+  const normalization = fitNormalization(beforeRgb, afterRgb, valid);
+  const magnitude = new Float32Array(cellCount);
+  const validMagnitudes = [];
+  for (let cell = 0; cell < cellCount; cell++) {
+    if (!valid[cell]) continue;
+    let sum = 0;
+    for (let channel = 0; channel < 3; channel++) {
+      const { gain, offset } = normalization[channel];
+      const difference = afterRgb[cell * 3 + channel] - (beforeRgb[cell * 3 + channel] * gain + offset);
+      sum += difference * difference;
+    }
+    magnitude[cell] = Math.sqrt(sum);
+    validMagnitudes.push(magnitude[cell]);
+  }
+
+  const threshold = Math.max(MIN_MAGNITUDE, otsuThreshold(validMagnitudes, MAX_MAGNITUDE));
+  const changed = new Uint8Array(cellCount);
+  let changedCount = 0;
+  for (let cell = 0; cell < cellCount; cell++) {
+    if (valid[cell] && magnitude[cell] > threshold) {
+      changed[cell] = 1;
+      changedCount++;
+    }
+  }
+
+  const changedShare = validMagnitudes.length > 0 ? changedCount / validMagnitudes.length : 0;
+  const summary = {
+    threshold,
+    normalization,
+    changedShare,
+    comparable: validMagnitudes.length > 0 && changedShare <= MAX_CHANGED_SHARE
+  };
+  if (!summary.comparable) {
+    return { ...summary, regions: [] };
+  }
+
+  const cleaned = closeMask(openMask(changed, grid.width, grid.height), grid.width, grid.height);
+  const { labels, components } = labelComponents(cleaned, grid.width, grid.height);
+
+  const regions = components
+    .map(component => ({ ...component, area: cellsArea(component.cells, grid, geoTransform) }))
+    .filter(component => component.area >= minArea && (maxArea == null || component.area <= maxArea))
+    .map(component => {
+      const footprint = vectorizeMask({
+        isFilled: (gx, gy) => labels[(component.y0 + gy) * grid.width + component.x0 + gx] === component.label,
+        width: component.x1 - component.x0 + 1,
+        height: component.y1 - component.y0 + 1,
+        toImagePixel: (gx, gy) => ({ x: component.x0 + gx, y: component.y0 + gy }),
+        geoTransform,
+        tolerance: 1,
+        properties: { source: 'change-vector' }
+      });
+      if (!footprint) return null;
+
+      // Closing can add cells below the threshold; they count towards the mean as they are
+      const meanMagnitude = component.cells.reduce((sum, cell) => sum + magnitude[cell], 0) / component.cells.length;
+      return {
+        footprint,
+        area: component.area,
+        cells: component.cells.length,
+        meanMagnitude,
+        bbox: {
+          x: component.x0,
+          y: component.y0,
+          width: component.x1 - component.x0 + 1,
+          height: component.y1 - component.y0 + 1
+        }
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.area - a.area || a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x)
+    .slice(0, maxRegions ?? undefined);
+
+  return { ...summary, regions };
+};
+
+/**
+ * Confidence of a classical detection: 0.5 at the threshold, rising to
+ * 0.9 at twice the threshold; always below what the ML models report
+ */
+export const classicalConfidence = (meanMagnitude, threshold) => (
+  0.5 + 0.4 * Math.min(1, Math.max(0, (meanMagnitude - threshold) / threshold))
+);
+
@@ -0,0 +1,52 @@
+/**
+ * CSV Helpers
+ * Minimal reading and writing of comma-separated text.
+ */
+
+/**
+ * Parse a simple CSV (quoted fields, `""` for a quote inside one, no embedded newlines)
+ */
+export const parseCSV = (text) => {
+  return text.split(/\r?\n/).map(line => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') quoted = !quoted;
+      else if (char === ',' && !quoted) {
+        fields.push(field.trim());
+        field = '';
+      } else field += char;
+    }
+    fields.push(field.trim());
+    return fields;
+  });
+};
+
+/**
+ * Serialise rows of values to CSV, quoting fields that need it
+ */
+export const toCSV = (rows) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(escape).join(',')).join('\r\n');
+};
+
+/**
+ * Offer CSV text as a file download in the browser
+ */
+export const downloadCSV = (rows, fileName) => {
+  const blob = new Blob([toCSV(rows)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,149 @@
+/**
+ * Geotransform Utilities
+ * Web Mercator (EPSG:3857) georeferencing for imagery composites.
+ *
+ * A geotransform describes how the pixels of an image map to the ground:
+ * the image's top-left corner in world pixel space at a given zoom level,
+ * its size, geographic bounds and ground resolution.
+ */
+
+export const TILE_SIZE = 256;
+const EARTH_RADIUS_M = 6378137;
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Convert lat/lng to world pixel coordinates at a zoom level
+ */
+export const latLngToWorldPixel = (lat, lng, zoom) => {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sinLat = Math.sin(clampedLat * Math.PI / 180);
+
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+  };
+};
+
+/**
+ * Convert world pixel coordinates at a zoom level to lat/lng
+ */
+export const worldPixelToLatLng = (x, y, zoom) => {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - 2 * Math.PI * y / scale;
+
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lng: x / scale * 360 - 180
+  };
+};
+
+/**
+ * Ground resolution (metres per pixel) at a latitude and zoom level
+ */
+export const metersPerPixel = (lat, zoom) => {
+  return Math.cos(lat * Math.PI / 180) * 2 * Math.PI * EARTH_RADIUS_M / (TILE_SIZE * Math.pow(2, zoom));
+};
+
+/**
+ * Build a geotransform for an image centred on a coordinate
+ */
+export const createGeoTransform = ({ centerLat, centerLng, zoom, width, height }) => {
+  const center = latLngToWorldPixel(centerLat, centerLng, zoom);
+  return createGeoTransformFromOrigin({
+    originX: center.x - width / 2,
+    originY: center.y - height / 2,
+    zoom,
+    width,
+    height
+  });
+};
+
+/**
+ * Build a geotransform from the image's top-left world pixel
+ */
+export const createGeoTransformFromOrigin = ({ originX, originY, zoom, width, height }) => {
+  const northWest = worldPixelToLatLng(originX, originY, zoom);
+  const southEast = worldPixelToLatLng(originX + width, originY + height, zoom);
+  const center = worldPixelToLatLng(originX + width / 2, originY + height / 2, zoom);
+
+  return {
+    crs: 'EPSG:3857',
+    zoom,
+    width,
+    height,
+    originX,
+    originY,
+    center,
+    bounds: {
+      north: northWest.lat,
+      south: southEast.lat,
+      east: southEast.lng,
+      west: northWest.lng
+    },
+    metersPerPixel: metersPerPixel(center.lat, zoom)
+  };
+};
+
+/**
+ * Web Mercator extent of an image in metres: [minX, minY, maxX, maxY]
+ * (the BBOX of an EPSG:3857 WMS request)
+ */
+export const mercatorBBox = (transform) => {
+  const metresPerWorldPixel = 2 * Math.PI * EARTH_RADIUS_M / (TILE_SIZE * Math.pow(2, transform.zoom));
+  const toX = (px) => px * metresPerWorldPixel - Math.PI * EARTH_RADIUS_M;
+  const toY = (py) => Math.PI * EARTH_RADIUS_M - py * metresPerWorldPixel;
+  return [
+    toX(transform.originX),
+    toY(transform.originY + transform.height),
+    toX(transform.originX + transform.width),
+    toY(transform.originY)
+  ];
+};
+
+/**
+ * Convert an image pixel position to lat/lng
+ */
+export const pixelToLatLng = (transform, px, py) => {
+  return worldPixelToLatLng(transform.originX + px, transform.originY + py, transform.zoom);
+};
+
+/**
+ * Convert lat/lng to an image pixel position
+ */
+export const latLngToPixel = (transform, lat, lng) => {
+  const world = latLngToWorldPixel(lat, lng, transform.zoom);
+  return {
+    x: world.x - transform.originX,
+    y: world.y - transform.originY
+  };
+};
+
+/**
+ * Ground area in m² of a single image pixel at a given image row.
+ * Mercator scale varies with latitude, so the row matters for large images.
+ */
+export const pixelAreaAt = (transform, py) => {
+  const { lat } = pixelToLatLng(transform, transform.width / 2, py);
+  return Math.pow(metersPerPixel(lat, transform.zoom), 2);
+};
+
+/**
+ * Geographic bounds and ground area of a pixel bounding box
+ */
+export const bboxToGeo = (transform, bbox) => {
+  const northWest = pixelToLatLng(transform, bbox.x, bbox.y);
+  const southEast = pixelToLatLng(transform, bbox.x + bbox.width, bbox.y + bbox.height);
+  const center = pixelToLatLng(transform, bbox.x + bbox.width / 2, bbox.y + bbox.height / 2);
+
+  return {
+    center,
+    bounds: {
+      north: northWest.lat,
+      south: southEast.lat,
+      east: southEast.lng,
+      west: northWest.lng
+    },
+    area: bbox.width * bbox.height * pixelAreaAt(transform, bbox.y + bbox.height / 2)
+  };
+};
@@ -4,178 +4,390 @@
  */
 
 import * as turf from '@turf/turf';
+import { loadRuleSet, gradeRuleMatch, ruleAppliesTo, ruleDistance } from './ruleEngine';
+import { loadLayers, getLayerEntry } from './layerCatalog';
+
+// Layers needed besides those named by zoning rules
+const SUPPORT_LAYERS = ['wards'];
+
+let gisLayersPromise = null;
+let layerProblems = [];
 
 /**
- * Load GeoJSON file
+ * Load the GIS layers the zoning rules and ward lookup depend on
+ * Layers come from the layer catalog and are indexed once per session.
+ * A rule whose layer failed to load cannot flag anything, so that is
+ * reported loudly instead of being treated as an empty layer.
  */
-export const loadGeoJSON = async (filePath) => {
-  try {
-    const response = await fetch(filePath);
-    if (!response.ok) {
-      throw new Error(`Failed to load ${filePath}`);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error(`Error loading GeoJSON from ${filePath}:`, error);
+export const loadGISLayers = () => {
+  if (!gisLayersPromise) {
+    gisLayersPromise = (async () => {
+      const ruleSet = await loadRuleSet();
+      const layerIds = [...new Set([...ruleSet.rules.map(rule => rule.layer), ...SUPPORT_LAYERS])];
+      const layers = await loadLayers(layerIds);
+
+      layerProblems = ruleSet.rules
+        .filter(rule => !layers[rule.layer])
+        .map(rule => ({
+          ruleId: rule.id,
+          layer: rule.layer,
+          error: getLayerEntry(rule.layer)?.error || 'Layer is not in the catalog'
+        }));
+      layerProblems.forEach(problem => {
+        console.error(`🚨 Zoning rule "${problem.ruleId}" cannot be evaluated: layer "${problem.layer}" failed to load (${problem.error}). Sites will NOT be checked against it.`);
+      });
+      if (!layers.wards) {
+        console.warn('⚠️ Ward layer unavailable; sites will only get an approximate district');
+      }
+
+      const started = performance.now();
+      indexGISLayers(layers, ruleSet);
+      console.log(`🗺️ GIS layers indexed in ${Math.round(performance.now() - started)}ms`);
+      return layers;
+    })().catch(error => {
+      gisLayersPromise = null;
+      throw error;
+    });
+  }
+  return gisLayersPromise;
+};
+
+/**
+ * Zoning rules whose layer failed to load in loadGISLayers
+ */
+export const getLayerLoadProblems = () => layerProblems.map(problem => ({ ...problem }));
+
+/**
+ * Display name of a GIS feature across the differently-shaped layers
+ */
+export const getFeatureName = (feature, fallback = 'Unnamed Feature') => {
+  const props = feature.properties || {};
+  return props.name || props.Park_Name || props['Name of Vulnerable locality'] || fallback;
+};
+
+/**
+ * Shortest distance (m) from a vertex to a single-part feature
+ */
+const vertexToPartDistance = (vertex, part) => {
+  switch (part.geometry.type) {
+    case 'Point':
+      return turf.distance(vertex, part, { units: 'meters' });
+    case 'LineString':
+      return turf.pointToLineDistance(vertex, part, { units: 'meters' });
+    default:
+      return Math.abs(turf.pointToPolygonDistance(vertex, part, { units: 'meters' }));
+  }
+};
+
+/**
+ * Shortest distance (m) between a site (point or footprint) and a feature
+ */
+const distanceToFeature = (target, feature) => {
+  if (turf.booleanIntersects(target, feature)) return 0;
+
+  const targetVertices = turf.coordAll(target).map(coord => turf.point(coord));
+  const isFootprint = target.geometry.type !== 'Point';
+
+  return Math.min(...turf.flatten(feature).features.map(part => Math.min(
+    ...targetVertices.map(vertex => vertexToPartDistance(vertex, part)),
+    // The closest approach may be a feature vertex near a footprint edge
+    ...(isFootprint
+      ? turf.coordAll(part).map(coord => vertexToPartDistance(turf.point(coord), target))
+      : [])
+  )));
+};
+
+const isPolygon = (feature) => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type);
+
+/**
+ * Geometry a rule is tested against: the feature itself, or its buffer
+ * for "within" (at the distance for the feature's area, and without the
+ * polygon itself when the rule excludes the inside). "inside" only applies
+ * to features with an area. Null when there is nothing to test against
+ * (no geometry, or a buffer turf could not build).
+ */
+const getRuleGeometry = (feature, rule) => {
+  if (!feature?.geometry) return null;
+  if (rule.predicate === 'within') {
+    const areaHa = isPolygon(feature) ? turf.area(feature) / 1e4 : 0;
+    const buffer = turf.buffer(feature, ruleDistance(rule, areaHa), { units: 'meters' });
+    if (!buffer) return null;
+    return rule.excludeInside && isPolygon(feature)
+      ? turf.difference(turf.featureCollection([buffer, feature]))
+      : buffer;
+  }
+  if (rule.predicate === 'inside' && !isPolygon(feature)) {
     return null;
   }
+  return feature;
 };
 
+const layerIndexes = new WeakMap();
+const sourceFeatures = new WeakMap();
+
 /**
- * Load all critical GIS layers
- * Tries multiple paths to handle different deployment scenarios
+ * R-tree of a layer's rule geometries, built once per layer set and
+ * geometry definition (layer, predicate, distance)
  */
-export const loadGISLayers = async () => {
-  // Try different possible paths
-  const basePaths = [
-    '/hyderabad-open-gis-data-master',
-    '/GENERAL LAYERS',
-    './hyderabad-open-gis-data-master'
-  ];
-  
-  const loadWithFallback = async (relativePath) => {
-    for (const basePath of basePaths) {
-      try {
-        const data = await loadGeoJSON(`${basePath}/${relativePath}`);
-        if (data) return data;
-      } catch (e) {
-        // Try next path
-      }
-    }
-    // Return empty feature collection if all paths fail
-    return { type: 'FeatureCollection', features: [] };
-  };
-  
-  const layers = {
-    waterbodies: await loadWithFallback('GENERAL LAYERS/Waterbodies/Waterbodies.geojson'),
-    waterways: await loadWithFallback('GENERAL LAYERS/Waterways/Hyderabad_Waterways.geojson'),
-    vulnerableLocalities: await loadWithFallback('3. Disaster Resilience/3.1 Flooding Risk Management/Vulnerable Localities.geojson'),
-    greenCover: await loadWithFallback('6. Environment/6.1 Public Parks/GHMC _ HMDA Parks.geojson'),
-    channels: await loadWithFallback('3. Disaster Resilience/3.1 Flooding Risk Management/Channels_Strahler order 3.geojson'),
-    contours: await loadWithFallback('3. Disaster Resilience/3.1 Flooding Risk Management/Hyderabad Countours.geojson')
-  };
-  
-  return layers;
+const getRuleTree = (layers, rule) => {
+  if (!layerIndexes.has(layers)) layerIndexes.set(layers, new Map());
+  const trees = layerIndexes.get(layers);
+  const key = [
+    rule.layer,
+    rule.predicate,
+    rule.distance || 0,
+    JSON.stringify(rule.distanceByArea || []),
+    Boolean(rule.excludeInside)
+  ].join('|');
+
+  if (!trees.has(key)) {
+    const geometries = [];
+    (layers[rule.layer]?.features || []).forEach(feature => {
+      // Features without a usable geometry or buffer are left out of the index
+      const geometry = getRuleGeometry(feature, rule);
+      if (!geometry) return;
+      sourceFeatures.set(geometry, feature);
+      geometries.push(geometry);
+    });
+
+    const tree = turf.geojsonRbush();
+    tree.load(geometries);
+    trees.set(key, tree);
+  }
+
+  return trees.get(key);
 };
 
+const wardIndexes = new WeakMap();
+
 /**
- * Check if a point is within a protected zone
+ * R-tree of the GHMC ward polygons
  */
-export const checkProtectedZone = (lat, lng, layers) => {
-  const point = turf.point([lng, lat]);
-  const results = {
-    inWaterbody: false,
-    inWaterway: false,
-    inVulnerableZone: false,
-    inGreenBelt: false,
-    nearChannel: false,
-    violations: []
-  };
-  
-  // Check waterbodies
-  if (layers.waterbodies) {
-    for (const feature of layers.waterbodies.features || []) {
-      if (turf.booleanPointInPolygon(point, feature)) {
-        results.inWaterbody = true;
-        results.violations.push({
-          type: 'Waterbody Encroachment',
-          feature: feature.properties?.name || 'Unnamed Waterbody',
-          severity: 'HIGH'
-        });
-        break;
-      }
-    }
+const getWardTree = (layers) => {
+  if (!wardIndexes.has(layers)) {
+    const tree = turf.geojsonRbush();
+    tree.load(layers.wards?.features || []);
+    wardIndexes.set(layers, tree);
   }
-  
-  // Check waterways
-  if (layers.waterways) {
-    for (const feature of layers.waterways.features || []) {
-      const buffer = turf.buffer(feature, 50, { units: 'meters' });
-      if (turf.booleanPointInPolygon(point, buffer)) {
-        results.inWaterway = true;
-        results.violations.push({
-          type: 'Waterway Buffer Violation',
-          feature: feature.properties?.name || 'Waterway',
-          severity: 'HIGH',
-          distance: 'within 50m buffer'
-        });
-        break;
-      }
+  return wardIndexes.get(layers);
+};
+
+/**
+ * Zone geometries a rule is tested against (e.g. waterway buffers), for display
+ */
+export const getRuleZones = (layers, rule) => getRuleTree(layers, rule).all();
+
+/**
+ * Build spatial indexes for every rule in a rule set.
+ * Buffers are computed here once, so per-site checks only test
+ * nearby candidates.
+ */
+export const indexGISLayers = (layers, ruleSet) => {
+  ruleSet.rules.forEach(rule => getRuleTree(layers, rule));
+  getWardTree(layers);
+};
+
+/**
+ * Union of polygon features (null when empty)
+ */
+const unionAll = (polygons) => {
+  if (polygons.length === 0) return null;
+  if (polygons.length === 1) return polygons[0];
+  return turf.union(turf.featureCollection(polygons));
+};
+
+/**
+ * Parts of a footprint inside each matched zone geometry
+ */
+const measureOverlap = (footprint, matches, structureArea) => {
+  return matches
+    .map(match => {
+      const intersection = turf.intersect(turf.featureCollection([footprint, match.geometry]));
+      const area = intersection ? turf.area(intersection) : 0;
+      return { ...match, intersection, area, percent: area / structureArea * 100 };
+    })
+    .filter(match => match.area > 0);
+};
+
+/**
+ * Evaluate the zoning rule set for a site.
+ * When a footprint polygon is given the whole footprint is tested, so a
+ * structure clipping a lake edge counts even if its centre is outside.
+ * Area rules then report the encroached area and share of the structure,
+ * with overlapping features unioned so shared ground is not counted twice.
+ * Rules apply to construction unless their `appliesTo` lists other change types.
+ */
+export const checkProtectedZone = (lat, lng, layers, ruleSet, footprint = null, changeType = 'construction') => {
+  const target = footprint || turf.point([lng, lat]);
+  const structureArea = footprint ? turf.area(footprint) : 0;
+  const allIntersections = [];
+  const violations = [];
+  const skippedRules = [];
+
+  for (const rule of ruleSet.rules.filter(r => ruleAppliesTo(r, changeType))) {
+    if (!layers[rule.layer]) {
+      skippedRules.push(rule.id);
+      continue;
     }
-  }
-  
-  // Check vulnerable localities (flood risk zones)
-  if (layers.vulnerableLocalities) {
-    for (const feature of layers.vulnerableLocalities.features || []) {
-      if (turf.booleanPointInPolygon(point, feature)) {
-        results.inVulnerableZone = true;
-        results.violations.push({
-          type: 'Flood Risk Zone',
-          feature: feature.properties?.name || 'Vulnerable Locality',
-          severity: 'HIGH'
-        });
-        break;
-      }
+
+    let matches = getRuleTree(layers, rule).search(target).features
+      .filter(geometry => turf.booleanIntersects(target, geometry))
+      .map(geometry => {
+        const source = sourceFeatures.get(geometry);
+        return { geometry, source, name: getFeatureName(source, rule.featureName) };
+      });
+
+    const measuresArea = footprint && rule.predicate !== 'intersects';
+    if (measuresArea) {
+      matches = measureOverlap(footprint, matches, structureArea);
     }
-  }
-  
-  // Check green belts/parks
-  if (layers.greenCover) {
-    for (const feature of layers.greenCover.features || []) {
-      if (turf.booleanPointInPolygon(point, feature)) {
-        results.inGreenBelt = true;
-        results.violations.push({
-          type: 'Green Belt Encroachment',
-          feature: feature.properties?.name || 'Park/Green Space',
-          severity: 'MEDIUM'
-        });
-        break;
-      }
+    if (matches.length === 0) continue;
+
+    const distance = rule.predicate === 'within'
+      ? Math.min(...matches.map(match => distanceToFeature(target, match.source)))
+      : null;
+    const { severity, weight } = gradeRuleMatch(rule, distance);
+
+    const violation = {
+      ruleId: rule.id,
+      type: rule.type,
+      feature: [...new Set(matches.map(match => match.name))].join(', '),
+      severity,
+      weight,
+      reference: rule.reference
+    };
+    if (distance != null) violation.distance = `${Math.round(distance)}m`;
+
+    if (measuresArea) {
+      const ruleUnion = unionAll(matches.map(match => match.intersection));
+      const area = turf.area(ruleUnion);
+      allIntersections.push(ruleUnion);
+      violation.features = matches.map(({ name, area, percent }) => ({ name, area, percent }));
+      violation.encroachedArea = area;
+      violation.encroachedPercent = area / structureArea * 100;
     }
+
+    violations.push(violation);
   }
-  
-  // Check proximity to channels (within 100m)
-  if (layers.channels) {
-    for (const feature of layers.channels.features || []) {
-      const distance = turf.pointToLineDistance(point, feature, { units: 'meters' });
-      if (distance < 100) {
-        results.nearChannel = true;
-        results.violations.push({
-          type: 'Channel Proximity',
-          feature: 'Drainage Channel',
-          severity: distance < 50 ? 'HIGH' : 'MEDIUM',
-          distance: `${Math.round(distance)}m`
-        });
-        break;
-      }
-    }
+
+  const results = { violations, skippedRules, ruleSetVersion: ruleSet.version };
+
+  if (footprint) {
+    const totalUnion = unionAll(allIntersections);
+    const area = totalUnion ? turf.area(totalUnion) : 0;
+    results.encroachment = {
+      structureArea,
+      area,
+      percent: structureArea > 0 ? area / structureArea * 100 : 0
+    };
   }
-  
+
   return results;
 };
 
 /**
- * Calculate risk level based on violations
+ * Human-readable extent of a violation (encroached area and/or distance)
  */
-export const calculateRiskLevel = (violations) => {
-  if (violations.length === 0) {
-    return { level: 'LOW', score: 0 };
+export const describeViolationExtent = (violation) => {
+  const parts = [];
+  if (violation.encroachedArea != null) {
+    parts.push(`${Math.round(violation.encroachedArea)} m² encroached (${violation.encroachedPercent.toFixed(1)}% of structure)`);
   }
-  
-  let score = 0;
-  violations.forEach(v => {
-    if (v.severity === 'HIGH') score += 10;
-    else if (v.severity === 'MEDIUM') score += 5;
-    else score += 2;
-  });
-  
-  if (score >= 10) return { level: 'HIGH', score };
-  if (score >= 5) return { level: 'MEDIUM', score };
-  return { level: 'LOW', score };
+  if (violation.distance) parts.push(violation.distance);
+  return parts.join(', ') || 'N/A';
+};
+
+/**
+ * Calculate risk level from violation weights and the rule set's scoring
+ */
+export const calculateRiskLevel = (violations, ruleSet) => {
+  const score = violations.reduce((total, v) => total + (v.weight || 0), 0);
+  const level = [...ruleSet.scoring.levels]
+    .sort((a, b) => b.minScore - a.minScore)
+    .find(l => score >= l.minScore);
+
+  return { level: level ? level.level : ruleSet.scoring.defaultLevel || 'LOW', score };
+};
+
+// Revenue district containing (most of) each GHMC circle. Ward boundaries
+// do not follow district lines exactly, so this is per circle.
+const CIRCLE_DISTRICTS = {
+  '1-KAPRA': 'Medchal',
+  '2-UPPAL': 'Medchal',
+  '3-HAYAT NAGAR': 'Rangareddy',
+  '4-LB. NAGAR': 'Rangareddy',
+  '5-SAROOR NAGAR': 'Rangareddy',
+  '6-MALAKPET': 'Hyderabad',
+  '7-SANTOSH NAGAR': 'Hyderabad',
+  '8-CHANDRAYANGUTTA': 'Hyderabad',
+  '9-CHARMINAR': 'Hyderabad',
+  '10-FALAKNUMA': 'Hyderabad',
+  '11-RAJENDRA NAGAR': 'Rangareddy',
+  '12-MEDHDIPATNAM': 'Hyderabad',
+  '13-KARWAN': 'Hyderabad',
+  '14-GOSHAMAHAL': 'Hyderabad',
+  '15-MUSHEERABAD': 'Hyderabad',
+  '16-AMBERPET': 'Hyderabad',
+  '17-KHAIRATABAD': 'Hyderabad',
+  '18-JUBILEE HILLS': 'Hyderabad',
+  '19-YOUSUFGUDA': 'Hyderabad',
+  '20-SERILINGAMPALLY': 'Rangareddy',
+  '21-CHANDA NAGAR': 'Rangareddy',
+  '22-RAMACHANDRAPURAM & PATANCHERUVU': 'Sangareddy',
+  '23-MOOSAPET': 'Medchal',
+  '24-KUKATPALLY': 'Medchal',
+  '25-QUTUBULLAPUR': 'Medchal',
+  '26-GAJULARAMARAM': 'Medchal',
+  '27-ALWAL': 'Medchal',
+  '28-MALKAJGIRI': 'Medchal',
+  '29-SECUNDERABAD': 'Hyderabad',
+  '30-BEGUMPET': 'Hyderabad',
+  'CANTONMENT AREA': 'Hyderabad',
+  'OU': 'Hyderabad',
+  'BANDLAGUDA': 'Rangareddy',
+  'GRAMPANCHAYAT PEERZADIGUDA': 'Medchal'
+};
+
+/**
+ * Tidy an administrative name from the ward layer ("NORTH  ZONE" -> "NORTH ZONE")
+ */
+const normalizeAdminName = (name) => {
+  return typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() || null : null;
+};
+
+/**
+ * Ward, circle, zone and district of a location.
+ * Inside GHMC these come from the Ward Committees polygons; elsewhere only
+ * the approximate district is known.
+ */
+export const getAdministrativeArea = (lat, lng, layers) => {
+  const point = turf.point([lng, lat]);
+  const ward = getWardTree(layers).search(point).features
+    .find(feature => turf.booleanPointInPolygon(point, feature));
+
+  if (!ward) {
+    return {
+      ward: null,
+      circle: null,
+      zone: null,
+      district: getDistrict(lat, lng),
+      adminSource: 'approximate'
+    };
+  }
+
+  const circle = normalizeAdminName(ward.properties.CIRCLE);
+  return {
+    ward: normalizeAdminName(ward.properties['Ward Name']),
+    circle,
+    zone: normalizeAdminName(ward.properties.ZONE),
+    district: CIRCLE_DISTRICTS[circle] || getDistrict(lat, lng),
+    adminSource: 'ward'
+  };
 };
 
 /**
- * Get district name from coordinates
+ * Get approximate district name from coordinates
+ * Fallback for locations outside the GHMC ward polygons.
  */
 export const getDistrict = (lat, lng) => {
   // Approximate district boundaries
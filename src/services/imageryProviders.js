@@ -0,0 +1,515 @@
+/**
+ * Imagery Providers
+ * Every source of satellite imagery implements the same interface, and every
+ * image it produces carries a provenance record: provider, layer, zoom, the
+ * exact tiles or map request, capture date and licence. Reports use the
+ * record as the chain of evidence for the imagery.
+ *
+ * A provider has:
+ *   id, name, service ('xyz' | 'wmts' | 'wms'), sensor, licence, attribution
+ *   isConfigured()       - credentials / endpoint present
+ *   coversDate(date)     - serves imagery of that date (null: current)
+ *   layerFor(date)       - layer name recorded in the provenance
+ *   captureDate(date)    - { date, window, source } of what it serves
+ *   tileUrl(tile, date)  - tiled services (maxNativeZoom limits the tile zoom)
+ *   mapUrl(request)      - WMS services: one GetMap for the whole image
+ *
+ * Providers are tried in the order of VITE_IMAGERY_PROVIDERS. Tiles and map
+ * images go through the persistent tile cache; offline, only cached ones
+ * are used.
+ */
+
+import { TILE_SIZE, mercatorBBox, createGeoTransformFromOrigin } from './geoTransform';
+import { getTileCache, tileCacheKey, mapCacheKey, isOffline } from './tileCache';
+
+const env = import.meta.env;
+
+const DEFAULT_PROVIDER_ORDER = 'local,sentinelHub,maptiler,esri';
+const TILE_TIMEOUT_MS = 5000;
+const MAP_TIMEOUT_MS = 10000;
+// A composite with fewer tiles than this share loaded is rejected
+const MIN_LOADED_SHARE = 0.5;
+// Sentinel Hub mosaics the least cloudy scene within this many days before the date
+const SENTINEL_WINDOW_DAYS = 90;
+const SENTINEL_START = '2015-06-23';
+const GIBS_START = '2000-02-24';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const shiftDate = (date, days) => {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted.toISOString().split('T')[0];
+};
+
+const fillTemplate = (template, values) => {
+  return Object.entries(values).reduce(
+    (url, [key, value]) => url.split(`{${key}}`).join(value),
+    template
+  );
+};
+
+/**
+ * Drop credentials from a URL before it is recorded as evidence
+ */
+export const redactUrl = (url, secrets = []) => {
+  let redacted = url.replace(/([?&](?:key|api_key|apikey|access_token|token)=)[^&]+/gi, '$1REDACTED');
+  secrets.filter(Boolean).forEach(secret => {
+    redacted = redacted.split(secret).join('REDACTED');
+  });
+  return redacted;
+};
+
+/**
+ * Esri World Imagery: current mosaic, capture dates vary per area
+ */
+const esriProvider = {
+  id: 'esri',
+  name: 'Esri World Imagery',
+  service: 'xyz',
+  sensor: 'Various (Maxar, Earthstar Geographics)',
+  licence: 'Esri Master License Agreement (World Imagery basemap terms of use)',
+  attribution: 'Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+  maxNativeZoom: 19,
+  isConfigured: () => true,
+  coversDate: (date) => !date,
+  layerFor: () => 'World_Imagery',
+  captureDate: () => ({ date: null, window: null, source: 'current mosaic (capture date varies by area)' }),
+  tileUrl: ({ x, y, z }) => `https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/${z}/${y}/${x}`
+};
+
+/**
+ * MapTiler Satellite: current mosaic, needs an API key
+ */
+const mapTilerProvider = {
+  id: 'maptiler',
+  name: 'MapTiler Satellite',
+  service: 'xyz',
+  sensor: 'Various (MapTiler Satellite mosaic)',
+  licence: 'MapTiler Cloud terms of service',
+  attribution: '© MapTiler © OpenStreetMap contributors',
+  maxNativeZoom: 20,
+  isConfigured: () => Boolean(env.VITE_MAPTILER_KEY),
+  coversDate: (date) => !date,
+  layerFor: () => env.VITE_MAPTILER_LAYER || 'satellite',
+  captureDate: () => ({ date: null, window: null, source: 'current mosaic (capture date varies by area)' }),
+  tileUrl: ({ x, y, z }) => `https://api.maptiler.com/tiles/${mapTilerProvider.layerFor()}/${z}/${x}/${y}.jpg?key=${env.VITE_MAPTILER_KEY}`
+};
+
+/**
+ * NASA GIBS daily MODIS true colour (250 m): any date since 2000, but far
+ * coarser than building scale, so only used when listed explicitly
+ */
+const gibsProvider = {
+  id: 'gibs',
+  name: 'NASA GIBS (MODIS Terra)',
+  service: 'wmts',
+  sensor: 'MODIS Terra',
+  licence: 'NASA EOSDIS imagery - no copyright restrictions (NASA data use policy)',
+  attribution: 'NASA EOSDIS Global Imagery Browse Services (GIBS)',
+  maxNativeZoom: 9,
+  isConfigured: () => true,
+  coversDate: (date) => (date || today()) >= GIBS_START,
+  layerFor: () => 'MODIS_Terra_CorrectedReflectance_TrueColor',
+  captureDate: (date) => ({ date: date || today(), window: null, source: 'daily composite for the requested date' }),
+  tileUrl: ({ x, y, z }, date) => (
+    `https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/${gibsProvider.layerFor(date)}/default/${date || today()}/GoogleMapsCompatible_Level9/${z}/${y}/${x}.jpg`
+  )
+};
+
+/**
+ * Sentinel Hub OGC WMS (Sentinel-2 L2A, 10 m), needs a configuration instance
+ */
+const sentinelHubProvider = {
+  id: 'sentinelHub',
+  name: 'Sentinel Hub (Sentinel-2)',
+  service: 'wms',
+  sensor: 'Sentinel-2 MSI',
+  licence: 'Copernicus Sentinel data licence (free, full and open); Sentinel Hub terms of service',
+  attribution: 'Contains modified Copernicus Sentinel data, processed by Sentinel Hub',
+  isConfigured: () => Boolean(env.VITE_SENTINEL_HUB_INSTANCE_ID),
+  coversDate: (date) => (date || today()) >= SENTINEL_START,
+  layerFor: () => env.VITE_SENTINEL_HUB_LAYER || 'TRUE-COLOR',
+  captureDate: (date) => ({
+    date: null,
+    window: { from: shiftDate(date || today(), -SENTINEL_WINDOW_DAYS), to: date || today() },
+    source: 'least cloudy scene in the window'
+  }),
+  secrets: () => [env.VITE_SENTINEL_HUB_INSTANCE_ID],
+  mapUrl: ({ bbox, width, height, date }) => {
+    const { window: captureWindow } = sentinelHubProvider.captureDate(date);
+    const params = new URLSearchParams({
+      SERVICE: 'WMS',
+      REQUEST: 'GetMap',
+      VERSION: '1.3.0',
+      LAYERS: sentinelHubProvider.layerFor(date),
+      CRS: 'EPSG:3857',
+      BBOX: bbox.join(','),
+      WIDTH: width,
+      HEIGHT: height,
+      FORMAT: 'image/jpeg',
+      TIME: `${captureWindow.from}/${captureWindow.to}`,
+      MAXCC: '20',
+      PRIORITY: 'leastCC'
+    });
+    return `https://services.sentinel-hub.com/ogc/wms/${env.VITE_SENTINEL_HUB_INSTANCE_ID}?${params}`;
+  }
+};
+
+/**
+ * Local or self-hosted XYZ / WMTS / WMS endpoint (e.g. an on-prem archive).
+ * A `{date}` or `{year}` placeholder in the URL makes it serve any date;
+ * otherwise VITE_LOCAL_IMAGERY_DATE is the capture date of the dataset.
+ */
+const LOCAL_URL = env.VITE_LOCAL_IMAGERY_URL || '';
+const LOCAL_DATE = env.VITE_LOCAL_IMAGERY_DATE || null;
+const LOCAL_IS_DATED = /\{(date|year)\}/.test(LOCAL_URL);
+
+const withQuery = (url, params) => `${url}${url.includes('?') ? '&' : '?'}${params}`;
+
+const localProvider = {
+  id: 'local',
+  name: env.VITE_LOCAL_IMAGERY_NAME || 'Local imagery server',
+  service: (env.VITE_LOCAL_IMAGERY_SERVICE || 'xyz').toLowerCase(),
+  sensor: env.VITE_LOCAL_IMAGERY_SENSOR || 'Not stated',
+  licence: env.VITE_LOCAL_IMAGERY_LICENCE || 'Not stated (set VITE_LOCAL_IMAGERY_LICENCE)',
+  attribution: env.VITE_LOCAL_IMAGERY_ATTRIBUTION || '',
+  maxNativeZoom: Number(env.VITE_LOCAL_IMAGERY_MAX_ZOOM) || 20,
+  isConfigured: () => Boolean(LOCAL_URL),
+  coversDate: (date) => {
+    if (LOCAL_IS_DATED) return true;
+    if (!LOCAL_DATE) return !date;
+    return Boolean(date) && new Date(date).getFullYear() === new Date(LOCAL_DATE).getFullYear();
+  },
+  layerFor: () => env.VITE_LOCAL_IMAGERY_LAYER || '',
+  captureDate: (date) => {
+    if (LOCAL_IS_DATED) return { date: date || today(), window: null, source: 'dataset for the requested date' };
+    if (LOCAL_DATE) return { date: LOCAL_DATE, window: null, source: 'configured dataset date' };
+    return { date: null, window: null, source: 'current dataset (capture date not configured)' };
+  },
+  tileUrl: ({ x, y, z }, date) => {
+    if (localProvider.service === 'wmts' && !LOCAL_URL.includes('{')) {
+      // KVP WMTS endpoint on the Google Maps compatible tile matrix set
+      return withQuery(LOCAL_URL, new URLSearchParams({
+        SERVICE: 'WMTS',
+        REQUEST: 'GetTile',
+        VERSION: '1.0.0',
+        LAYER: localProvider.layerFor(),
+        STYLE: 'default',
+        TILEMATRIXSET: env.VITE_LOCAL_IMAGERY_MATRIX_SET || 'GoogleMapsCompatible',
+        TILEMATRIX: z,
+        TILEROW: y,
+        TILECOL: x,
+        FORMAT: 'image/jpeg'
+      }));
+    }
+    // XYZ or RESTful WMTS template
+    return fillTemplate(LOCAL_URL, {
+      z, x, y,
+      TileMatrix: z, TileCol: x, TileRow: y,
+      layer: localProvider.layerFor(),
+      date: date || today(),
+      year: new Date(date || today()).getFullYear()
+    });
+  },
+  mapUrl: ({ bbox, width, height, date }) => {
+    const base = fillTemplate(LOCAL_URL, {
+      date: date || today(),
+      year: new Date(date || today()).getFullYear()
+    });
+    return withQuery(base, new URLSearchParams({
+      SERVICE: 'WMS',
+      REQUEST: 'GetMap',
+      VERSION: '1.3.0',
+      LAYERS: localProvider.layerFor(),
+      STYLES: '',
+      CRS: 'EPSG:3857',
+      BBOX: bbox.join(','),
+      WIDTH: width,
+      HEIGHT: height,
+      FORMAT: 'image/jpeg',
+      ...(date ? { TIME: date } : {})
+    }));
+  }
+};
+
+export const IMAGERY_PROVIDERS = {
+  local: localProvider,
+  sentinelHub: sentinelHubProvider,
+  maptiler: mapTilerProvider,
+  gibs: gibsProvider,
+  esri: esriProvider
+};
+
+/**
+ * Configured providers in order of preference
+ */
+export const getImageryProviders = () => {
+  return (env.VITE_IMAGERY_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+    .split(',')
+    .map(id => IMAGERY_PROVIDERS[id.trim()])
+    .filter(provider => provider && provider.isConfigured());
+};
+
+/**
+ * Download an image, resolving null on error or timeout
+ */
+const fetchImageBlob = async (url, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { mode: 'cors', signal: controller.signal });
+    const blob = response.ok ? await response.blob() : null;
+    return blob && blob.type.startsWith('image/') ? blob : null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const decodeImage = (blob) => createImageBitmap(blob).catch(() => null);
+
+/**
+ * Image through the tile cache. Offline only the cache is read; online,
+ * missing or stale entries are downloaded and stored, and a stale entry is
+ * still used if the download fails.
+ *
+ * @returns {Promise<Object>} { image, cached } - image null when unavailable
+ */
+const loadThroughCache = async (key, url, date, timeoutMs) => {
+  const cache = getTileCache();
+  const offline = isOffline();
+  const entry = await cache.get(key).catch(() => null);
+
+  if (entry && (offline || !cache.isStale(entry))) {
+    const image = await decodeImage(entry.blob);
+    if (image) return { image, cached: true };
+  }
+  if (offline) return { image: null, cached: false };
+
+  const blob = await fetchImageBlob(url, timeoutMs);
+  if (!blob) {
+    return entry ? { image: await decodeImage(entry.blob), cached: true } : { image: null, cached: false };
+  }
+  // A full or unavailable cache never fails the analysis
+  cache.put(key, blob, { date }).catch(error => console.warn('⚠️ Could not cache imagery:', error.message));
+  return { image: await decodeImage(blob), cached: false };
+};
+
+/**
+ * Draw the tiles of a tiled provider covering a geotransform. Above the
+ * provider's native zoom the parent tile is cropped and scaled up.
+ */
+const composeTiles = async (provider, geoTransform, date, ctx) => {
+  const { originX, originY, width, height, zoom } = geoTransform;
+  const nativeZoom = Math.min(zoom, provider.maxNativeZoom ?? zoom);
+  const offline = isOffline();
+  const factor = Math.pow(2, zoom - nativeZoom);
+  const parents = new Map();
+  const tiles = [];
+
+  // Providers serving current imagery for a past date cache it as current
+  const cacheDate = provider.coversDate(date) ? date : null;
+  const loadParent = (x, y) => {
+    const key = `${x}/${y}`;
+    if (!parents.has(key)) {
+      const tile = { x, y, z: nativeZoom };
+      const url = provider.tileUrl(tile, date);
+      parents.set(key, { url, load: loadThroughCache(tileCacheKey(provider.id, tile, cacheDate), url, cacheDate, TILE_TIMEOUT_MS) });
+    }
+    return parents.get(key);
+  };
+
+  const startX = Math.floor(originX / TILE_SIZE);
+  const startY = Math.floor(originY / TILE_SIZE);
+  const endX = Math.floor((originX + width - 1) / TILE_SIZE);
+  const endY = Math.floor((originY + height - 1) / TILE_SIZE);
+  const draws = [];
+
+  for (let y = startY; y <= endY; y++) {
+    for (let x = startX; x <= endX; x++) {
+      const parentX = Math.floor(x / factor);
+      const parentY = Math.floor(y / factor);
+      const parent = loadParent(parentX, parentY);
+      const size = TILE_SIZE / factor;
+
+      draws.push(parent.load.then(({ image, cached }) => {
+        const canvasX = Math.round(x * TILE_SIZE - originX);
+        const canvasY = Math.round(y * TILE_SIZE - originY);
+        if (image) {
+          ctx.drawImage(image, (x % factor) * size, (y % factor) * size, size, size, canvasX, canvasY, TILE_SIZE, TILE_SIZE);
+        }
+        tiles.push({
+          z: nativeZoom,
+          x: parentX,
+          y: parentY,
+          url: parent.url,
+          status: image ? 'loaded' : offline ? 'not cached' : 'failed',
+          cached
+        });
+      }));
+    }
+  }
+
+  // Every tile load times out on its own, so this always settles
+  await Promise.all(draws);
+
+  // Overzoomed tiles share parents; record each source tile once
+  const unique = [...new Map(tiles.map(tile => [`${tile.z}/${tile.x}/${tile.y}`, tile])).values()];
+  const loaded = unique.filter(tile => tile.status === 'loaded').length;
+  const coverage = unique.length > 0 ? loaded / unique.length : 0;
+  return {
+    // Offline, any cached imagery is used; its coverage is reported instead
+    ok: loaded > 0 && (offline || coverage >= MIN_LOADED_SHARE),
+    nativeZoom,
+    coverage,
+    offline,
+    tiles: unique
+  };
+};
+
+/**
+ * Fetch one GetMap image covering a geotransform
+ */
+const composeMap = async (provider, geoTransform, date, ctx) => {
+  const url = provider.mapUrl({
+    bbox: mercatorBBox(geoTransform),
+    width: geoTransform.width,
+    height: geoTransform.height,
+    date
+  });
+  const cacheDate = provider.coversDate(date) ? date : null;
+  const { image, cached } = await loadThroughCache(mapCacheKey(provider.id, geoTransform, cacheDate), url, cacheDate, MAP_TIMEOUT_MS);
+  if (image) ctx.drawImage(image, 0, 0, geoTransform.width, geoTransform.height);
+  return {
+    ok: Boolean(image),
+    nativeZoom: geoTransform.zoom,
+    coverage: image ? 1 : 0,
+    offline: isOffline(),
+    cached,
+    request: url
+  };
+};
+
+/**
+ * Render a geotransform's window from one provider.
+ *
+ * @param {Object} provider - from getImageryProviders
+ * @param {Object} geoTransform - window to render
+ * @param {string|null} date - requested imagery date (null: current)
+ * @returns {Promise<Object|null>} { url, geoTransform, provenance } or null if the provider failed
+ */
+export const renderFromProvider = async (provider, geoTransform, date = null) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = geoTransform.width;
+  canvas.height = geoTransform.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#e8e8e8';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const result = provider.service === 'wms'
+    ? await composeMap(provider, geoTransform, date, ctx)
+    : await composeTiles(provider, geoTransform, date, ctx);
+  if (!result.ok) return null;
+
+  let url;
+  try {
+    url = canvas.toDataURL('image/jpeg', 0.9);
+  } catch (error) {
+    // A tile server without CORS headers taints the canvas
+    console.warn(`⚠️ ${provider.name} imagery cannot be read back (CORS):`, error.message);
+    return null;
+  }
+
+  return {
+    url,
+    geoTransform,
+    provenance: buildProvenance(provider, geoTransform, date, result)
+  };
+};
+
+/**
+ * Provenance record of an image rendered by a provider
+ */
+const buildProvenance = (provider, geoTransform, date, result) => {
+  const secrets = provider.secrets?.() || [];
+  const capture = provider.captureDate(date);
+  return {
+    provider: provider.id,
+    providerName: provider.name,
+    service: provider.service,
+    sensor: provider.sensor,
+    layer: provider.layerFor(date),
+    zoom: geoTransform.zoom,
+    nativeZoom: result.nativeZoom,
+    requestedDate: date,
+    captureDate: capture.date,
+    captureWindow: capture.window,
+    captureDateSource: capture.source,
+    dateMatched: provider.coversDate(date),
+    licence: provider.licence,
+    attribution: provider.attribution,
+    bounds: geoTransform.bounds,
+    // Share of the source tiles that loaded (the rest of the image is blank)
+    coverage: result.coverage ?? 1,
+    offline: Boolean(result.offline),
+    ...(result.tiles ? { tiles: result.tiles.map(tile => ({ ...tile, url: redactUrl(tile.url, secrets) })) } : {}),
+    ...(result.request ? { request: redactUrl(result.request, secrets), cached: result.cached } : {}),
+    retrievedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Last resort when no provider could render the window: the single Esri
+ * tile under the point, drawn by the browser (not read back), so it only
+ * covers that tile
+ */
+export const singleTileImage = (geoTransform, date = null) => {
+  const x = Math.floor((geoTransform.originX + geoTransform.width / 2) / TILE_SIZE);
+  const y = Math.floor((geoTransform.originY + geoTransform.height / 2) / TILE_SIZE);
+  const z = geoTransform.zoom;
+  const url = esriProvider.tileUrl({ x, y, z });
+  const tileTransform = createGeoTransformFromOrigin({
+    originX: x * TILE_SIZE,
+    originY: y * TILE_SIZE,
+    zoom: z,
+    width: TILE_SIZE,
+    height: TILE_SIZE
+  });
+  return {
+    url,
+    geoTransform: tileTransform,
+    provenance: buildProvenance(esriProvider, tileTransform, date, {
+      nativeZoom: z,
+      tiles: [{ z, x, y, url, status: 'unverified' }]
+    })
+  };
+};
+
+/**
+ * Human-readable capture date of a provenance record
+ */
+export const describeCaptureDate = (provenance) => {
+  if (!provenance) return 'Unknown';
+  const { captureDate, captureWindow, captureDateSource } = provenance;
+  if (captureDate) return `${captureDate} (${captureDateSource})`;
+  if (captureWindow) return `${captureWindow.from} to ${captureWindow.to} (${captureDateSource})`;
+  return captureDateSource;
+};
+
+/**
+ * The tiles (z/x/y), map request or uploaded files an image was built from
+ */
+export const describeImagerySource = (provenance) => {
+  if (!provenance) return 'Unknown';
+  if (provenance.files) {
+    return provenance.files
+      .map(file => `${file.name} (${file.sha256 ? `SHA-256 ${file.sha256}` : 'no checksum'})`)
+      .join(', ');
+  }
+  if (provenance.request) return `WMS GetMap: ${provenance.request}`;
+  return (provenance.tiles || [])
+    .map(tile => `${tile.z}/${tile.x}/${tile.y}${tile.status === 'loaded' ? '' : ` (${tile.status})`}`)
+    .join(', ');
+};
@@ -0,0 +1,224 @@
+/**
+ * Lake Monitoring Service
+ * Full Tank Level (FTL) and buffer-zone encroachment checks for a single
+ * waterbody. The mapped waterbody outline is taken as the FTL; the buffer
+ * rings come from the rule set's lakeMonitoring buffer rule. Only the FTL
+ * and its rings are scanned, and every structure found is placed in the
+ * innermost zone it touches. Optionally the lake's open water is compared
+ * between epochs and lost water is reported as lake filling.
+ */
+
+import * as turf from '@turf/turf';
+import { analyzeSite, isPersistable, saveNewSites } from './api';
+import { createLakeAOI } from './aoiService';
+import { loadLayer } from './layerCatalog';
+import { getFeatureName } from './gisService';
+import { loadRuleSet, getLakeBufferDistances } from './ruleEngine';
+
+// Used when the rule set has no lakeMonitoring section
+const DEFAULT_LAKE_LAYER = 'waterbodies';
+const DEFAULT_BUFFER_DISTANCES = [30, 50];
+
+/**
+ * Lake monitoring settings of the active rule set
+ */
+const getLakeSettings = (ruleSet) => {
+  const distances = getLakeBufferDistances(ruleSet);
+  return {
+    layer: ruleSet.lakeMonitoring?.layer || DEFAULT_LAKE_LAYER,
+    distances: distances.length > 0 ? distances : DEFAULT_BUFFER_DISTANCES
+  };
+};
+
+/**
+ * Polygon waterbodies, named ones first
+ */
+export const listWaterbodies = async () => {
+  const { layer } = getLakeSettings(await loadRuleSet());
+  const data = await loadLayer(layer);
+
+  return (data.features || [])
+    .map((feature, index) => ({ feature, index }))
+    .filter(({ feature }) => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type))
+    .map(({ feature, index }) => ({
+      id: feature.properties?.['@id'] || `waterbody-${index}`,
+      name: getFeatureName(feature, `Unnamed waterbody #${index + 1}`),
+      named: Boolean(feature.properties?.name),
+      areaHa: turf.area(feature) / 1e4,
+      feature
+    }))
+    .sort((a, b) => (b.named - a.named) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Waterbody containing a clicked point (null when the click is on land)
+ */
+export const findWaterbodyAt = (waterbodies, lat, lng) => {
+  const point = turf.point([lng, lat]);
+  return waterbodies.find(waterbody => turf.booleanPointInPolygon(point, waterbody.feature)) || null;
+};
+
+/**
+ * FTL polygon and buffer rings of a waterbody, innermost first.
+ * Each ring excludes everything inside it, so the zones do not overlap.
+ */
+export const getLakeZones = (waterbody, distances) => {
+  const ftl = turf.feature(waterbody.feature.geometry, { zone: 'ftl' });
+  const zones = [{ id: 'ftl', label: 'Inside FTL', distance: 0, geometry: ftl }];
+
+  let inner = ftl;
+  distances.forEach(distance => {
+    const outer = turf.buffer(ftl, distance, { units: 'meters' });
+    const ring = turf.difference(turf.featureCollection([outer, inner]));
+    zones.push({
+      id: `buffer-${distance}`,
+      label: `FTL – ${distance} m buffer`,
+      distance,
+      geometry: ring
+    });
+    inner = outer;
+  });
+
+  return { zones, boundary: inner };
+};
+
+/**
+ * Innermost lake zone a structure touches, with its overlap with every zone
+ */
+export const classifyStructure = (site, zones) => {
+  const target = site.footprint || turf.point([site.coordinates.lng, site.coordinates.lat]);
+
+  const overlaps = zones
+    .filter(zone => zone.geometry && turf.booleanIntersects(target, zone.geometry))
+    .map(zone => {
+      if (!site.footprint) return { zone: zone.id, area: null };
+      const intersection = turf.intersect(turf.featureCollection([site.footprint, zone.geometry]));
+      return { zone: zone.id, area: intersection ? turf.area(intersection) : 0 };
+    });
+
+  const innermost = zones.find(zone => overlaps.some(overlap => overlap.zone === zone.id));
+  return innermost
+    ? { zone: innermost.id, zoneLabel: innermost.label, overlaps }
+    : null;
+};
+
+const isLakeFilling = (site) => site.changeType === 'lake-filling';
+
+/**
+ * Per-zone structure inventory of a lake scan (lake filling is reported separately)
+ */
+export const summarizeLakeInventory = (sites, zones) => {
+  return zones.map(zone => {
+    const inZone = sites.filter(site => !isLakeFilling(site) && site.lake?.zone === zone.id);
+    return {
+      zone: zone.id,
+      label: zone.label,
+      structures: inZone.length,
+      builtArea: inZone.reduce((sum, site) => sum + (site.area || 0), 0),
+      highRisk: inZone.filter(site => site.riskLevel === 'HIGH').length,
+      siteIds: inZone.map(site => site.id)
+    };
+  });
+};
+
+/**
+ * Open water lost from a lake, in total and as a share of its mapped (FTL) area
+ */
+export const summarizeWaterLoss = (sites, waterbody) => {
+  const regions = sites.filter(isLakeFilling);
+  const lostArea = regions.reduce((sum, site) => sum + (site.area || 0), 0);
+  const lakeArea = turf.area(waterbody.feature);
+  return {
+    regions: regions.length,
+    lostArea,
+    lakeArea,
+    lostPercent: lakeArea > 0 ? lostArea / lakeArea * 100 : 0,
+    siteIds: regions.map(site => site.id)
+  };
+};
+
+/**
+ * Zones and scan AOI of a waterbody under the active rule set
+ */
+export const prepareLake = async (waterbody) => {
+  const { distances } = getLakeSettings(await loadRuleSet());
+  const { zones, boundary } = getLakeZones(waterbody, distances);
+  const aoi = createLakeAOI(boundary, {
+    lakeId: waterbody.id,
+    lakeName: waterbody.name,
+    bufferMeters: distances[distances.length - 1]
+  });
+  return { zones, aoi, distances };
+};
+
+/**
+ * Scan a waterbody's FTL and buffer rings and inventory the structures found.
+ *
+ * @param {Object} waterbody - from listWaterbodies
+ * @param {Object} options
+ * @param {Function} options.onProgress - tile progress, as for analyzeSite
+ * @param {AbortSignal} options.signal - cancels the scan, as for analyzeSite
+ * @param {boolean} options.waterShrinkage - also look for lost open water (lake filling)
+ * @param {Array} options.epochs - imagery epochs, as for analyzeSite
+ * @param {Object} options.regionFilter - change region filter, as for analyzeSite
+ * @returns {Promise<Object>} analyzeSite result plus { lake, zones, inventory, waterLoss }
+ */
+export const analyzeLake = async (waterbody, { onProgress, signal = null, waterShrinkage = false, epochs = null, regionFilter = {} } = {}) => {
+  const { zones, aoi, distances } = await prepareLake(waterbody);
+
+  const result = await analyzeSite(null, null, null, {
+    aoi,
+    onProgress,
+    signal,
+    save: false,
+    waterbody: waterShrinkage ? waterbody.feature : null,
+    epochs,
+    regionFilter
+  });
+
+  const sites = (result.sites || [])
+    .map(site => {
+      const placement = classifyStructure(site, zones);
+      return placement
+        ? { ...site, lake: { id: waterbody.id, name: waterbody.name, ...placement } }
+        : null;
+    })
+    .filter(Boolean);
+
+  // Classical fallback detections wait for a user to confirm them
+  const persistable = sites.filter(isPersistable);
+  await saveNewSites(persistable);
+
+  return {
+    ...result,
+    hasChange: sites.length > 0,
+    sites,
+    unconfirmedSites: sites.length - persistable.length,
+    lake: { id: waterbody.id, name: waterbody.name, areaHa: waterbody.areaHa, bufferDistances: distances },
+    zones,
+    inventory: summarizeLakeInventory(sites, zones),
+    waterLoss: waterShrinkage ? summarizeWaterLoss(sites, waterbody) : null
+  };
+};
+
+/**
+ * Inventory rows (header first) for CSV export, one per structure
+ */
+export const lakeInventoryRows = (result) => [
+  ['Lake', 'Zone', 'Site ID', 'Type', 'Latitude', 'Longitude', 'Structure Area (m²)', 'Area in Zone (m²)', 'Risk Level', 'Violations'],
+  ...result.sites.map(site => {
+    const overlap = site.lake.overlaps.find(o => o.zone === site.lake.zone);
+    return [
+      result.lake.name,
+      site.lake.zoneLabel,
+      site.id,
+      site.type,
+      site.coordinates.lat.toFixed(6),
+      site.coordinates.lng.toFixed(6),
+      Math.round(site.area || 0),
+      overlap?.area != null ? Math.round(overlap.area) : '',
+      site.riskLevel,
+      (site.violations || []).map(v => v.type).join('; ')
+    ];
+  })
+];
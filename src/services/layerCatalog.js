@@ -0,0 +1,169 @@
+/**
+ * GIS Layer Catalog
+ * Registry of every GeoJSON dataset bundled in hyderabad-open-gis-data-master,
+ * built from the folder structure and Data Tracker.csv (one entry per
+ * .geojson file found, so the layer count follows the data). Layers are fetched
+ * lazily, one at a time, and each entry tracks its own load status.
+ */
+
+import dataTracker from '/hyderabad-open-gis-data-master/Data Tracker.csv?raw';
+import { parseCSV } from './csv';
+
+const DATA_ROOT = '/hyderabad-open-gis-data-master/';
+const DEFAULT_SOURCE = 'Lakeer (lakeer.org) - Hyderabad Open GIS Data';
+
+// Bundled dataset URLs, keyed by path (emitted as assets in production builds)
+const datasetUrls = import.meta.glob('/hyderabad-open-gis-data-master/**/*.geojson', {
+  query: '?url',
+  import: 'default',
+  eager: true
+});
+
+// Stable ids for the layers the analysis and zoning rules refer to
+const LAYER_ALIASES = {
+  'GENERAL LAYERS/Waterbodies/Waterbodies.geojson': 'waterbodies',
+  'GENERAL LAYERS/Waterways/Hyderabad_Waterways.geojson': 'waterways',
+  'GENERAL LAYERS/Railway Lines/Hyderabad_Railways.geojson': 'railways',
+  '3. Disaster Resilience/3.1 Flooding Risk Management/Vulnerable Localities.geojson': 'vulnerableLocalities',
+  '3. Disaster Resilience/3.1 Flooding Risk Management/Channels_Strahler order 3.geojson': 'channels',
+  '6. Environment/6.1 Public Parks/GHMC _ HMDA Parks.geojson': 'greenCover',
+  '4. Governance/4.1 Ward Committee/Ward Committees.geojson': 'wards'
+};
+
+/**
+ * Data Tracker rows keyed by indicator name
+ */
+const readDataTracker = (csv) => {
+  const [header, ...rows] = parseCSV(csv);
+  const column = (name) => header.indexOf(name);
+
+  return rows
+    .filter(row => row[column('Indicator')])
+    .reduce((acc, row) => {
+      acc[row[column('Indicator')].toLowerCase()] = {
+        category: row[column('Category')],
+        source: row[column('Source Attribution')],
+        indicator: row[column('Indicator')]
+      };
+      return acc;
+    }, {});
+};
+
+/**
+ * Strip a leading folder number ("6.1 Public Parks" -> "Public Parks")
+ */
+const stripNumber = (folder) => folder.replace(/^\d+(\.\d+)*\.?\s+/, '');
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Build a catalog entry from a dataset path
+ */
+const createEntry = (path, url, tracker) => {
+  const folders = path.split('/').slice(0, -1);
+  const name = path.split('/').pop().replace(/\.geojson$/, '');
+
+  // GENERAL LAYERS/<Indicator>/... is described by the Data Tracker;
+  // numbered folders are "<n>. Category/<n.m> Indicator/..."
+  const tracked = folders[0] === 'GENERAL LAYERS' ? tracker[folders[1]?.toLowerCase()] : null;
+
+  return {
+    id: LAYER_ALIASES[path] || slugify(path.replace(/\.geojson$/, '')),
+    name,
+    path,
+    url,
+    category: tracked?.category || stripNumber(folders[0] || 'Uncategorised'),
+    indicator: tracked?.indicator || stripNumber(folders[1] || name),
+    source: tracked?.source || DEFAULT_SOURCE,
+    status: 'idle',
+    geometryType: null,
+    featureCount: null,
+    error: null
+  };
+};
+
+const tracker = readDataTracker(dataTracker);
+
+const catalog = new Map(
+  Object.entries(datasetUrls)
+    .map(([file, url]) => createEntry(file.slice(DATA_ROOT.length), url, tracker))
+    .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }))
+    .map(entry => [entry.id, entry])
+);
+
+const layerData = new Map();
+const pendingLoads = new Map();
+
+/**
+ * All catalog entries (snapshots of their current load status)
+ */
+export const getLayerCatalog = () => [...catalog.values()].map(entry => ({ ...entry }));
+
+/**
+ * A single catalog entry, or null if the id is unknown
+ */
+export const getLayerEntry = (id) => {
+  const entry = catalog.get(id);
+  return entry ? { ...entry } : null;
+};
+
+/**
+ * Summarise the geometry types of a feature collection ("Polygon", "Mixed", ...)
+ */
+const describeGeometry = (data) => {
+  const types = new Set((data.features || []).map(f => f.geometry?.type).filter(Boolean));
+  if (types.size === 0) return 'Empty';
+  return types.size === 1 ? [...types][0] : 'Mixed';
+};
+
+/**
+ * Load a layer by id (fetched once; concurrent calls share the request)
+ */
+export const loadLayer = async (id) => {
+  const entry = catalog.get(id);
+  if (!entry) {
+    throw new Error(`Unknown GIS layer "${id}"`);
+  }
+  if (layerData.has(id)) return layerData.get(id);
+  if (pendingLoads.has(id)) return pendingLoads.get(id);
+
+  entry.status = 'loading';
+  const request = (async () => {
+    try {
+      const response = await fetch(entry.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading ${entry.path}`);
+      }
+
+      const data = await response.json();
+      entry.status = 'loaded';
+      entry.geometryType = describeGeometry(data);
+      entry.featureCount = data.features?.length || 0;
+      entry.error = null;
+      layerData.set(id, data);
+      return data;
+    } catch (error) {
+      entry.status = 'error';
+      entry.error = error.message;
+      console.error(`❌ Failed to load GIS layer "${id}":`, error);
+      throw error;
+    } finally {
+      pendingLoads.delete(id);
+    }
+  })();
+
+  pendingLoads.set(id, request);
+  return request;
+};
+
+/**
+ * Load several layers, keyed by id. Layers that fail to load are left out;
+ * their catalog entries carry the error.
+ */
+export const loadLayers = async (ids) => {
+  const results = await Promise.allSettled(ids.map(id => loadLayer(id)));
+  return ids.reduce((layers, id, i) => {
+    if (results[i].status === 'fulfilled') layers[id] = results[i].value;
+    return layers;
+  }, {});
+};
@@ -0,0 +1,478 @@
+/**
+ * Local Imagery Service
+ * Own imagery (drone orthophotos, purchased scenes) uploaded as a GeoTIFF or
+ * as a PNG/JPEG with its world file, used as the before or after imagery of
+ * an analysis in place of fetched tiles. Each scan tile is reprojected from
+ * the file's coordinate system onto the tile's Web Mercator grid, so the
+ * analysis needs no imagery service at all.
+ */
+
+import * as turf from '@turf/turf';
+import proj4 from 'proj4';
+import { fromBlob } from 'geotiff';
+import { pixelToLatLng } from './geoTransform';
+
+const RASTER_EXTENSIONS = ['tif', 'tiff', 'png', 'jpg', 'jpeg'];
+const WORLD_FILE_EXTENSIONS = ['wld', 'pgw', 'pngw', 'jgw', 'jpgw', 'jpegw'];
+// Output pixels are reprojected exactly on this grid and interpolated in between
+const GRID_STEP = 16;
+// Largest window read from one image level; bigger files need overviews
+const MAX_READ_PIXELS = 40e6;
+// Files above this size are recorded without a checksum (hashing reads the whole file)
+const MAX_HASH_BYTES = 1024 * 1024 * 1024;
+// Same grey as the fetched composites' background
+const NO_DATA = [232, 232, 232];
+
+const extensionOf = (file) => file.name.split('.').pop().toLowerCase();
+
+/**
+ * proj4 name of an EPSG code; WGS 84 / UTM zones are defined on demand
+ */
+const projectionForEPSG = (code) => {
+  const epsg = parseInt(String(code).replace(/^EPSG:/i, ''), 10);
+  if (!epsg) throw new Error(`Unrecognised coordinate system "${code}"`);
+
+  const name = `EPSG:${epsg}`;
+  if (proj4.defs(name)) return name;
+  if (epsg > 32600 && epsg <= 32660) {
+    proj4.defs(name, `+proj=utm +zone=${epsg - 32600} +datum=WGS84 +units=m +no_defs`);
+    return name;
+  }
+  if (epsg > 32700 && epsg <= 32760) {
+    proj4.defs(name, `+proj=utm +zone=${epsg - 32700} +south +datum=WGS84 +units=m +no_defs`);
+    return name;
+  }
+  throw new Error(`Coordinate system ${name} is not built in; add the image's .prj file`);
+};
+
+/**
+ * proj4 name for the WKT of a .prj file
+ */
+const projectionForWKT = (wkt, fileName) => {
+  const name = `upload:${fileName}`;
+  try {
+    proj4.defs(name, wkt.trim());
+    proj4('EPSG:4326', name);
+  } catch {
+    throw new Error(`Could not read the coordinate system in ${fileName}`);
+  }
+  return name;
+};
+
+/**
+ * "YYYY:MM:DD HH:MM:SS" TIFF DateTime to an ISO date
+ */
+const parseTiffDate = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const sha256 = async (file) => {
+  if (file.size > MAX_HASH_BYTES) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * GeoTIFF: georeferencing from its tags, one read level per overview
+ */
+const readGeoTiff = async (file) => {
+  const tiff = await fromBlob(file);
+  const count = await tiff.getImageCount();
+  const images = [];
+  for (let i = 0; i < count; i++) {
+    const image = await tiff.getImage(i);
+    // Transparency masks are stored as extra subfiles
+    if (i > 0 && (image.fileDirectory.NewSubfileType & 4)) continue;
+    images.push(image);
+  }
+
+  const base = images[0];
+  const directory = base.fileDirectory;
+  let affine;
+  if (directory.ModelTransformation) {
+    const m = directory.ModelTransformation;
+    affine = { a: m[0], b: m[1], c: m[3], d: m[4], e: m[5], f: m[7] };
+  } else if (directory.ModelTiepoint && directory.ModelPixelScale) {
+    const [originX, originY] = base.getOrigin();
+    const [resX, resY] = base.getResolution();
+    affine = { a: resX, b: 0, c: originX, d: 0, e: resY, f: originY };
+  } else {
+    throw new Error(`${file.name} is not georeferenced (no GeoTIFF tags); use a PNG/JPEG with a world file instead`);
+  }
+
+  const geoKeys = base.getGeoKeys() || {};
+  const epsg = geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey || null;
+  const isRGB = directory.PhotometricInterpretation === 2;
+  const bits = directory.BitsPerSample?.[0] || 8;
+
+  const levels = images.map(image => ({
+    width: image.getWidth(),
+    height: image.getHeight(),
+    read: async (window, width, height) => ({
+      data: await image.readRGB({ window, width, height, interleave: true }),
+      channels: 3
+    })
+  }));
+
+  return {
+    width: base.getWidth(),
+    height: base.getHeight(),
+    affine,
+    // 32767: user-defined, only usable with a .prj
+    epsg: epsg && epsg !== 32767 ? epsg : null,
+    levels,
+    // Only raw RGB samples keep their bit depth; other photometrics are read as 8-bit
+    needsStretch: isRGB && bits > 8,
+    captureDate: parseTiffDate(directory.DateTime),
+    sensor: directory.Model || directory.Make || null
+  };
+};
+
+/**
+ * PNG/JPEG with a world file: six lines A, D, B, E, C, F mapping pixel
+ * centres to the file's coordinate system
+ */
+const readWorldFileImage = async (file, worldFile) => {
+  if (!worldFile) {
+    throw new Error(`${file.name} needs its world file (${WORLD_FILE_EXTENSIONS.map(ext => `.${ext}`).join(', ')})`);
+  }
+  const values = (await worldFile.text()).trim().split(/\s+/).map(Number);
+  if (values.length < 6 || values.slice(0, 6).some(value => !Number.isFinite(value))) {
+    throw new Error(`${worldFile.name} is not a valid world file`);
+  }
+  const [A, D, B, E, C, F] = values;
+
+  // A decoded image stays drawable, so the object URL is only needed until it loads
+  const url = URL.createObjectURL(file);
+  const image = await new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Could not decode ${file.name}`));
+    img.src = url;
+  }).finally(() => URL.revokeObjectURL(url));
+
+  return {
+    width: image.naturalWidth,
+    height: image.naturalHeight,
+    // World files reference pixel centres; the affine maps pixel corners
+    affine: { a: A, b: B, c: C - A / 2 - B / 2, d: D, e: E, f: F - D / 2 - E / 2 },
+    epsg: null,
+    levels: [{
+      width: image.naturalWidth,
+      height: image.naturalHeight,
+      read: async ([x0, y0, x1, y1], width, height) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, x0, y0, x1 - x0, y1 - y0, 0, 0, width, height);
+        return { data: ctx.getImageData(0, 0, width, height).data, channels: 4 };
+      }
+    }],
+    needsStretch: false,
+    captureDate: null,
+    sensor: null
+  };
+};
+
+const toSourcePixel = ({ a, b, c, d, e, f }, x, y) => {
+  const det = a * e - b * d;
+  return {
+    col: (e * (x - c) - b * (y - f)) / det,
+    row: (a * (y - f) - d * (x - c)) / det
+  };
+};
+
+const toSourceCRS = ({ a, b, c, d, e, f }, col, row) => [a * col + b * row + c, d * col + e * row + f];
+
+/**
+ * Per-band 2nd-98th percentile range of high bit-depth imagery, from the smallest level
+ */
+const computeStretch = async (levels) => {
+  const level = levels[levels.length - 1];
+  if (level.width * level.height > MAX_READ_PIXELS) return null;
+
+  const scale = Math.min(1, 512 / Math.max(level.width, level.height));
+  const width = Math.max(1, Math.round(level.width * scale));
+  const height = Math.max(1, Math.round(level.height * scale));
+  const { data, channels } = await level.read([0, 0, level.width, level.height], width, height);
+
+  return [0, 1, 2].map(band => {
+    const values = [];
+    for (let i = band; i < data.length; i += channels) {
+      if (data[i] > 0) values.push(data[i]);
+    }
+    values.sort((x, y) => x - y);
+    const min = values[Math.floor(values.length * 0.02)] || 0;
+    const max = values[Math.floor(values.length * 0.98)] || 255;
+    return { min, max: max > min ? max : min + 1 };
+  });
+};
+
+/**
+ * Load an uploaded image with its sidecar files.
+ *
+ * @param {FileList|Array<File>} files - a GeoTIFF, or a PNG/JPEG plus world file; optionally a .prj
+ * @param {Object} options
+ * @param {string} options.crs - EPSG code when the files carry no coordinate system
+ * @returns {Promise<Object>} raster for getUploadedImagery / timeSeriesService.withUploadedImagery
+ */
+export const loadLocalImagery = async (files, { crs = '' } = {}) => {
+  const list = [...files];
+  const imageFile = list.find(file => RASTER_EXTENSIONS.includes(extensionOf(file)));
+  if (!imageFile) {
+    throw new Error('Choose a GeoTIFF, or a PNG/JPEG together with its world file');
+  }
+  const worldFile = list.find(file => WORLD_FILE_EXTENSIONS.includes(extensionOf(file)));
+  const prjFile = list.find(file => extensionOf(file) === 'prj');
+
+  const isTiff = ['tif', 'tiff'].includes(extensionOf(imageFile));
+  const source = isTiff ? await readGeoTiff(imageFile) : await readWorldFileImage(imageFile, worldFile);
+
+  let crsName;
+  if (prjFile) {
+    crsName = projectionForWKT(await prjFile.text(), prjFile.name);
+  } else if (source.epsg) {
+    crsName = projectionForEPSG(source.epsg);
+  } else if (crs.trim()) {
+    crsName = projectionForEPSG(crs.trim());
+  } else {
+    throw new Error(`${imageFile.name} has no coordinate system: add its .prj file or enter the EPSG code`);
+  }
+
+  const projection = proj4('EPSG:4326', crsName);
+  const toLatLng = (col, row) => projection.inverse(toSourceCRS(source.affine, col, row));
+
+  // Outline of the image, densified so curved reprojected edges stay close
+  const ring = [];
+  const edges = [[0, 0, source.width, 0], [source.width, 0, source.width, source.height],
+    [source.width, source.height, 0, source.height], [0, source.height, 0, 0]];
+  edges.forEach(([c0, r0, c1, r1]) => {
+    for (let step = 0; step < 8; step++) {
+      ring.push(toLatLng(c0 + (c1 - c0) * step / 8, r0 + (r1 - r0) * step / 8));
+    }
+  });
+  ring.push(ring[0]);
+  if (ring.some(([lng, lat]) => !Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lat) > 90)) {
+    throw new Error(`${imageFile.name} does not reproject to valid coordinates; check its coordinate system`);
+  }
+  const footprint = turf.polygon([ring], { name: imageFile.name });
+
+  const centerCol = source.width / 2;
+  const centerRow = source.height / 2;
+  const resolution = turf.distance(toLatLng(centerCol, centerRow), toLatLng(centerCol + 1, centerRow), { units: 'meters' });
+
+  const usedFiles = [imageFile, worldFile, prjFile].filter(Boolean);
+  const checksums = await Promise.all(usedFiles.map(sha256));
+
+  return {
+    name: imageFile.name,
+    files: usedFiles.map((file, i) => ({ name: file.name, size: file.size, sha256: checksums[i] })),
+    width: source.width,
+    height: source.height,
+    affine: source.affine,
+    crs: crsName,
+    projection,
+    levels: source.levels,
+    stretch: source.needsStretch ? await computeStretch(source.levels) : null,
+    footprint,
+    resolution,
+    sensor: source.sensor || 'Not stated',
+    captureDate: source.captureDate,
+    captureDateSource: source.captureDate ? 'GeoTIFF DateTime tag' : null
+  };
+};
+
+/**
+ * Largest overview that still has at least the output's resolution
+ */
+const pickLevel = (raster, sourcePixelsPerOutputPixel) => {
+  return raster.levels.reduce((best, level) => {
+    const factor = raster.width / level.width;
+    return factor <= Math.max(1, sourcePixelsPerOutputPixel) && factor > raster.width / best.width ? level : best;
+  }, raster.levels[0]);
+};
+
+/**
+ * Reproject the part of an uploaded image under a geotransform onto its pixel grid.
+ *
+ * @returns {Promise<Object>} { url, geoTransform, coverage, provenance }
+ */
+export const renderLocalImagery = async (raster, geoTransform) => {
+  const { width, height } = geoTransform;
+  const cols = Math.ceil((width - 1) / GRID_STEP) + 1;
+  const rows = Math.ceil((height - 1) / GRID_STEP) + 1;
+
+  // Exact source pixel of every grid point (pixel centres)
+  const grid = new Float64Array(cols * rows * 2);
+  let minCol = Infinity, minRow = Infinity, maxCol = -Infinity, maxRow = -Infinity;
+  for (let gy = 0; gy < rows; gy++) {
+    for (let gx = 0; gx < cols; gx++) {
+      const { lat, lng } = pixelToLatLng(geoTransform, gx * GRID_STEP + 0.5, gy * GRID_STEP + 0.5);
+      const [x, y] = raster.projection.forward([lng, lat]);
+      const { col, row } = toSourcePixel(raster.affine, x, y);
+      grid[(gy * cols + gx) * 2] = col;
+      grid[(gy * cols + gx) * 2 + 1] = row;
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+    }
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(width, height);
+  let covered = 0;
+
+  const windowCol0 = Math.max(0, Math.floor(minCol));
+  const windowRow0 = Math.max(0, Math.floor(minRow));
+  const windowCol1 = Math.min(raster.width, Math.ceil(maxCol) + 1);
+  const windowRow1 = Math.min(raster.height, Math.ceil(maxRow) + 1);
+
+  let source = null;
+  if (windowCol1 > windowCol0 && windowRow1 > windowRow0) {
+    const level = pickLevel(raster, (maxCol - minCol) / width);
+    const factor = raster.width / level.width;
+    const window = [
+      Math.floor(windowCol0 / factor),
+      Math.floor(windowRow0 / factor),
+      Math.min(level.width, Math.ceil(windowCol1 / factor)),
+      Math.min(level.height, Math.ceil(windowRow1 / factor))
+    ];
+    const windowWidth = window[2] - window[0];
+    const windowHeight = window[3] - window[1];
+    if (windowWidth * windowHeight > MAX_READ_PIXELS) {
+      throw new Error(`${raster.name} is too large to read without overviews; add them (e.g. gdaladdo) and upload it again`);
+    }
+
+    // Read at most twice the output resolution
+    const readWidth = Math.max(1, Math.min(windowWidth, width * 2));
+    const readHeight = Math.max(1, Math.min(windowHeight, height * 2));
+    const { data, channels } = await level.read(window, readWidth, readHeight);
+    source = {
+      data,
+      channels,
+      readWidth,
+      readHeight,
+      scaleX: readWidth / (windowWidth * factor),
+      scaleY: readHeight / (windowHeight * factor),
+      col0: window[0] * factor,
+      row0: window[1] * factor
+    };
+  }
+
+  const stretch = (value, band) => {
+    if (!raster.stretch) return value;
+    const { min, max } = raster.stretch[band];
+    return Math.max(0, Math.min(255, ((value - min) / (max - min)) * 255));
+  };
+
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(Math.floor(y / GRID_STEP), rows - 2);
+    const ty = rows > 1 ? (y - gy * GRID_STEP) / GRID_STEP : 0;
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(Math.floor(x / GRID_STEP), cols - 2);
+      const tx = cols > 1 ? (x - gx * GRID_STEP) / GRID_STEP : 0;
+      const at = (ix, iy, k) => grid[((gy + iy) * cols + gx + ix) * 2 + k];
+      const lerp = (k) => (
+        (at(0, 0, k) * (1 - tx) + at(1, 0, k) * tx) * (1 - ty) +
+        (at(0, 1, k) * (1 - tx) + at(1, 1, k) * tx) * ty
+      );
+      const col = lerp(0);
+      const row = lerp(1);
+      const out = (y * width + x) * 4;
+      output.data[out + 3] = 255;
+
+      let rgb = null;
+      if (source && col >= 0 && row >= 0 && col < raster.width && row < raster.height) {
+        const sx = Math.min(source.readWidth - 1, Math.floor((col - source.col0) * source.scaleX));
+        const sy = Math.min(source.readHeight - 1, Math.floor((row - source.row0) * source.scaleY));
+        const i = (sy * source.readWidth + sx) * source.channels;
+        // PNG transparency is no data
+        if (sx >= 0 && sy >= 0 && (source.channels < 4 || source.data[i + 3] > 0)) {
+          rgb = [stretch(source.data[i], 0), stretch(source.data[i + 1], 1), stretch(source.data[i + 2], 2)];
+        }
+      }
+
+      const [r, g, b] = rgb || NO_DATA;
+      output.data[out] = r;
+      output.data[out + 1] = g;
+      output.data[out + 2] = b;
+      if (rgb) covered++;
+    }
+  }
+
+  ctx.putImageData(output, 0, 0);
+  const coverage = covered / (width * height);
+
+  return {
+    url: canvas.toDataURL('image/jpeg', 0.9),
+    geoTransform,
+    coverage,
+    provenance: {
+      provider: 'upload',
+      providerName: `Uploaded file: ${raster.name}`,
+      service: 'file',
+      sensor: raster.sensor,
+      layer: raster.name,
+      zoom: geoTransform.zoom,
+      nativeZoom: geoTransform.zoom,
+      resolution: raster.resolution,
+      crs: raster.crs,
+      requestedDate: raster.captureDate,
+      captureDate: raster.captureDate,
+      captureWindow: null,
+      captureDateSource: raster.captureDateSource,
+      dateMatched: true,
+      licence: 'Own imagery (uploaded by the department)',
+      attribution: '',
+      bounds: geoTransform.bounds,
+      files: raster.files,
+      coverage,
+      retrievedAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Uploaded imagery of a scan tile, shaped like satelliteService's imagery results
+ */
+export const getUploadedImagery = async (raster, geoTransform) => {
+  const image = await renderLocalImagery(raster, geoTransform);
+  if (image.coverage === 0) {
+    throw new Error(`${raster.name} does not cover this imagery tile`);
+  }
+
+  return {
+    url: image.url,
+    date: raster.captureDate,
+    year: new Date(raster.captureDate).getFullYear(),
+    source: `Uploaded imagery (${raster.name})`,
+    coordinates: geoTransform.center,
+    geoTransform,
+    provenance: image.provenance,
+    metadata: {
+      resolution: `${raster.resolution.toFixed(2)} m/px`,
+      cloudCover: null,
+      sensor: raster.sensor,
+      dataSource: raster.name
+    }
+  };
+};
+
+/**
+ * Limit an area of interest to where every uploaded image has data
+ */
+export const clipToImagery = (area, rasters) => {
+  return rasters.reduce((clipped, raster) => {
+    const overlap = turf.intersect(turf.featureCollection([clipped, raster.footprint]));
+    if (!overlap) {
+      throw new Error(`${raster.name} does not overlap the area of interest`);
+    }
+    return overlap;
+  }, area);
+};
@@ -0,0 +1,252 @@
+/**
+ * Mask Vectorizer
+ * Turns binary segmentation masks into simplified, georeferenced
+ * GeoJSON footprint polygons.
+ */
+
+import * as turf from '@turf/turf';
+import { pixelToLatLng } from './geoTransform';
+
+/**
+ * Trace the boundary rings of a binary grid.
+ * Rings follow cell edges, so they enclose exactly the filled cells.
+ * Returns rings of [x, y] grid-corner coordinates (closed, first === last).
+ */
+export const traceMaskRings = (isFilled, width, height) => {
+  const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && isFilled(x, y);
+  const key = (x, y) => `${x},${y}`;
+
+  // Directed boundary edges, keyed by start corner. Filled cells are kept
+  // on the right-hand side of travel (clockwise in image space, y down).
+  const edgesFrom = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const k = key(x1, y1);
+    if (!edgesFrom.has(k)) edgesFrom.set(k, []);
+    edgesFrom.get(k).push({ x1, y1, x2, y2, used: false });
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!filled(x, y)) continue;
+      if (!filled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!filled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!filled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!filled(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  // Where two rings touch diagonally a corner has two outgoing edges;
+  // turning right keeps the rings separate
+  const pickNext = (candidates, dx, dy) => {
+    const open = candidates.filter(edge => !edge.used);
+    if (open.length <= 1) return open[0];
+    const turnRank = (edge) => {
+      const ex = edge.x2 - edge.x1;
+      const ey = edge.y2 - edge.y1;
+      if (ex === -dy && ey === dx) return 0; // right
+      if (ex === dx && ey === dy) return 1; // straight
+      return 2; // left
+    };
+    return open.sort((a, b) => turnRank(a) - turnRank(b))[0];
+  };
+
+  const rings = [];
+  for (const startEdges of edgesFrom.values()) {
+    for (const startEdge of startEdges) {
+      if (startEdge.used) continue;
+
+      const ring = [[startEdge.x1, startEdge.y1]];
+      let edge = startEdge;
+      while (edge && !edge.used) {
+        edge.used = true;
+        ring.push([edge.x2, edge.y2]);
+        edge = pickNext(edgesFrom.get(key(edge.x2, edge.y2)) || [], edge.x2 - edge.x1, edge.y2 - edge.y1);
+      }
+
+      if (ring.length >= 4) {
+        rings.push(removeCollinearPoints(ring));
+      }
+    }
+  }
+
+  return rings;
+};
+
+/**
+ * Drop intermediate points on straight runs of a closed ring
+ */
+const removeCollinearPoints = (ring) => {
+  const points = ring.slice(0, -1);
+  const kept = points.filter((point, i) => {
+    const prev = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    const cross = (point[0] - prev[0]) * (next[1] - point[1]) - (point[1] - prev[1]) * (next[0] - point[0]);
+    return cross !== 0;
+  });
+  return [...kept, kept[0]];
+};
+
+/**
+ * Signed area of a ring (shoelace formula)
+ */
+const ringArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+};
+
+/**
+ * Douglas-Peucker simplification of an open polyline
+ */
+const simplifyLine = (points, tolerance) => {
+  if (points.length < 3) return points;
+
+  const [x1, y1] = points[0];
+  const [x2, y2] = points[points.length - 1];
+  const length = Math.hypot(x2 - x1, y2 - y1);
+
+  let maxDistance = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const [px, py] = points[i];
+    const distance = length === 0
+      ? Math.hypot(px - x1, py - y1)
+      : Math.abs((y2 - y1) * px - (x2 - x1) * py + x2 * y1 - y2 * x1) / length;
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+
+  if (maxDistance <= tolerance) {
+    return [points[0], points[points.length - 1]];
+  }
+
+  const left = simplifyLine(points.slice(0, index + 1), tolerance);
+  const right = simplifyLine(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+};
+
+/**
+ * Simplify a closed ring, keeping at least a triangle
+ */
+export const simplifyRing = (ring, tolerance = 1) => {
+  if (ring.length <= 5 || tolerance <= 0) return ring;
+
+  // Split at the point farthest from the start so both halves are open lines
+  const start = ring[0];
+  let splitIndex = 0;
+  let maxDistance = -1;
+  ring.forEach(([x, y], i) => {
+    const distance = Math.hypot(x - start[0], y - start[1]);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      splitIndex = i;
+    }
+  });
+
+  const first = simplifyLine(ring.slice(0, splitIndex + 1), tolerance);
+  const second = simplifyLine(ring.slice(splitIndex), tolerance);
+  const simplified = [...first.slice(0, -1), ...second];
+
+  return simplified.length >= 4 ? simplified : ring;
+};
+
+/**
+ * Vectorize a binary mask into a georeferenced GeoJSON polygon.
+ *
+ * @param {Object} options
+ * @param {Function} options.isFilled - (gx, gy) => boolean for the mask grid
+ * @param {number} options.width - mask grid width
+ * @param {number} options.height - mask grid height
+ * @param {Function} options.toImagePixel - maps a grid corner to image pixels
+ * @param {Object} options.geoTransform - geotransform of the image
+ * @param {number} options.tolerance - simplification tolerance in grid cells
+ * @param {Object} options.properties - properties for the resulting feature
+ * @returns {Object|null} GeoJSON Polygon feature of the largest mask component
+ */
+export const vectorizeMask = ({
+  isFilled,
+  width,
+  height,
+  toImagePixel,
+  geoTransform,
+  tolerance = 1,
+  properties = {}
+}) => {
+  const rings = traceMaskRings(isFilled, width, height);
+  if (rings.length === 0) return null;
+
+  // Footprint is the largest outer boundary; interior courtyards are ignored
+  const outer = rings.reduce((best, ring) =>
+    Math.abs(ringArea(ring)) > Math.abs(ringArea(best)) ? ring : best
+  );
+
+  const coordinates = simplifyRing(outer, tolerance).map(([gx, gy]) => {
+    const pixel = toImagePixel(gx, gy);
+    const { lat, lng } = pixelToLatLng(geoTransform, pixel.x, pixel.y);
+    return [lng, lat];
+  });
+
+  return turf.rewind(turf.polygon([coordinates], properties));
+};
+
+/**
+ * Footprint of a Mask R-CNN instance: mask cells span the detection box
+ */
+export const instanceMaskToFootprint = (mask, bbox, geoTransform, properties = {}, threshold = 0.5) => {
+  return vectorizeMask({
+    isFilled: (gx, gy) => mask.data[gy * mask.width + gx] > threshold,
+    width: mask.width,
+    height: mask.height,
+    toImagePixel: (gx, gy) => ({
+      x: bbox.x + gx * bbox.width / mask.width,
+      y: bbox.y + gy * bbox.height / mask.height
+    }),
+    geoTransform,
+    tolerance: 0.5,
+    properties
+  });
+};
+
+/**
+ * Footprint of a UNet change region: its cells are a mask cropped to
+ * `maskBbox` (change-mask coordinates), scaled to the image by `scale`
+ */
+export const changeRegionToFootprint = (region, geoTransform, properties = {}) => {
+  const { mask, maskBbox: origin } = region;
+  const scale = region.scale || { x: 1, y: 1 };
+
+  return vectorizeMask({
+    isFilled: (gx, gy) => mask.data[gy * mask.width + gx] === 1,
+    width: mask.width,
+    height: mask.height,
+    toImagePixel: (gx, gy) => ({
+      x: (origin.x + gx) * scale.x,
+      y: (origin.y + gy) * scale.y
+    }),
+    geoTransform,
+    tolerance: 1,
+    properties
+  });
+};
+
+/**
+ * Rectangular footprint from a pixel bounding box
+ */
+export const bboxToFootprint = (bbox, geoTransform, properties = {}) => {
+  const corners = [
+    [bbox.x, bbox.y],
+    [bbox.x + bbox.width, bbox.y],
+    [bbox.x + bbox.width, bbox.y + bbox.height],
+    [bbox.x, bbox.y + bbox.height],
+    [bbox.x, bbox.y]
+  ].map(([x, y]) => {
+    const { lat, lng } = pixelToLatLng(geoTransform, x, y);
+    return [lng, lat];
+  });
+
+  return turf.rewind(turf.polygon([corners], properties));
+};
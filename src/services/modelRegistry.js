@@ -0,0 +1,179 @@
+/**
+ * Model Registry
+ * Loads the manifest of available ML models and resolves which one is
+ * active for each task. Each model entry lists:
+ *   id, version, task, name, format ('layers' | 'graph'), url (model.json),
+ *   inputShape [height, width, channels], normalization { scale, mean, std },
+ *   classLabels { class id: label }, thresholds { change | score, mask },
+ *   checksum ('sha256:<hex>' of model.json followed by its weight shards)
+ *
+ * `defaults` names the model used for a task until an administrator picks
+ * another on the Models page. In production mode a missing or corrupt
+ * model is an error instead of falling back to an untrained placeholder.
+ */
+
+const env = import.meta.env;
+
+const REGISTRY_URL = env.VITE_MODEL_REGISTRY_URL || '/models/registry.json';
+const SELECTION_KEY = 'hydraa_active_models';
+
+export const MODEL_TASKS = ['change-detection', 'building-detection'];
+export const MODEL_FORMATS = ['layers', 'graph'];
+
+export const MODEL_TASK_LABELS = {
+  'change-detection': 'Change detection (UNet)',
+  'building-detection': 'Building detection (Mask R-CNN)'
+};
+
+let registryPromise = null;
+
+/**
+ * Whether models must be real: production builds, unless VITE_REQUIRE_MODELS says otherwise
+ */
+export const requireRealModels = () => (
+  env.VITE_REQUIRE_MODELS ? env.VITE_REQUIRE_MODELS === 'true' : Boolean(env.PROD)
+);
+
+/**
+ * Error for a model that cannot be used; analyses stop instead of falling back
+ */
+export const modelUnavailable = (message) => Object.assign(new Error(message), { name: 'ModelUnavailableError' });
+
+export const isModelUnavailableError = (error) => error?.name === 'ModelUnavailableError';
+
+/**
+ * Registry key of a model: id@version
+ */
+export const modelKey = (model) => `${model.id}@${model.version}`;
+
+/**
+ * Check a registry manifest and return a list of problems (empty when valid)
+ */
+export const validateModelRegistry = (registry) => {
+  const problems = [];
+  if (!registry || typeof registry !== 'object') return ['Model registry must be a JSON object'];
+  if (!registry.version) problems.push('Model registry is missing a version');
+  if (!Array.isArray(registry.models) || registry.models.length === 0) {
+    problems.push('Model registry lists no models');
+    return problems;
+  }
+
+  const keys = new Set();
+  registry.models.forEach((model, i) => {
+    const label = model.id ? modelKey(model) : `#${i + 1}`;
+    if (!model.id || !model.version) problems.push(`Model ${label} needs an id and a version`);
+    else if (keys.has(label)) problems.push(`Model ${label} is listed twice`);
+    keys.add(label);
+
+    if (!MODEL_TASKS.includes(model.task)) problems.push(`Model ${label} has unknown task "${model.task}"`);
+    if (!MODEL_FORMATS.includes(model.format)) problems.push(`Model ${label} has unknown format "${model.format}"`);
+    if (!model.url) problems.push(`Model ${label} is missing a url`);
+    if (!Array.isArray(model.inputShape) || model.inputShape.length !== 3 || !model.inputShape.every(n => n > 0)) {
+      problems.push(`Model ${label} needs an inputShape of [height, width, channels]`);
+    }
+    if (!(model.normalization?.scale > 0)) problems.push(`Model ${label} needs a positive normalization.scale`);
+    if (model.tiling) {
+      const { overlap = 0, batchSize = 1 } = model.tiling;
+      const windowSize = Math.min(...(model.inputShape || []).slice(0, 2));
+      if (!(Number.isInteger(overlap) && overlap >= 0 && overlap < windowSize)) {
+        problems.push(`Model ${label} needs a tiling.overlap of 0 or more pixels, smaller than its input`);
+      }
+      if (!(Number.isInteger(batchSize) && batchSize >= 1)) problems.push(`Model ${label} needs a tiling.batchSize of at least 1`);
+    }
+    if (model.checksum && !/^sha256:[0-9a-f]{64}$/.test(model.checksum)) {
+      problems.push(`Model ${label} has a malformed checksum (expected sha256:<64 hex digits>)`);
+    }
+  });
+
+  MODEL_TASKS.forEach(task => {
+    const key = registry.defaults?.[task];
+    const model = registry.models.find(m => modelKey(m) === key);
+    if (!model) problems.push(`No default model for ${task} (defaults.${task} = "${key}")`);
+    else if (model.task !== task) problems.push(`Default model ${key} is not a ${task} model`);
+  });
+
+  return problems;
+};
+
+/**
+ * Load the model registry (fetched once per session)
+ */
+export const loadModelRegistry = (url = REGISTRY_URL) => {
+  if (!registryPromise) {
+    registryPromise = (async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw modelUnavailable(`Failed to load the model registry from ${url} (${response.status})`);
+      }
+
+      const registry = await response.json().catch(() => {
+        throw modelUnavailable(`Model registry at ${url} is not valid JSON`);
+      });
+      const problems = validateModelRegistry(registry);
+      if (problems.length > 0) {
+        throw modelUnavailable(`Invalid model registry in ${url}: ${problems.join('; ')}`);
+      }
+
+      console.log(`🧠 Loaded model registry v${registry.version} (${registry.models.length} models)`);
+      return { ...registry, url };
+    })().catch(error => {
+      // Allow a retry after fixing the manifest
+      registryPromise = null;
+      throw error;
+    });
+  }
+  return registryPromise;
+};
+
+/**
+ * Models picked on the Models page, as { task: key }
+ */
+export const getModelSelection = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SELECTION_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Pick the active model of a task (null: back to the registry default)
+ */
+export const setActiveModel = (task, key) => {
+  const selection = { ...getModelSelection(), [task]: key };
+  if (!key) delete selection[task];
+  localStorage.setItem(SELECTION_KEY, JSON.stringify(selection));
+};
+
+/**
+ * Active model of each task: the picked one, or the registry default
+ * when nothing was picked or the picked model left the registry
+ */
+export const resolveActiveModels = (registry, selection = getModelSelection()) => Object.fromEntries(
+  MODEL_TASKS.map(task => {
+    const picked = registry.models.find(m => m.task === task && modelKey(m) === selection[task]);
+    if (selection[task] && !picked) {
+      console.warn(`Model ${selection[task]} is no longer in the registry; using the default for ${task}`);
+    }
+    return [task, picked || registry.models.find(m => modelKey(m) === registry.defaults[task])];
+  })
+);
+
+/**
+ * Active models for inference, with whether they must be real
+ */
+export const getActiveModels = async () => ({
+  models: resolveActiveModels(await loadModelRegistry()),
+  requireModels: requireRealModels()
+});
+
+/**
+ * Model ids/versions a detection was produced with, for reports
+ */
+export const describeModels = (models) => {
+  if (!models) return 'Unknown';
+  return Object.values(models)
+    .filter(Boolean)
+    .map(model => `${model.id} v${model.version}${model.placeholder ? ' (untrained placeholder)' : ''}`)
+    .join(' + ');
+};
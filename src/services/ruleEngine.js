@@ -0,0 +1,171 @@
+/**
+ * Zoning Rule Engine
+ * Loads the declarative protected-zone rule set and resolves how a
+ * matched rule is graded. Geometric evaluation lives in gisService.
+ *
+ * A rule names a GIS layer, a predicate and how a match is graded:
+ *   inside     - site lies in (or overlaps) a layer polygon
+ *   within     - site lies within `distance` metres of a layer feature
+ *   intersects - site touches a layer feature (any geometry type)
+ *
+ * `appliesTo` lists the change types a rule is evaluated for
+ * (default: construction only).
+ *
+ * "within" rules may also set:
+ *   distanceByArea - [{ minAreaHa, distance }]: a wider distance around
+ *                    features of at least that area (e.g. large lakes)
+ *   excludeInside  - the zone is the ring around a polygon, not the polygon
+ *                    itself (left to an "inside" rule on the same layer)
+ *
+ * The optional `lakeMonitoring` section names the waterbody layer and the
+ * "within" rule whose distances define the lake buffer rings.
+ */
+
+const RULES_URL = import.meta.env.VITE_ZONING_RULES_URL || '/rules/zoning-rules.json';
+
+export const RULE_PREDICATES = ['inside', 'within', 'intersects'];
+export const RULE_SEVERITIES = ['HIGH', 'MEDIUM', 'LOW'];
+export const CHANGE_TYPES = ['construction', 'lake-filling'];
+
+let ruleSetPromise = null;
+
+/**
+ * Check a rule set and return a list of problems (empty when valid)
+ */
+export const validateRuleSet = (ruleSet) => {
+  const problems = [];
+  if (!ruleSet || typeof ruleSet !== 'object') return ['Rule set must be a JSON object'];
+  if (!ruleSet.version) problems.push('Rule set is missing a version');
+  if (!Array.isArray(ruleSet.scoring?.levels)) problems.push('Rule set is missing scoring.levels');
+  if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    problems.push('Rule set has no rules');
+    return problems;
+  }
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, i) => {
+    const label = rule.id || `#${i + 1}`;
+    if (!rule.id) problems.push(`Rule ${label} is missing an id`);
+    else if (ids.has(rule.id)) problems.push(`Rule id ${rule.id} is duplicated`);
+    ids.add(rule.id);
+
+    if (!rule.layer) problems.push(`Rule ${label} is missing a layer`);
+    if (!RULE_PREDICATES.includes(rule.predicate)) {
+      problems.push(`Rule ${label} has unknown predicate "${rule.predicate}"`);
+    }
+    if (rule.predicate === 'within' && !(rule.distance > 0)) {
+      problems.push(`Rule ${label} needs a positive distance for "within"`);
+    }
+    if (!RULE_SEVERITIES.includes(rule.severity)) {
+      problems.push(`Rule ${label} has unknown severity "${rule.severity}"`);
+    }
+    if (typeof rule.weight !== 'number') problems.push(`Rule ${label} needs a numeric weight`);
+    if (rule.appliesTo !== undefined && (!Array.isArray(rule.appliesTo) || !rule.appliesTo.every(type => CHANGE_TYPES.includes(type)))) {
+      problems.push(`Rule ${label} has an invalid appliesTo (known change types: ${CHANGE_TYPES.join(', ')})`);
+    }
+
+    (rule.distanceByArea || []).forEach(step => {
+      if (!(step.minAreaHa >= 0) || !(step.distance > 0)) {
+        problems.push(`Rule ${label} has an invalid distanceByArea entry`);
+      }
+    });
+    if ((rule.distanceByArea || rule.excludeInside) && rule.predicate !== 'within') {
+      problems.push(`Rule ${label}: distanceByArea and excludeInside only apply to "within" rules`);
+    }
+
+    (rule.escalations || []).forEach(escalation => {
+      if (!(escalation.distance > 0) || !RULE_SEVERITIES.includes(escalation.severity) || typeof escalation.weight !== 'number') {
+        problems.push(`Rule ${label} has an invalid escalation`);
+      } else if (rule.predicate === 'within' && escalation.distance >= rule.distance) {
+        // Every match would escalate and the rule's own severity never apply
+        problems.push(`Rule ${label} has an escalation at or beyond its ${rule.distance} m distance`);
+      }
+    });
+  });
+
+  if (ruleSet.lakeMonitoring) {
+    const { layer, bufferRule } = ruleSet.lakeMonitoring;
+    const rule = ruleSet.rules.find(r => r.id === bufferRule);
+    if (!layer) problems.push('lakeMonitoring is missing a layer');
+    if (!rule) problems.push(`lakeMonitoring.bufferRule "${bufferRule}" is not a rule`);
+    else if (rule.predicate !== 'within' || rule.layer !== layer) {
+      problems.push(`lakeMonitoring.bufferRule "${bufferRule}" must be a "within" rule on layer "${layer}"`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Load the active rule set (fetched once per session)
+ */
+export const loadRuleSet = (url = RULES_URL) => {
+  if (!ruleSetPromise) {
+    ruleSetPromise = (async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to load zoning rules from ${url} (${response.status})`);
+      }
+
+      const ruleSet = await response.json();
+      const problems = validateRuleSet(ruleSet);
+      if (problems.length > 0) {
+        throw new Error(`Invalid zoning rules in ${url}: ${problems.join('; ')}`);
+      }
+
+      console.log(`📜 Loaded zoning rules v${ruleSet.version} (${ruleSet.rules.length} rules)`);
+      return ruleSet;
+    })().catch(error => {
+      // Allow a retry after fixing the rules file
+      ruleSetPromise = null;
+      throw error;
+    });
+  }
+  return ruleSetPromise;
+};
+
+/**
+ * Distance (m) of a "within" rule around a feature of the given area:
+ * the widest distanceByArea step the area reaches, else the rule distance
+ */
+export const ruleDistance = (rule, areaHa = 0) => {
+  const step = (rule.distanceByArea || [])
+    .filter(s => areaHa >= s.minAreaHa)
+    .sort((a, b) => b.minAreaHa - a.minAreaHa)[0];
+  return step?.distance ?? rule.distance;
+};
+
+/**
+ * Lake buffer ring distances (m, ascending): every statutory distance of the
+ * lakeMonitoring buffer rule (its distance and distanceByArea steps), for
+ * every lake. The lake's area only decides how the rule grades a site.
+ */
+export const getLakeBufferDistances = (ruleSet) => {
+  const rule = ruleSet.rules.find(r => r.id === ruleSet.lakeMonitoring?.bufferRule);
+  if (!rule) return [];
+  const distances = [rule.distance, ...(rule.distanceByArea || []).map(step => step.distance)];
+  return [...new Set(distances)].sort((a, b) => a - b);
+};
+
+/**
+ * Whether a rule is evaluated for a change type
+ */
+export const ruleAppliesTo = (rule, changeType = 'construction') => {
+  return (rule.appliesTo || ['construction']).includes(changeType);
+};
+
+/**
+ * Severity and weight of a rule match, escalated by measured distance
+ */
+export const gradeRuleMatch = (rule, distance = null) => {
+  const escalation = distance == null
+    ? null
+    : (rule.escalations || [])
+      .filter(e => distance < e.distance)
+      .sort((a, b) => a.distance - b.distance)[0];
+
+  return {
+    severity: escalation?.severity || rule.severity,
+    weight: escalation?.weight ?? rule.weight
+  };
+};
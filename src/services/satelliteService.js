@@ -1,450 +1,90 @@
 /**
  * Satellite Imagery Service
- * Fetches satellite imagery from various sources for change detection
+ * Fetches satellite imagery for change detection through the configured
+ * imagery providers (see imageryProviders.js)
  */
 
-/**
- * Get satellite imagery URL for a given location and date
- * Uses Sentinel Hub or alternative tile providers
- */
-export const getSatelliteImageUrl = (lat, lng, date = null, provider = 'satellite', zoom = 15) => {
-  // For demo: Using Esri World Imagery (free tier)
-  // In production, integrate with Sentinel Hub, Planet Labs, or Google Earth Engine
-  
-  // Esri World Imagery - free satellite tiles
-  if (provider === 'satellite') {
-    const x = Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
-    const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
-    return `https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/${zoom}/${y}/${x}`;
-  }
-  
-  // OpenStreetMap hybrid
-  return `https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png`;
-};
+import { createGeoTransform, metersPerPixel } from './geoTransform';
+import { getImageryProviders, renderFromProvider, singleTileImage } from './imageryProviders';
+import { isOffline } from './tileCache';
+
+// Default baseline when no historical date is asked for
+export const DEFAULT_BASELINE_YEAR = 2006;
 
 /**
- * Convert lat/lng to tile coordinates
+ * Imagery date used for a year (mid-year for better imagery availability)
  */
-const deg2num = (lat, lng, zoom) => {
-  const n = Math.pow(2, zoom);
-  const x = Math.floor((lng + 180) / 360 * n);
-  const latRad = lat * Math.PI / 180;
-  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
-  return { x, y, zoom };
-};
+export const baselineDateForYear = (year) => `${year}-06-15`;
 
 /**
- * Convert tile coordinates to lat/lng bounds
+ * Summary metadata of an image from its provenance record
  */
-const num2deg = (x, y, zoom) => {
-  const n = Math.pow(2, zoom);
-  const lng = x / n * 360 - 180;
-  const latRad = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n)));
-  const lat = latRad * 180 / Math.PI;
-  return { lat, lng };
-};
+const imageryMetadata = (provenance) => ({
+  resolution: `${metersPerPixel((provenance.bounds.north + provenance.bounds.south) / 2, provenance.nativeZoom).toFixed(1)} m/px`,
+  cloudCover: null,
+  sensor: provenance.sensor,
+  dataSource: provenance.providerName
+});
 
 /**
- * Get WMS image from NASA GIBS (for historical MODIS/Landsat data from 2000+)
- * Note: NASA GIBS may have CORS restrictions, so we'll use Esri for reliability
+ * Satellite image of an 800x600 (by default) window centred on exact
+ * coordinates, with the geotransform that georeferences its pixels and the
+ * provenance of the imagery. Providers that serve the requested date are
+ * tried first; if none can, the best available imagery is used and its
+ * provenance records that the date was not matched. Offline, the provider
+ * with the most cached tiles is used, and the image fails if none has any.
  */
-const getNASAWMSImage = async (lat, lng, date, width = 800, height = 600) => {
-  try {
-    // NASA GIBS often has CORS issues in browsers
-    // For now, we'll skip and use Esri which is more reliable
-    // In production, use a backend proxy for NASA GIBS
-    console.log('⚠️ NASA GIBS skipped (CORS restrictions), using Esri');
-    return null;
-    
-    // Uncomment below if you have a backend proxy:
-    /*
-    const year = new Date(date).getFullYear();
-    const radius = 0.045;
-    const bbox = `${lng - radius},${lat - radius},${lng + radius},${lat + radius}`;
-    let layer = 'MODIS_Terra_CorrectedReflectance_TrueColor';
-    if (year >= 2012) {
-      layer = 'VIIRS_SNPP_CorrectedReflectance_TrueColor';
+export const getStaticMapImage = async (lat, lng, zoom = 15, width = 800, height = 600, date = null) => {
+  const geoTransform = createGeoTransform({ centerLat: lat, centerLng: lng, zoom, width, height });
+  const providers = getImageryProviders();
+  const ordered = [
+    ...providers.filter(provider => provider.coversDate(date)),
+    ...providers.filter(provider => !provider.coversDate(date))
+  ];
+
+  console.log(`🖼️ Fetching satellite image for ${lat}, ${lng}${date ? ` (historical: ${date})` : ' (current)'}`);
+
+  if (isOffline()) {
+    let best = null;
+    for (const provider of ordered) {
+      const image = await renderFromProvider(provider, geoTransform, date).catch(() => null);
+      if (image && (!best || image.provenance.coverage > best.provenance.coverage)) best = image;
+      if (best?.provenance.coverage === 1) break;
     }
-    const wmsUrl = `https://gibs.earthdata.nasa.gov/wms/epsg4326/best/${layer}/default/${date}/250m/${bbox}/${width}x${height}.jpg`;
-    const response = await fetch(wmsUrl, { mode: 'cors' });
-    if (response.ok && response.headers.get('content-type')?.includes('image')) {
-      const blob = await response.blob();
-      return URL.createObjectURL(blob);
+    if (!best) {
+      throw new Error('Offline mode: no cached imagery for this area; analyse it once while online to cache it');
     }
-    */
-  } catch (error) {
-    console.warn('⚠️ NASA GIBS not available:', error.message);
-    return null;
+    console.log(`📴 Offline: ${best.provenance.providerName} from cache (${Math.round(best.provenance.coverage * 100)}% of tiles)`);
+    return best;
   }
-};
 
-/**
- * Get MapTiler Satellite imagery for Hyderabad
- * Uses MapTiler's 2016 dataset for historical and high-res for current
- * Reference: https://www.maptiler.com/on-prem-datasets/dataset/osm/asia/india/hyderabad/
- */
-const getMapTilerSatelliteImage = async (lat, lng, date = null, width = 800, height = 600) => {
-  try {
-    // MapTiler provides satellite datasets for Hyderabad:
-    // - Satellite 2016 raster tiles (for historical imagery)
-    // - Satellite Highres raster tiles (for current imagery)
-    
-    // Check if coordinates are in Hyderabad region
-    const isHyderabad = lat >= 17.0 && lat <= 18.0 && lng >= 77.5 && lng <= 79.0;
-    
-    if (!isHyderabad) {
-      console.log('📍 Location outside Hyderabad, MapTiler dataset not available');
-      return null;
-    }
-    
-    // Determine if historical (2016 or earlier) or current
-    const year = date ? new Date(date).getFullYear() : new Date().getFullYear();
-    const isHistorical = year <= 2016;
-    
-    // MapTiler satellite tile service for Hyderabad
-    // Note: Requires MapTiler API key for full access
-    // Format: https://api.maptiler.com/tiles/{layer}/{z}/{x}/{y}.{format}?key={key}
-    
-    // For now, we'll try to create a composite using MapTiler tiles
-    // If you have a MapTiler API key, set it here:
-    const MAPTILER_API_KEY = process.env.REACT_APP_MAPTILER_KEY || '';
-    
-    const zoom = 15;
-    const centerTile = deg2num(lat, lng, zoom);
-    
-    // MapTiler layer selection for Hyderabad datasets
-    // Based on: https://www.maptiler.com/on-prem-datasets/dataset/osm/asia/india/hyderabad/
-    let layer = 'satellite';
-    let datasetType = '';
-    
-    if (isHistorical) {
-      // Use Satellite 2016 raster tiles for historical imagery
-      layer = 'satellite'; // MapTiler uses 'satellite' layer
-      datasetType = '2016'; // Historical dataset from 2016
-      console.log(`🛰️ Using MapTiler Satellite 2016 dataset for historical imagery (${date || '2006 baseline'})`);
-    } else {
-      // Use Satellite Highres raster tiles for current imagery
-      layer = 'satellite'; // Current high-res dataset
-      datasetType = 'highres';
-      console.log(`🛰️ Using MapTiler Satellite Highres dataset for current imagery`);
-    }
-    
-    // Create composite using MapTiler tiles
-    const tilesX = Math.ceil(width / 256) + 2;
-    const tilesY = Math.ceil(height / 256) + 2;
-    const startX = centerTile.x - Math.floor(tilesX / 2);
-    const startY = centerTile.y - Math.floor(tilesY / 2);
-    
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-    
-    ctx.fillStyle = '#e8e8e8';
-    ctx.fillRect(0, 0, width, height);
-    
-    const tileTopLeft = num2deg(centerTile.x, centerTile.y, zoom);
-    const tileBottomRight = num2deg(centerTile.x + 1, centerTile.y + 1, zoom);
-    
-    const pixelXInTile = ((lng - tileTopLeft.lng) / (tileBottomRight.lng - tileTopLeft.lng)) * 256;
-    const pixelYInTile = ((tileTopLeft.lat - lat) / (tileTopLeft.lat - tileBottomRight.lat)) * 256;
-    
-    const offsetX = (centerTile.x - startX) * 256 - pixelXInTile + width / 2;
-    const offsetY = (centerTile.y - startY) * 256 - pixelYInTile + height / 2;
-    
-    const tilePromises = [];
-    let loadedCount = 0;
-    
-    // MapTiler tile URL formats
-    // Option 1: Standard MapTiler API (requires API key)
-    // Option 2: MapTiler Cloud (if available)
-    // Option 3: Self-hosted MapTiler Server (if configured)
-    
-    for (let ty = 0; ty < tilesY; ty++) {
-      for (let tx = 0; tx < tilesX; tx++) {
-        const tileX = startX + tx;
-        const tileY = startY + ty;
-        
-        // MapTiler satellite tile URLs - try multiple formats
-        let tileUrl;
-        
-        if (MAPTILER_API_KEY) {
-          // Standard MapTiler API with key
-          tileUrl = `https://api.maptiler.com/tiles/${layer}/${zoom}/${tileX}/${tileY}.jpg?key=${MAPTILER_API_KEY}`;
-        } else {
-          // Try public satellite layer (may have limitations)
-          // MapTiler typically requires API key, but try anyway
-          tileUrl = `https://api.maptiler.com/tiles/${layer}/${zoom}/${tileX}/${tileY}.jpg`;
-          
-          // Alternative: Use MapTiler's static maps API (limited but free tier available)
-          // This would be a single image instead of tiles, but more reliable
-        }
-        
-        tilePromises.push(
-          new Promise((resolve) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            
-            img.onload = () => {
-              try {
-                const x = Math.round(tx * 256 + offsetX);
-                const y = Math.round(ty * 256 + offsetY);
-                ctx.drawImage(img, x, y, 256, 256);
-                loadedCount++;
-                resolve();
-              } catch (err) {
-                console.warn(`Error drawing MapTiler tile ${tileX}, ${tileY}:`, err);
-                resolve();
-              }
-            };
-            
-            img.onerror = () => {
-              // Try alternative MapTiler endpoint or fallback
-              ctx.fillStyle = '#d0d0d0';
-              ctx.fillRect(Math.round(tx * 256 + offsetX), Math.round(ty * 256 + offsetY), 256, 256);
-              loadedCount++;
-              resolve();
-            };
-            
-            img.src = tileUrl;
-            
-            setTimeout(() => {
-              if (!img.complete) {
-                img.onerror();
-              }
-            }, 5000);
-          })
-        );
-      }
-    }
-    
-    await Promise.race([
-      Promise.all(tilePromises),
-      new Promise(resolve => setTimeout(resolve, 10000))
-    ]);
-    
-    if (loadedCount > 0) {
-      console.log(`✅ MapTiler composite complete: ${loadedCount} tiles loaded`);
-      const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
-      return dataUrl;
+  for (const provider of ordered) {
+    if (date && !provider.coversDate(date)) {
+      console.warn(`⚠️ No configured provider has imagery for ${date}; using ${provider.name} (different date)`);
     }
-    
-    // Alternative: Try MapTiler Static Maps API (simpler, single image)
-    if (MAPTILER_API_KEY) {
-      try {
-        const staticMapUrl = `https://api.maptiler.com/maps/${layer}/static/${lng},${lat},${zoom}/${width}x${height}@2x.jpg?key=${MAPTILER_API_KEY}`;
-        console.log('🔄 Trying MapTiler Static Maps API...');
-        
-        const response = await fetch(staticMapUrl, { mode: 'cors' });
-        if (response.ok) {
-          const blob = await response.blob();
-          const url = URL.createObjectURL(blob);
-          console.log('✅ MapTiler Static Maps API image loaded');
-          return url;
-        }
-      } catch (err) {
-        console.warn('⚠️ MapTiler Static Maps API failed:', err.message);
+    try {
+      const image = await renderFromProvider(provider, geoTransform, date);
+      if (image) {
+        console.log(`✅ ${provider.name} composite created`);
+        return image;
       }
+      console.warn(`⚠️ ${provider.name} imagery unavailable, trying the next provider`);
+    } catch (error) {
+      console.error(`❌ Error fetching ${provider.name} imagery:`, error);
     }
-    
-    return null;
-  } catch (error) {
-    console.warn('⚠️ MapTiler not available:', error.message);
-    return null;
   }
-};
 
-/**
- * Get Sentinel-2 imagery via Sentinel Hub OGC (requires free account)
- */
-const getSentinelHubImage = async (lat, lng, date, width = 800, height = 600) => {
-  try {
-    // Note: Requires Sentinel Hub account and API key
-    const bbox = `${lng - 0.02},${lat - 0.02},${lng + 0.02},${lat + 0.02}`;
-    // Example Sentinel Hub OGC WMS (replace with your instance ID)
-    // const instanceId = 'YOUR_INSTANCE_ID';
-    // const url = `https://services.sentinel-hub.com/ogc/wms/${instanceId}?SERVICE=WMS&REQUEST=GetMap&LAYERS=TRUE_COLOR&BBOX=${bbox}&FORMAT=image/jpeg&WIDTH=${width}&HEIGHT=${height}&TIME=${date}`;
-    return null;
-  } catch (error) {
-    return null;
-  }
+  // Ultimate fallback - single tile
+  console.warn('⚠️ Composite failed, using single tile fallback');
+  return singleTileImage(geoTransform, date);
 };
 
 /**
- * Create composite satellite image using Esri tiles
- * Fixed to ensure images actually display
- */
-const createEsriComposite = async (lat, lng, zoom = 15, width = 800, height = 600) => {
-  try {
-    console.log(`🖼️ Creating Esri composite for ${lat}, ${lng}`);
-    
-    const centerTile = deg2num(lat, lng, zoom);
-    const tilesX = Math.ceil(width / 256) + 2;
-    const tilesY = Math.ceil(height / 256) + 2;
-    const startX = centerTile.x - Math.floor(tilesX / 2);
-    const startY = centerTile.y - Math.floor(tilesY / 2);
-    
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-    
-    // Fill background first
-    ctx.fillStyle = '#e8e8e8';
-    ctx.fillRect(0, 0, width, height);
-    
-    const tileTopLeft = num2deg(centerTile.x, centerTile.y, zoom);
-    const tileBottomRight = num2deg(centerTile.x + 1, centerTile.y + 1, zoom);
-    
-    const pixelXInTile = ((lng - tileTopLeft.lng) / (tileBottomRight.lng - tileTopLeft.lng)) * 256;
-    const pixelYInTile = ((tileTopLeft.lat - lat) / (tileTopLeft.lat - tileBottomRight.lat)) * 256;
-    
-    const offsetX = (centerTile.x - startX) * 256 - pixelXInTile + width / 2;
-    const offsetY = (centerTile.y - startY) * 256 - pixelYInTile + height / 2;
-    
-    const tilePromises = [];
-    let loadedCount = 0;
-    const totalTiles = tilesX * tilesY;
-    
-    for (let ty = 0; ty < tilesY; ty++) {
-      for (let tx = 0; tx < tilesX; tx++) {
-        const tileX = startX + tx;
-        const tileY = startY + ty;
-        
-        // Use Esri World Imagery tile service
-        const tileUrl = `https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/${zoom}/${tileY}/${tileX}`;
-        
-        tilePromises.push(
-          new Promise((resolve) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            
-            img.onload = () => {
-              try {
-                const x = Math.round(tx * 256 + offsetX);
-                const y = Math.round(ty * 256 + offsetY);
-                ctx.drawImage(img, x, y, 256, 256);
-                loadedCount++;
-                console.log(`✅ Loaded tile ${loadedCount}/${totalTiles} (${tileX}, ${tileY})`);
-                resolve();
-              } catch (err) {
-                console.warn(`Error drawing tile ${tileX}, ${tileY}:`, err);
-                resolve();
-              }
-            };
-            
-            img.onerror = () => {
-              console.warn(`Failed to load tile ${tileX}, ${tileY}`);
-              // Draw placeholder
-              ctx.fillStyle = '#d0d0d0';
-              ctx.fillRect(Math.round(tx * 256 + offsetX), Math.round(ty * 256 + offsetY), 256, 256);
-              loadedCount++;
-              resolve();
-            };
-            
-            // Try loading directly first
-            img.src = tileUrl;
-            
-            // Timeout after 5 seconds
-            setTimeout(() => {
-              if (!img.complete) {
-                console.warn(`Tile ${tileX}, ${tileY} timeout`);
-                img.onerror();
-              }
-            }, 5000);
-          })
-        );
-      }
-    }
-    
-    // Wait for all tiles with timeout
-    await Promise.race([
-      Promise.all(tilePromises),
-      new Promise(resolve => setTimeout(resolve, 10000)) // 10 second timeout
-    ]);
-    
-    console.log(`✅ Composite complete: ${loadedCount}/${totalTiles} tiles loaded`);
-    
-    // Verify canvas has content before converting
-    const imageData = ctx.getImageData(0, 0, Math.min(100, width), Math.min(100, height));
-    const hasContent = imageData.data.some((pixel, index) => {
-      return index % 4 !== 3 && pixel !== 232; // Check if not just background gray
-    });
-    
-    if (!hasContent && loadedCount < totalTiles / 2) {
-      console.warn('⚠️ Canvas appears empty, using fallback');
-      // Create a simple test image
-      ctx.fillStyle = '#4a90e2';
-      ctx.fillRect(0, 0, width, height);
-      ctx.fillStyle = 'white';
-      ctx.font = 'bold 24px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText(`Location: ${lat.toFixed(4)}, ${lng.toFixed(4)}`, width / 2, height / 2 - 20);
-      ctx.font = '18px Arial';
-      ctx.fillText('Satellite imagery for this location', width / 2, height / 2 + 20);
-    }
-    
-    const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
-    console.log('✅ Canvas converted to data URL, length:', dataUrl.length);
-    
-    // Verify data URL is valid
-    if (!dataUrl || dataUrl.length < 100) {
-      console.error('❌ Invalid data URL generated');
-      throw new Error('Failed to generate image');
-    }
-    
-    return dataUrl;
-  } catch (error) {
-    console.error('❌ Error creating Esri composite:', error);
-    // Return a placeholder image
-    const canvas = document.createElement('canvas');
-    canvas.width = 800;
-    canvas.height = 600;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = '#f0f0f0';
-    ctx.fillRect(0, 0, 800, 600);
-    ctx.fillStyle = '#666';
-    ctx.font = '20px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('Satellite imagery loading...', 400, 300);
-    return canvas.toDataURL('image/jpeg');
-  }
-};
-
-/**
- * Create composite satellite image from multiple tiles
- * Returns actual satellite imagery centered on exact coordinates
- * Prioritizes MapTiler for Hyderabad, falls back to Esri
+ * Get composite satellite image URL only
  */
 export const getStaticMapImageUrl = async (lat, lng, zoom = 15, width = 800, height = 600, date = null) => {
-  try {
-    console.log(`🖼️ Fetching satellite image for ${lat}, ${lng}${date ? ` (historical: ${date})` : ' (current)'}`);
-    
-    // Priority 1: Try MapTiler (for Hyderabad region, uses 2016 dataset for historical)
-    const mapTilerImage = await getMapTilerSatelliteImage(lat, lng, date, width, height);
-    if (mapTilerImage && mapTilerImage.startsWith('data:image')) {
-      console.log('✅ MapTiler satellite image created successfully');
-      return mapTilerImage;
-    }
-    
-    // Priority 2: Use Esri World Imagery (reliable, works everywhere)
-    console.log('📡 MapTiler not available, using Esri World Imagery');
-    const imageUrl = await createEsriComposite(lat, lng, zoom, width, height);
-    
-    if (imageUrl && imageUrl.startsWith('data:image')) {
-      console.log('✅ Esri composite image created successfully');
-      return imageUrl;
-    }
-    
-    // Fallback to single tile if composite fails
-    console.warn('⚠️ Composite failed, using single tile fallback');
-    return getSatelliteImageUrl(lat, lng, null, 'satellite', zoom);
-    
-  } catch (error) {
-    console.error('❌ Error fetching satellite image:', error);
-    // Ultimate fallback - single tile
-    return getSatelliteImageUrl(lat, lng, null, 'satellite', zoom);
-  }
+  const image = await getStaticMapImage(lat, lng, zoom, width, height, date);
+  return image.url;
 };
 
 /**
@@ -464,56 +104,30 @@ export const getBoundingBox = (centerLat, centerLng, radiusKm) => {
 };
 
 /**
- * Fetch historical imagery (before date)
- * Uses 2006 as baseline year for maximum accuracy in change detection
+ * Fetch historical imagery for a date (the baseline year's mid-year date by default)
  * Returns actual composite satellite image at exact coordinates from historical datasets
  */
-export const getHistoricalImagery = async (lat, lng, date = null, baselineYear = 2006) => {
-  const currentYear = new Date().getFullYear();
-  const yearsBack = currentYear - baselineYear;
-  
-  // Create historical date from 2006
+export const getHistoricalImagery = async (lat, lng, date = null, baselineYear = DEFAULT_BASELINE_YEAR) => {
   const historicalDate = date 
     ? new Date(date).toISOString().split('T')[0]
-    : `${baselineYear}-06-15`; // Mid-year for better imagery availability
-  
-  console.log(`📡 Fetching historical imagery for ${lat}, ${lng} (baseline: ${baselineYear}, date: ${historicalDate})`);
-  
-  // Try to get actual historical imagery from NASA GIBS or other sources
-  // NASA GIBS has MODIS data from 2000+, Landsat from various dates
-  let imageUrl = await getStaticMapImageUrl(lat, lng, 15, 800, 600, historicalDate);
+    : baselineDateForYear(baselineYear);
+  const year = new Date(historicalDate).getFullYear();
+  const yearsBack = new Date().getFullYear() - year;
   
-  // Ensure we have a valid image URL
-  if (!imageUrl || (!imageUrl.startsWith('data:') && !imageUrl.startsWith('http') && !imageUrl.startsWith('blob:'))) {
-    console.warn('⚠️ Invalid image URL, retrying...');
-    imageUrl = await getStaticMapImageUrl(lat, lng, 15, 800, 600, null);
-  }
-  
-  // Determine data source based on what was actually used
-  let dataSource = 'Esri World Imagery';
-  let sensor = 'Various Satellite';
+  console.log(`📡 Fetching historical imagery for ${lat}, ${lng} (date: ${historicalDate})`);
   
-  // Check if MapTiler was used (data URLs from MapTiler)
-  if (imageUrl && imageUrl.startsWith('data:image')) {
-    // Try to detect if it came from MapTiler by checking console logs
-    // In production, track this properly
-    dataSource = 'MapTiler Satellite (Hyderabad)';
-    sensor = baselineYear <= 2016 ? 'Satellite 2016 Dataset' : 'Satellite Highres';
-  }
+  const image = await getStaticMapImage(lat, lng, 15, 800, 600, historicalDate);
   
   return {
-    url: imageUrl,
+    url: image.url,
     date: historicalDate,
-    year: baselineYear,
+    year,
     yearsBack: yearsBack,
-    source: `Historical Baseline (${baselineYear})`,
+    source: `Historical Imagery (${year})`,
     coordinates: { lat, lng },
-    metadata: {
-      resolution: baselineYear >= 2012 ? '250m' : '500m', // MODIS/VIIRS resolution
-      cloudCover: null,
-      sensor: sensor,
-      dataSource: dataSource
-    }
+    geoTransform: image.geoTransform,
+    provenance: image.provenance,
+    metadata: imageryMetadata(image.provenance)
   };
 };
 
@@ -524,29 +138,17 @@ export const getHistoricalImagery = async (lat, lng, date = null, baselineYear =
 export const getCurrentImagery = async (lat, lng) => {
   console.log(`📡 Fetching current imagery for ${lat}, ${lng}`);
   
-  // Get current date for latest imagery
   const currentDate = new Date().toISOString().split('T')[0];
-  
-  // Try to get recent imagery (prefer Sentinel-2 or latest available)
-  // First try current date, then recent dates for best available imagery
-  let imageUrl = await getStaticMapImageUrl(lat, lng, 15, 800, 600, currentDate);
-  
-  // If that doesn't work, use Esri (always available, current imagery)
-  if (!imageUrl || imageUrl.includes('arcgisonline.com') || !imageUrl.startsWith('http')) {
-    imageUrl = await getStaticMapImageUrl(lat, lng, 15, 800, 600, null);
-  }
+  const image = await getStaticMapImage(lat, lng, 15, 800, 600, null);
   
   return {
-    url: imageUrl,
+    url: image.url,
     date: currentDate,
     source: 'Current Satellite Imagery',
     coordinates: { lat, lng },
-    metadata: {
-      resolution: '0.3m - 1m',
-      cloudCover: null,
-      sensor: 'Various (High-resolution satellite)',
-      dataSource: 'Esri World Imagery / Sentinel-2'
-    }
+    geoTransform: image.geoTransform,
+    provenance: image.provenance,
+    metadata: imageryMetadata(image.provenance)
   };
 };
 
@@ -0,0 +1,113 @@
+/**
+ * Site Query Helpers
+ * Filtering and statistics over detected site records.
+ * Shared by the browser storage adapters and the local REST server.
+ */
+
+export const SITE_STATUSES = ['PENDING', 'UNDER_INVESTIGATION', 'ACTION_TAKEN', 'RESOLVED'];
+export const RISK_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+
+/**
+ * Filter sites by criteria
+ */
+export const applySiteFilters = (sites, filters = {}) => {
+  let result = sites;
+
+  if (filters.riskLevel) {
+    result = result.filter(s => s.riskLevel === filters.riskLevel);
+  }
+
+  if (filters.district) {
+    result = result.filter(s => s.district === filters.district);
+  }
+
+  if (filters.zone) {
+    result = result.filter(s => s.zone === filters.zone);
+  }
+
+  if (filters.circle) {
+    result = result.filter(s => s.circle === filters.circle);
+  }
+
+  if (filters.ward) {
+    result = result.filter(s => s.ward === filters.ward);
+  }
+
+  if (filters.status) {
+    result = result.filter(s => s.status === filters.status);
+  }
+
+  if (filters.search) {
+    const searchLower = filters.search.toLowerCase();
+    result = result.filter(s =>
+      s.type?.toLowerCase().includes(searchLower) ||
+      s.district?.toLowerCase().includes(searchLower) ||
+      s.circle?.toLowerCase().includes(searchLower) ||
+      s.ward?.toLowerCase().includes(searchLower) ||
+      s.violations?.some(v => v.type?.toLowerCase().includes(searchLower))
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Zone -> circle -> ward hierarchy of the areas that have sites
+ */
+export const getAdminAreas = (sites) => {
+  const zones = {};
+  sites.filter(site => site.circle).forEach(site => {
+    const zone = site.zone || '';
+    zones[zone] = zones[zone] || {};
+    zones[zone][site.circle] = zones[zone][site.circle] || new Set();
+    if (site.ward) zones[zone][site.circle].add(site.ward);
+  });
+
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+  return Object.entries(zones)
+    .map(([zone, circles]) => ({
+      name: zone,
+      circles: Object.entries(circles)
+        .map(([circle, wards]) => ({
+          name: circle,
+          wards: [...wards].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        }))
+        .sort(byName)
+    }))
+    .sort(byName);
+};
+
+/**
+ * Compute register statistics
+ */
+export const computeStatistics = (sites) => {
+  const countBy = (key, values) => values.reduce((acc, value) => {
+    acc[value] = sites.filter(s => s[key] === value).length;
+    return acc;
+  }, {});
+  const tally = (key) => sites.reduce((acc, site) => {
+    if (site[key]) acc[site[key]] = (acc[site[key]] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    total: sites.length,
+    byRiskLevel: countBy('riskLevel', RISK_LEVELS),
+    byStatus: countBy('status', SITE_STATUSES),
+    byDistrict: sites.reduce((acc, site) => {
+      acc[site.district] = (acc[site.district] || 0) + 1;
+      return acc;
+    }, {}),
+    byZone: tally('zone'),
+    byCircle: tally('circle'),
+    adminAreas: getAdminAreas(sites)
+  };
+};
+
+/**
+ * Whether a record still holds the expected field values (missing and null
+ * are the same), the precondition of a conditional update
+ */
+export const matchesFields = (record, expected = {}) => (
+  Object.entries(expected).every(([key, value]) => (record[key] ?? null) === (value ?? null))
+);
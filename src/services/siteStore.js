@@ -0,0 +1,181 @@
+/**
+ * Site Store
+ * Pluggable persistence for the detected-site register.
+ *
+ * Every adapter implements the same async interface:
+ *   list(), get(id), add(record), addMany(records),
+ *   update(id, changes, { expect }), remove(id) -> { deleted },
+ *   filter(filters), statistics()
+ *
+ * An update with `expect` (field values) is conditional: when the stored
+ * record no longer holds them it fails with a ConflictError, so of several
+ * clients updating from the same state only the first wins. addMany fails
+ * with a ConflictError when an id is already stored or repeated.
+ *
+ * The localStorage adapter keeps the register in the current browser.
+ * The HTTP adapter talks to the shared register served by `server/index.js`.
+ * Both take the collection they store (the site register by default), so
+ * other records such as watch areas reuse them; filter and statistics only
+ * apply to sites.
+ */
+
+import { applySiteFilters, computeStatistics, matchesFields } from './siteQueries';
+
+const STORAGE_KEY = 'detected_illegal_sites';
+
+const conflict = (message) => Object.assign(new Error(message), { name: 'ConflictError' });
+
+export const isConflictError = (error) => error?.name === 'ConflictError';
+
+/**
+ * Browser-local register (single officer, no sharing), kept under `storageKey`
+ */
+export const createLocalStorageAdapter = (storageKey = STORAGE_KEY) => {
+  const read = () => {
+    try {
+      const data = localStorage.getItem(storageKey);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error(`Error loading ${storageKey}:`, error);
+      return [];
+    }
+  };
+
+  const write = (sites) => {
+    localStorage.setItem(storageKey, JSON.stringify(sites));
+  };
+
+  // Like the REST server, refuse an id that is stored already or repeated in the batch
+  const addMany = async (newSites) => {
+    const sites = read();
+    const ids = newSites.map(site => site.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i || sites.some(site => site.id === id));
+    if (duplicate) {
+      throw conflict(`Site id ${duplicate} already exists`);
+    }
+    write([...sites, ...newSites]);
+    return newSites;
+  };
+
+  return {
+    name: 'localStorage',
+
+    list: async () => read(),
+
+    get: async (id) => read().find(site => site.id === id) || null,
+
+    add: async (record) => (await addMany([record]))[0],
+
+    addMany,
+
+    update: async (id, changes, { expect } = {}) => {
+      const sites = read();
+      const index = sites.findIndex(site => site.id === id);
+      if (index === -1) return null;
+      if (expect && !matchesFields(sites[index], expect)) {
+        throw conflict(`Record ${id} was changed by someone else`);
+      }
+
+      sites[index] = { ...sites[index], ...changes };
+      write(sites);
+      return sites[index];
+    },
+
+    remove: async (id) => {
+      const sites = read();
+      const filtered = sites.filter(site => site.id !== id);
+      write(filtered);
+      return { deleted: filtered.length < sites.length };
+    },
+
+    filter: async (filters = {}) => applySiteFilters(read(), filters),
+
+    statistics: async () => computeStatistics(read())
+  };
+};
+
+/**
+ * Shared register backed by the local REST server, at `/<collection>`
+ */
+export const createHttpAdapter = (baseUrl, collection = 'sites') => {
+  const root = baseUrl.replace(/\/+$/, '');
+  const base = `/${collection}`;
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${root}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      if (response.status === 409) throw conflict(body.error || `${collection} record was changed by someone else`);
+      throw new Error(body.error || `${collection} request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  };
+
+  const toQuery = (filters) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  };
+
+  const addMany = (newSites) => request(base, {
+    method: 'POST',
+    body: JSON.stringify(newSites)
+  });
+
+  return {
+    name: 'http',
+
+    list: async () => (await request(base)) || [],
+
+    get: (id) => request(`${base}/${encodeURIComponent(id)}`),
+
+    add: async (record) => (await addMany([record]))[0],
+
+    addMany,
+
+    // The precondition travels in a header; the body stays the plain changes
+    update: (id, changes, { expect } = {}) => request(`${base}/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: expect ? { 'X-Expect-Fields': JSON.stringify(expect) } : {},
+      body: JSON.stringify(changes)
+    }),
+
+    remove: (id) => request(`${base}/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+
+    filter: async (filters = {}) => (await request(`${base}${toQuery(filters)}`)) || [],
+
+    statistics: () => request('/statistics')
+  };
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured site store.
+ * Set VITE_SITE_STORE_URL (e.g. `/api`) to use the shared REST register.
+ */
+export const getSiteStore = () => {
+  if (!activeStore) {
+    const baseUrl = import.meta.env.VITE_SITE_STORE_URL;
+    activeStore = baseUrl ? createHttpAdapter(baseUrl) : createLocalStorageAdapter();
+    console.log(`🗄️ Using ${activeStore.name} site store`);
+  }
+  return activeStore;
+};
+
+/**
+ * Replace the active site store (e.g. for a custom backend)
+ */
+export const setSiteStore = (store) => {
+  activeStore = store;
+};
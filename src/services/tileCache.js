@@ -0,0 +1,171 @@
+/**
+ * Tile Cache
+ * Persistent IndexedDB cache of imagery tiles and WMS map images, keyed by
+ * provider/z/x/y/date, so repeat analyses reuse what was already downloaded
+ * and offline mode can analyse from it. Entries are evicted least recently
+ * used first once the cache grows past its size limit.
+ *
+ * The cache interface (all async):
+ *   get(key) -> entry | null, put(key, blob, meta), isStale(entry),
+ *   stats() -> { entries, bytes, maxBytes }, clear()
+ */
+
+const env = import.meta.env;
+
+const DB_NAME = 'hydraa-imagery-cache';
+const STORE = 'tiles';
+const DEFAULT_MAX_MB = 500;
+// Current mosaics are updated; cached current imagery is refetched after this long when online
+const DEFAULT_MAX_AGE_DAYS = 30;
+// Eviction frees a little extra room so it does not run on every put
+const EVICT_TO_SHARE = 0.9;
+const OFFLINE_KEY = 'hydraa_offline_mode';
+
+/**
+ * Cache key of a tile
+ */
+export const tileCacheKey = (providerId, { z, x, y }, date) => `${providerId}/${z}/${x}/${y}/${date || 'current'}`;
+
+/**
+ * Cache key of a WMS map image of a geotransform's window
+ */
+export const mapCacheKey = (providerId, { zoom, originX, originY, width, height }, date) => (
+  `${providerId}/map/${zoom}/${Math.round(originX)}/${Math.round(originY)}/${width}x${height}/${date || 'current'}`
+);
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB-backed cache
+ *
+ * @param {Object} options
+ * @param {number} options.maxBytes - size limit before LRU eviction
+ * @param {number} options.maxAgeDays - age after which undated (current) entries are stale
+ */
+export const createTileCache = ({
+  dbName = DB_NAME,
+  maxBytes = DEFAULT_MAX_MB * 1024 * 1024,
+  maxAgeDays = DEFAULT_MAX_AGE_DAYS
+} = {}) => {
+  let dbPromise = null;
+  // Existing entries are summed once, before the first write; puts and evictions then track the total
+  let totalBytes = 0;
+  let counted = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+          store.createIndex('lastUsed', 'lastUsed');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const store = async (mode) => (await open()).transaction(STORE, mode).objectStore(STORE);
+
+  const usage = async () => {
+    if (!counted) {
+      counted = store('readonly')
+        .then(tiles => requestResult(tiles.getAll()))
+        .then(entries => {
+          totalBytes += entries.reduce((sum, entry) => sum + entry.size, 0);
+        });
+    }
+    await counted;
+    return totalBytes;
+  };
+
+  const evict = async () => {
+    if (await usage() <= maxBytes) return;
+
+    const tiles = await store('readwrite');
+    const target = maxBytes * EVICT_TO_SHARE;
+    await new Promise((resolve, reject) => {
+      const cursorRequest = tiles.index('lastUsed').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || totalBytes <= target) {
+          resolve();
+          return;
+        }
+        totalBytes -= cursor.value.size;
+        cursor.delete();
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  };
+
+  return {
+    get: async (key) => {
+      const tiles = await store('readwrite');
+      const entry = await requestResult(tiles.get(key));
+      if (!entry) return null;
+      entry.lastUsed = Date.now();
+      tiles.put(entry);
+      return entry;
+    },
+
+    put: async (key, blob, { date = null } = {}) => {
+      await usage();
+      const tiles = await store('readwrite');
+      const previous = await requestResult(tiles.get(key));
+      const now = Date.now();
+      await requestResult(tiles.put({ key, blob, date, size: blob.size, storedAt: now, lastUsed: now }));
+      totalBytes += blob.size - (previous?.size || 0);
+      await evict();
+    },
+
+    isStale: (entry) => !entry.date && Date.now() - entry.storedAt > maxAgeDays * 24 * 60 * 60 * 1000,
+
+    stats: async () => ({
+      entries: await requestResult((await store('readonly')).count()),
+      bytes: await usage(),
+      maxBytes
+    }),
+
+    clear: async () => {
+      await usage();
+      await requestResult((await store('readwrite')).clear());
+      totalBytes = 0;
+    }
+  };
+};
+
+let tileCache = null;
+
+/**
+ * The app's tile cache (limit VITE_TILE_CACHE_MB, current-imagery age VITE_TILE_CACHE_MAX_AGE_DAYS)
+ */
+export const getTileCache = () => {
+  if (!tileCache) {
+    tileCache = createTileCache({
+      maxBytes: (Number(env.VITE_TILE_CACHE_MB) || DEFAULT_MAX_MB) * 1024 * 1024,
+      maxAgeDays: Number(env.VITE_TILE_CACHE_MAX_AGE_DAYS) || DEFAULT_MAX_AGE_DAYS
+    });
+  }
+  return tileCache;
+};
+
+/**
+ * Whether the user switched offline mode on
+ */
+export const getOfflineMode = () => localStorage.getItem(OFFLINE_KEY) === 'true';
+
+export const setOfflineMode = (enabled) => {
+  localStorage.setItem(OFFLINE_KEY, String(Boolean(enabled)));
+};
+
+/**
+ * Analyse from cached imagery only: offline mode is on or the browser has no connection
+ */
+export const isOffline = () => getOfflineMode() || (typeof navigator !== 'undefined' && navigator.onLine === false);
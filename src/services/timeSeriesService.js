@@ -0,0 +1,256 @@
+/**
+ * Time Series Service
+ * Multi-epoch analysis: the area is scanned once per pair of consecutive
+ * imagery epochs (e.g. 2018 → 2019 → 2020 → today), so each detection is
+ * dated to the window between the last epoch it was absent from and the
+ * first one it appears in.
+ */
+
+import * as turf from '@turf/turf';
+import { scanArea } from './areaScan';
+import { DEFAULT_BASELINE_YEAR, baselineDateForYear } from './satelliteService';
+import { clipToImagery } from './localImageryService';
+
+export const EPOCH_STEPS = [
+  { years: 0, label: 'Baseline only' },
+  { years: 1, label: 'Every year' },
+  { years: 2, label: 'Every 2 years' },
+  { years: 5, label: 'Every 5 years' }
+];
+
+// Every epoch pair is a full scan of the area
+const MAX_EPOCHS = 8;
+// A later footprint covering this share of an earlier one (or of itself) is the same structure
+const MIN_FOOTPRINT_OVERLAP = 0.3;
+
+/**
+ * Imagery epochs from a start year to today, oldest first.
+ * The last epoch is always the current imagery (date null).
+ *
+ * @param {Object} options
+ * @param {number} options.startYear - first (baseline) year
+ * @param {number} options.stepYears - years between epochs (0: baseline and current only)
+ */
+export const planEpochs = ({ startYear = DEFAULT_BASELINE_YEAR, stepYears = 0 } = {}) => {
+  const currentYear = new Date().getFullYear();
+  const start = parseInt(startYear, 10);
+  const step = parseInt(stepYears, 10) || 0;
+
+  if (!start || start >= currentYear) {
+    throw new Error(`Baseline year must be before ${currentYear}`);
+  }
+
+  const years = [start];
+  if (step > 0) {
+    for (let year = start + step; year < currentYear; year += step) years.push(year);
+  }
+
+  if (years.length + 1 > MAX_EPOCHS) {
+    throw new Error(`A ${step}-year step from ${start} needs ${years.length + 1} epochs (max ${MAX_EPOCHS}). Use a larger step or a later baseline year.`);
+  }
+
+  return [
+    ...years.map(year => ({ date: baselineDateForYear(year), year, label: String(year) })),
+    { date: null, year: currentYear, label: 'Current' }
+  ];
+};
+
+/**
+ * The baseline/current pair of a plain two-date comparison
+ */
+export const baselineEpochs = (historicalDate = null) => {
+  const date = historicalDate
+    ? new Date(historicalDate).toISOString().split('T')[0]
+    : baselineDateForYear(DEFAULT_BASELINE_YEAR);
+  const year = new Date(date).getFullYear();
+  return [
+    { date, year, label: String(year) },
+    { date: null, year: new Date().getFullYear(), label: 'Current' }
+  ];
+};
+
+const uploadEpoch = (raster) => {
+  if (!raster.captureDate) {
+    throw new Error(`Enter the capture date of ${raster.name}`);
+  }
+  const year = new Date(raster.captureDate).getFullYear();
+  return { date: raster.captureDate, year, label: `${year} (upload)`, imagery: raster };
+};
+
+/**
+ * Use uploaded imagery (localImageryService.loadLocalImagery) as the first
+ * and/or last epoch. Planned epochs outside the uploads' capture dates are
+ * dropped, so an uploaded after image replaces the current imagery.
+ *
+ * @param {Array} epochs - from planEpochs/baselineEpochs
+ * @param {Object} uploads - { before, after } rasters, either may be null
+ */
+export const withUploadedImagery = (epochs, { before = null, after = null } = {}) => {
+  if (!before && !after) return epochs;
+
+  const today = new Date().toISOString().split('T')[0];
+  let result = epochs;
+  if (before) {
+    const first = uploadEpoch(before);
+    result = [first, ...result.filter(epoch => (epoch.date || today) > first.date)];
+  }
+  if (after) {
+    const last = uploadEpoch(after);
+    if (before && before.captureDate >= last.date) {
+      throw new Error(`The before imagery (${before.captureDate}) must be older than the after imagery (${last.date})`);
+    }
+    result = [...result.filter(epoch => (epoch.date || today) < last.date), last];
+  }
+
+  if (result.length < 2) {
+    throw new Error('The uploaded imagery leaves no other epoch to compare with; upload both before and after imagery or change the baseline year');
+  }
+  if (result.length > MAX_EPOCHS) {
+    throw new Error(`Uploaded imagery gives ${result.length} epochs (max ${MAX_EPOCHS}). Use a larger step or a later baseline year.`);
+  }
+  return result;
+};
+
+/**
+ * Whether a later detection is an already-known structure: their footprints
+ * overlap by a good part of the smaller one. Neighbours that merely touch,
+ * or stand a few metres apart, stay separate structures.
+ */
+const isSameStructure = (a, b) => {
+  if (a.changeType !== b.changeType || !a.footprint || !b.footprint) return false;
+  if (!turf.booleanIntersects(a.footprint, b.footprint)) return false;
+
+  const intersection = turf.intersect(turf.featureCollection([a.footprint, b.footprint]));
+  const smaller = Math.min(turf.area(a.footprint), turf.area(b.footprint));
+  return Boolean(intersection) && smaller > 0 && turf.area(intersection) / smaller >= MIN_FOOTPRINT_OVERLAP;
+};
+
+/**
+ * Link detections across epoch windows, oldest window first. A structure
+ * keeps the window it first appeared in; later windows in which it was
+ * seen changing again (extensions, rebuilds) are listed in `changeWindows`.
+ */
+export const linkEpochDetections = (detectionsByWindow) => {
+  const structures = [];
+  detectionsByWindow.forEach(detections => {
+    detections.forEach(detection => {
+      const known = structures.find(structure => isSameStructure(structure, detection));
+      if (known) {
+        known.changeWindows.push(detection.constructionWindow);
+      } else {
+        structures.push({ ...detection, changeWindows: [detection.constructionWindow] });
+      }
+    });
+  });
+  return structures;
+};
+
+/**
+ * Timeline entry for an epoch from the imagery actually fetched for it
+ */
+const toTimelineEntry = (epoch, image) => ({
+  date: image?.date || epoch.date,
+  year: image?.year || epoch.year,
+  label: epoch.label,
+  imageUrl: image?.url || null,
+  geoTransform: image?.geoTransform || null,
+  provenance: image?.provenance || null
+});
+
+/**
+ * Scan an area across a series of imagery epochs.
+ *
+ * @param {Object} options
+ * @param {Object} options.area - GeoJSON Polygon/MultiPolygon feature to scan
+ * @param {Array} options.epochs - from planEpochs/baselineEpochs/withUploadedImagery (at least two)
+ * @param {Object|null} options.waterbody - passed on to scanArea
+ * @param {Object} options.regionFilter - passed on to scanArea
+ * @param {AbortSignal} options.signal - passed on to scanArea
+ * @param {Function} options.onProgress - scanArea progress plus { window: { index, count, from, to } }
+ * @returns {Promise<Object>} { tiles, windows, detections, timeline }
+ */
+export const scanTimeSeries = async ({ area, epochs, waterbody = null, regionFilter = {}, signal = null, onProgress = () => {} }) => {
+  if (!epochs || epochs.length < 2) {
+    throw new Error('A time series needs at least two imagery epochs');
+  }
+
+  // Uploaded imagery only covers its own footprint
+  const uploads = epochs.map(epoch => epoch.imagery).filter(Boolean);
+  const scanAreaFeature = uploads.length > 0 ? clipToImagery(area, uploads) : area;
+
+  const windows = [];
+  for (let index = 0; index < epochs.length - 1; index++) {
+    const from = epochs[index];
+    const to = epochs[index + 1];
+    const epochWindow = { index, count: epochs.length - 1, from: from.label, to: to.label };
+
+    const scan = await scanArea({
+      area: scanAreaFeature,
+      historicalDate: from.date,
+      afterDate: to.date,
+      beforeImagery: from.imagery || null,
+      afterImagery: to.imagery || null,
+      waterbody,
+      regionFilter,
+      signal,
+      onProgress: (progress) => onProgress({ ...progress, window: epochWindow })
+    });
+
+    // One tile's composites are kept for the timeline, the rest would pile up over many epochs:
+    // the centre tile, or the first tile analysed when it failed
+    const imageTile = scan.centerTile.status === 'done'
+      ? scan.centerTile
+      : scan.tiles.find(tile => tile.status === 'done');
+    scan.tiles.forEach(tile => {
+      if (tile === imageTile) return;
+      delete tile.beforeImage;
+      delete tile.afterImage;
+    });
+    windows.push({ ...epochWindow, scan, imageTile });
+  }
+
+  // Each window's kept tile supplies the timeline imagery
+  const timeline = epochs.map((epoch, index) => {
+    const { imageTile } = windows[Math.max(index - 1, 0)];
+    const image = index === 0 ? imageTile.beforeImage : imageTile.afterImage;
+    return toTimelineEntry(epoch, image);
+  });
+
+  // A tile counts as failed if any window could not analyse it, and as covered as its worst window
+  const tiles = windows[windows.length - 1].scan.tiles.map(tile => {
+    const others = windows.map(({ scan }) => scan.tiles.find(other => other.id === tile.id));
+    const failure = others.find(other => other?.status === 'failed');
+    if (failure) return { ...tile, status: 'failed', error: failure.error };
+    return { ...tile, coverage: Math.min(...others.map(other => other?.coverage ?? 1)) };
+  });
+
+  return {
+    tiles,
+    windows: windows.map(({ scan, imageTile, ...epochWindow }) => ({
+      ...epochWindow,
+      tiles: scan.tiles,
+      changeMaskImage: imageTile.result?.changeMaskImage || null
+    })),
+    detections: linkEpochDetections(windows.map(({ scan }) => scan.detections)),
+    timeline
+  };
+};
+
+/**
+ * Human-readable construction date window of a site
+ */
+export const describeConstructionWindow = (constructionWindow) => {
+  if (!constructionWindow?.from || !constructionWindow?.to) return 'Unknown';
+  const fromYear = new Date(constructionWindow.from).getFullYear();
+  const toYear = new Date(constructionWindow.to).getFullYear();
+  return fromYear === toYear
+    ? `Appeared in ${fromYear}`
+    : `Appeared between ${fromYear} and ${toYear}`;
+};
+
+/**
+ * Whether a site already existed at a timeline date
+ */
+export const existedBy = (site, date) => {
+  return !site.constructionWindow?.to || site.constructionWindow.to <= date;
+};
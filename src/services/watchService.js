@@ -0,0 +1,303 @@
+/**
+ * Watch Area Service
+ * Named land and water-body regions that are re-analysed on an interval.
+ * Each pass is compared with the detections already known for the area;
+ * only structures not seen before are added to the register and raised
+ * as alerts.
+ */
+
+import * as turf from '@turf/turf';
+import { analyzeSite, parseCoordinates, isPersistable, saveNewSites } from './api';
+import { createCircleAOI } from './aoiService';
+import { isConflictError } from './siteStore';
+import { getWatchStore } from './watchStore';
+
+export const WATCH_INTERVALS = [
+  { hours: 6, label: 'Every 6 hours' },
+  { hours: 24, label: 'Daily' },
+  { hours: 168, label: 'Weekly' },
+  { hours: 720, label: 'Monthly' }
+];
+
+export const WATCH_KINDS = {
+  land: { label: 'Land Region', icon: '🏔' },
+  water: { label: 'Water-Body', icon: '💧' }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+// A failed pass is tried again sooner than the normal interval
+const FAILED_RUN_RETRY_MS = HOUR_MS;
+// How often the scheduler looks for areas that are due
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// Detections closer than this to a known one are the same structure
+const MATCH_DISTANCE_M = 25;
+const MAX_RUN_HISTORY = 20;
+
+// A run not finished after this long is taken to have died with its browser
+const RUN_LEASE_MS = 6 * HOUR_MS;
+
+// Areas being analysed in this session (the scheduler and "Run Now" share it)
+const activeRuns = new Set();
+
+const listeners = new Set();
+const notify = () => listeners.forEach(listener => listener());
+
+/**
+ * Be told whenever a watch area changes (runs, alerts, edits)
+ * @returns {Function} unsubscribe
+ */
+export const subscribeWatchAreas = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const listWatchAreas = () => getWatchStore().list();
+
+const updateWatchArea = async (id, changes, options) => {
+  const updated = await getWatchStore().update(id, changes, options);
+  notify();
+  return updated;
+};
+
+/**
+ * Save a new watch area around a point
+ */
+export const createWatchArea = async ({ name, kind = 'land', coordinates, radiusKm, intervalHours = 24 }) => {
+  const { lat, lng } = parseCoordinates(coordinates);
+  const radius = parseFloat(radiusKm);
+
+  if (!name || !name.trim()) {
+    throw new Error('Give the watch area a name');
+  }
+  if (!lat || !lng) {
+    throw new Error('Invalid coordinates format. Use: lat,lng');
+  }
+  if (!radius || radius <= 0) {
+    throw new Error('Radius must be a positive number of kilometres');
+  }
+
+  const now = new Date().toISOString();
+  const area = await getWatchStore().add({
+    id: `watch_${Date.now()}`,
+    name: name.trim(),
+    kind,
+    aoi: { ...createCircleAOI(lat, lng, radius), name: name.trim() },
+    intervalHours: Number(intervalHours),
+    paused: false,
+    createdDate: now,
+    lastRunDate: null,
+    nextRunDate: now,
+    status: 'idle',
+    lastError: null,
+    runs: [],
+    alerts: [],
+    knownDetections: []
+  });
+  notify();
+  return area;
+};
+
+export const removeWatchArea = async (id) => {
+  const result = await getWatchStore().remove(id);
+  notify();
+  return result;
+};
+
+export const setWatchAreaPaused = (id, paused) => updateWatchArea(id, { paused });
+
+/**
+ * Change how often an area is re-analysed; the next pass moves with it
+ */
+export const setWatchInterval = (area, intervalHours) => {
+  const hours = Number(intervalHours);
+  return updateWatchArea(area.id, {
+    intervalHours: hours,
+    nextRunDate: area.lastRunDate
+      ? new Date(new Date(area.lastRunDate).getTime() + hours * HOUR_MS).toISOString()
+      : area.nextRunDate
+  });
+};
+
+/**
+ * Mark an area's alerts as seen
+ */
+export const acknowledgeAlerts = async (area) => {
+  return updateWatchArea(area.id, {
+    alerts: area.alerts.map(alert => ({ ...alert, acknowledged: true }))
+  });
+};
+
+/**
+ * Whether another session is analysing the area (and has not died doing so)
+ */
+const isRunClaimed = (area, now = Date.now()) => (
+  area.status === 'running' && now - new Date(area.runStartedAt || 0).getTime() < RUN_LEASE_MS
+);
+
+export const isWatchDue = (area, now = Date.now()) => {
+  return !area.paused && !isRunClaimed(area, now) &&
+    (!area.nextRunDate || new Date(area.nextRunDate).getTime() <= now);
+};
+
+/**
+ * Claim an area's run in the store before analysing it. Every open browser
+ * runs the scheduler; the update only succeeds while the area is as this
+ * session read it, so of several sessions finding it due exactly one wins.
+ */
+const claimWatchRun = async (area) => {
+  if (isRunClaimed(area)) {
+    throw new Error(`Watch area "${area.name}" is already being analysed`);
+  }
+  try {
+    return await updateWatchArea(area.id, { status: 'running', runStartedAt: new Date().toISOString() }, {
+      expect: { status: area.status, nextRunDate: area.nextRunDate, runStartedAt: area.runStartedAt }
+    });
+  } catch (error) {
+    if (!isConflictError(error)) throw error;
+    throw Object.assign(new Error(`Watch area "${area.name}" was just started or changed in another session`), { name: 'ConflictError' });
+  }
+};
+
+/**
+ * What is remembered of a detection to recognise it on the next pass
+ */
+const toKnownDetection = (site) => ({
+  siteId: site.id,
+  coordinates: site.coordinates,
+  footprint: site.footprint?.geometry || null,
+  firstSeen: new Date().toISOString()
+});
+
+const isKnown = (site, knownDetections) => {
+  const point = turf.point([site.coordinates.lng, site.coordinates.lat]);
+  return knownDetections.some(known => {
+    if (site.footprint && known.footprint && turf.booleanIntersects(site.footprint, known.footprint)) {
+      return true;
+    }
+    const knownPoint = turf.point([known.coordinates.lng, known.coordinates.lat]);
+    return turf.distance(point, knownPoint, { units: 'meters' }) <= MATCH_DISTANCE_M;
+  });
+};
+
+/**
+ * Re-analyse one watch area and raise anything new since the last pass.
+ * The first pass records the baseline without raising an alert.
+ *
+ * @returns {Promise<Object>} { area, newSites }
+ */
+export const runWatchArea = async (area, { onProgress } = {}) => {
+  if (activeRuns.has(area.id)) {
+    throw new Error(`Watch area "${area.name}" is already being analysed`);
+  }
+  activeRuns.add(area.id);
+
+  const startedAt = Date.now();
+  try {
+    await claimWatchRun(area);
+  } catch (error) {
+    activeRuns.delete(area.id);
+    throw error;
+  }
+
+  try {
+    const result = await analyzeSite(null, null, null, { aoi: area.aoi, onProgress, save: false });
+    // Alerts acknowledged, the interval changed or other runs recorded during the
+    // scan must survive: merge into the area as it is now, not as it was read
+    const current = (await getWatchStore().get(area.id)) || area;
+    const known = current.knownDetections || [];
+    const isBaseline = !current.lastRunDate;
+
+    const sites = (result.sites || []).map(site => ({ ...site, watchAreaId: area.id, watchAreaName: area.name }));
+    // Nobody confirms classical fallback detections on an unattended run, so they
+    // are neither saved nor remembered; the next run with the ML models sees them afresh
+    const newSites = sites.filter(site => isPersistable(site) && !isKnown(site, known));
+    await saveNewSites(newSites);
+
+    const runDate = new Date().toISOString();
+    const run = {
+      date: runDate,
+      baseline: isBaseline,
+      detections: sites.length,
+      newDetections: newSites.length,
+      unconfirmedDetections: sites.filter(site => !isPersistable(site)).length,
+      failedTiles: result.tiles?.filter(tile => tile.status === 'failed').length || 0
+    };
+    const alerts = !isBaseline && newSites.length > 0
+      ? [{
+        id: `alert_${startedAt}`,
+        date: runDate,
+        count: newSites.length,
+        highRisk: newSites.filter(site => site.riskLevel === 'HIGH').length,
+        siteIds: newSites.map(site => site.id),
+        acknowledged: false
+      }, ...(current.alerts || [])]
+      : current.alerts || [];
+
+    const updated = await updateWatchArea(area.id, {
+      status: 'idle',
+      runStartedAt: null,
+      lastError: null,
+      lastRunDate: runDate,
+      nextRunDate: new Date(startedAt + current.intervalHours * HOUR_MS).toISOString(),
+      runs: [run, ...(current.runs || [])].slice(0, MAX_RUN_HISTORY),
+      alerts,
+      knownDetections: [...known, ...newSites.map(toKnownDetection)]
+    });
+
+    console.log(`👁️ Watch area "${area.name}": ${sites.length} detection(s), ${newSites.length} new`);
+    return { area: updated, newSites: isBaseline ? [] : newSites };
+  } catch (error) {
+    await updateWatchArea(area.id, {
+      status: 'failed',
+      runStartedAt: null,
+      lastError: error.message,
+      nextRunDate: new Date(startedAt + FAILED_RUN_RETRY_MS).toISOString()
+    });
+    throw error;
+  } finally {
+    activeRuns.delete(area.id);
+  }
+};
+
+let checking = false;
+
+/**
+ * Run every watch area that is due, one at a time
+ */
+export const runDueWatchAreas = async ({ onAlert = () => {} } = {}) => {
+  // Analyses are heavy; never overlap two scheduler passes
+  if (checking) return;
+  checking = true;
+
+  try {
+    const due = (await listWatchAreas()).filter(area => isWatchDue(area) && !activeRuns.has(area.id));
+    for (const area of due) {
+      try {
+        const { area: updated, newSites } = await runWatchArea(area);
+        if (newSites.length > 0) onAlert(updated, newSites);
+      } catch (error) {
+        if (isConflictError(error)) {
+          console.log(`👁️ ${error.message}`);
+        } else {
+          console.error(`❌ Watch area "${area.name}" failed:`, error);
+        }
+      }
+    }
+  } finally {
+    checking = false;
+  }
+};
+
+/**
+ * Check for due watch areas now and then every few minutes while the app is open
+ * @returns {Function} stop
+ */
+export const startWatchScheduler = ({ onAlert, intervalMs = CHECK_INTERVAL_MS } = {}) => {
+  const check = () => runDueWatchAreas({ onAlert }).catch(error => {
+    console.error('❌ Watch scheduler error:', error);
+  });
+
+  check();
+  const timer = setInterval(check, intervalMs);
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,36 @@
+/**
+ * Watch Area Store
+ * Persistence for named watch areas that are re-analysed on a schedule.
+ *
+ * Watch areas use the site store adapters (siteStore.js) over their own
+ * collection: list(), get(id), add(area), update(id, changes),
+ * remove(id) -> { deleted }.
+ *
+ * Like the site register, watch areas live in localStorage unless
+ * VITE_SITE_STORE_URL points at the shared REST server.
+ */
+
+import { createLocalStorageAdapter, createHttpAdapter } from './siteStore';
+
+const STORAGE_KEY = 'watch_areas';
+const COLLECTION = 'watch-areas';
+
+let activeStore = null;
+
+/**
+ * Get the configured watch area store
+ */
+export const getWatchStore = () => {
+  if (!activeStore) {
+    const baseUrl = import.meta.env.VITE_SITE_STORE_URL;
+    activeStore = baseUrl ? createHttpAdapter(baseUrl, COLLECTION) : createLocalStorageAdapter(STORAGE_KEY);
+  }
+  return activeStore;
+};
+
+/**
+ * Replace the active watch area store
+ */
+export const setWatchStore = (store) => {
+  activeStore = store;
+};
@@ -0,0 +1,249 @@
+/**
+ * Water Surface Service
+ * Segments open water around a waterbody in an RGB composite and finds
+ * the ground that was water in the baseline but is not any more.
+ *
+ * Imagery has no near-infrared band, so water is found by colour: each
+ * image learns the colour of its own water from the core of the mapped
+ * lake (median and spread per channel), which copes with turbid or
+ * algae-green tanks and with colour differences between epochs. When
+ * too little of the lake core is in view in either image, both images use
+ * a generic dark/blue rule, so the two epochs are always classified alike.
+ */
+
+import * as turf from '@turf/turf';
+import { latLngToPixel, pixelAreaAt } from './geoTransform';
+import { vectorizeMask } from './maskVectorizer';
+import { openMask, labelComponents } from './binaryMask';
+
+// Classify every 2nd pixel: 400x300 cells for an 800x600 composite
+const SAMPLE_STRIDE = 2;
+// Water colour is learnt this far inside the mapped shoreline
+const CORE_INSET_M = 20;
+// Lakes in the baseline may reach past today's mapped outline
+const SEARCH_BUFFER_M = 50;
+const MIN_CORE_SAMPLES = 50;
+// Per-channel tolerance around the learnt water colour (MAD multiples, floor)
+const COLOUR_MAD_FACTOR = 3;
+const MIN_COLOUR_TOLERANCE = 12;
+// Generic rule: dark pixels that are not reddish
+const GENERIC_MAX_BRIGHTNESS = 100;
+const MIN_LOST_AREA_M2 = 100;
+
+/**
+ * Draw an image to a canvas and read its pixels
+ */
+export const loadImagePixels = (url) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    };
+    img.onerror = () => reject(new Error('Imagery could not be decoded for water segmentation'));
+    img.src = url;
+  });
+};
+
+/**
+ * Rasterise a (Multi)Polygon onto the sample grid of an image
+ */
+const rasterizePolygon = (polygon, geoTransform, grid) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.width;
+  canvas.height = grid.height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.beginPath();
+  turf.flattenEach(polygon, (part) => {
+    part.geometry.coordinates.forEach(ring => {
+      ring.forEach(([lng, lat], i) => {
+        const { x, y } = latLngToPixel(geoTransform, lat, lng);
+        const gx = x / grid.cellWidth;
+        const gy = y / grid.cellHeight;
+        if (i === 0) ctx.moveTo(gx, gy);
+        else ctx.lineTo(gx, gy);
+      });
+      ctx.closePath();
+    });
+  });
+  ctx.fill('evenodd');
+
+  const { data } = ctx.getImageData(0, 0, grid.width, grid.height);
+  const mask = new Uint8Array(grid.width * grid.height);
+  for (let i = 0; i < mask.length; i++) mask[i] = data[i * 4 + 3] > 127 ? 1 : 0;
+  return mask;
+};
+
+/**
+ * RGB of the image pixel under each grid cell
+ */
+export const sampleGrid = (pixels, grid) => {
+  const scaleX = pixels.width / grid.imageWidth;
+  const scaleY = pixels.height / grid.imageHeight;
+  const rgb = new Uint8ClampedArray(grid.width * grid.height * 3);
+
+  for (let gy = 0; gy < grid.height; gy++) {
+    for (let gx = 0; gx < grid.width; gx++) {
+      const px = Math.min(pixels.width - 1, Math.floor((gx + 0.5) * grid.cellWidth * scaleX));
+      const py = Math.min(pixels.height - 1, Math.floor((gy + 0.5) * grid.cellHeight * scaleY));
+      const source = (py * pixels.width + px) * 4;
+      const target = (gy * grid.width + gx) * 3;
+      rgb[target] = pixels.data[source];
+      rgb[target + 1] = pixels.data[source + 1];
+      rgb[target + 2] = pixels.data[source + 2];
+    }
+  }
+  return rgb;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Colour model of water learnt from the lake core (null if too few samples)
+ */
+const learnWaterColour = (rgb, coreMask) => {
+  const channels = [[], [], []];
+  coreMask.forEach((inside, i) => {
+    if (!inside) return;
+    channels[0].push(rgb[i * 3]);
+    channels[1].push(rgb[i * 3 + 1]);
+    channels[2].push(rgb[i * 3 + 2]);
+  });
+  if (channels[0].length < MIN_CORE_SAMPLES) return null;
+
+  const center = channels.map(median);
+  const tolerance = channels.map((values, c) => {
+    const mad = median(values.map(v => Math.abs(v - center[c])));
+    return Math.max(COLOUR_MAD_FACTOR * 1.4826 * mad, MIN_COLOUR_TOLERANCE);
+  });
+  return { center, tolerance };
+};
+
+/**
+ * Water mask of an image within the search zone
+ */
+const classifyWater = (rgb, zoneMask, model) => {
+  const water = new Uint8Array(zoneMask.length);
+  for (let i = 0; i < zoneMask.length; i++) {
+    if (!zoneMask[i]) continue;
+    const r = rgb[i * 3];
+    const g = rgb[i * 3 + 1];
+    const b = rgb[i * 3 + 2];
+
+    if (model) {
+      const { center, tolerance } = model;
+      water[i] = Math.abs(r - center[0]) <= tolerance[0]
+        && Math.abs(g - center[1]) <= tolerance[1]
+        && Math.abs(b - center[2]) <= tolerance[2] ? 1 : 0;
+    } else {
+      water[i] = (r + g + b) / 3 < GENERIC_MAX_BRIGHTNESS && (g + b) / 2 >= r ? 1 : 0;
+    }
+  }
+  return water;
+};
+
+/**
+ * Ground area (m²) of a set of grid cells
+ */
+export const cellsArea = (cells, grid, geoTransform) => {
+  return cells.reduce((sum, i) => {
+    const gy = Math.floor(i / grid.width);
+    return sum + pixelAreaAt(geoTransform, (gy + 0.5) * grid.cellHeight) * grid.cellWidth * grid.cellHeight;
+  }, 0);
+};
+
+/**
+ * Ground area (m²) of the set cells of a mask
+ */
+const maskArea = (mask, grid, geoTransform) => {
+  const cells = [];
+  mask.forEach((value, i) => {
+    if (value) cells.push(i);
+  });
+  return cellsArea(cells, grid, geoTransform);
+};
+
+/**
+ * Compare open water around a waterbody in two co-registered composites.
+ *
+ * @param {Object} beforeImage - baseline imagery ({ url, geoTransform })
+ * @param {Object} afterImage - current imagery ({ url, geoTransform })
+ * @param {Object} waterbody - GeoJSON Polygon/MultiPolygon feature of the lake
+ * @returns {Promise<Object>} { waterAreaBefore, waterAreaAfter, lostRegions, classifier }
+ */
+export const segmentWaterLoss = async (beforeImage, afterImage, waterbody) => {
+  const geoTransform = afterImage.geoTransform;
+  if (!geoTransform) {
+    throw new Error('Water segmentation needs georeferenced imagery');
+  }
+
+  const grid = {
+    imageWidth: geoTransform.width,
+    imageHeight: geoTransform.height,
+    width: Math.ceil(geoTransform.width / SAMPLE_STRIDE),
+    height: Math.ceil(geoTransform.height / SAMPLE_STRIDE),
+    cellWidth: SAMPLE_STRIDE,
+    cellHeight: SAMPLE_STRIDE
+  };
+
+  const searchZone = turf.buffer(waterbody, SEARCH_BUFFER_M, { units: 'meters' });
+  const core = turf.buffer(waterbody, -CORE_INSET_M, { units: 'meters' }) || waterbody;
+  const zoneMask = rasterizePolygon(searchZone, geoTransform, grid);
+  const coreMask = rasterizePolygon(core, geoTransform, grid);
+
+  const [beforePixels, afterPixels] = await Promise.all([
+    loadImagePixels(beforeImage.url),
+    loadImagePixels(afterImage.url)
+  ]);
+  const beforeRgb = sampleGrid(beforePixels, grid);
+  const afterRgb = sampleGrid(afterPixels, grid);
+
+  // Water found by different rules in the two epochs would show up as change
+  const beforeModel = learnWaterColour(beforeRgb, coreMask);
+  const afterModel = learnWaterColour(afterRgb, coreMask);
+  const calibrated = Boolean(beforeModel && afterModel);
+  const beforeWater = classifyWater(beforeRgb, zoneMask, calibrated ? beforeModel : null);
+  const afterWater = classifyWater(afterRgb, zoneMask, calibrated ? afterModel : null);
+
+  // Water then, not water now; an opening removes speckle and thin shoreline slivers
+  const lost = beforeWater.map((water, i) => (water && !afterWater[i] ? 1 : 0));
+  const cleaned = openMask(lost, grid.width, grid.height);
+  const { labels, components } = labelComponents(cleaned, grid.width, grid.height);
+
+  const lostRegions = components
+    .map(component => ({ ...component, area: cellsArea(component.cells, grid, geoTransform) }))
+    .filter(component => component.area >= MIN_LOST_AREA_M2)
+    .map(component => {
+      const footprint = vectorizeMask({
+        isFilled: (gx, gy) => labels[(component.y0 + gy) * grid.width + component.x0 + gx] === component.label,
+        width: component.x1 - component.x0 + 1,
+        height: component.y1 - component.y0 + 1,
+        toImagePixel: (gx, gy) => ({
+          x: (component.x0 + gx) * grid.cellWidth,
+          y: (component.y0 + gy) * grid.cellHeight
+        }),
+        geoTransform,
+        tolerance: 1,
+        properties: { source: 'water-loss' }
+      });
+      return footprint ? { footprint, area: component.area, cells: component.cells.length } : null;
+    })
+    .filter(Boolean);
+
+  const classifier = calibrated ? 'lake-calibrated colour' : 'generic colour';
+  return {
+    waterAreaBefore: maskArea(beforeWater, grid, geoTransform),
+    waterAreaAfter: maskArea(afterWater, grid, geoTransform),
+    lostRegions,
+    classifier
+  };
+};
@@ -0,0 +1,530 @@
+/**
+ * ML Models
+ * Loading and inference for the UNet and Mask R-CNN models. Runs inside the
+ * inference worker (mlWorker.js); the app talks to it through mlModelService.
+ * Which model files are loaded, and how their input is sized, normalised and
+ * thresholded, comes from the model registry entry each call is given.
+ *
+ * Images are analysed at native resolution in overlapping model-sized
+ * windows (tiledInference.js), a batch of windows per inference call.
+ *
+ * Inference methods take a task context { progress(stage, windows), checkpoint() }:
+ * progress reports the stage reached (with { completed, total } windows while
+ * inferring), checkpoint throws an AbortError once the task was cancelled.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { modelKey, modelUnavailable } from '../services/modelRegistry';
+import { labelComponents } from '../services/binaryMask';
+import { pixelAreaAt } from '../services/geoTransform';
+import { planWindows, createBlender, touchesInnerEdge, nonMaxSuppression } from './tiledInference';
+
+const IDLE_TASK = { progress: () => {}, checkpoint: () => {} };
+
+const concatBytes = (parts) => {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    bytes.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return bytes;
+};
+
+const fetchBytes = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+/**
+ * Fetch a TensorFlow.js model's model.json and weight shards, with the
+ * checksum the registry records: SHA-256 of model.json followed by the
+ * shards in manifest order
+ */
+const fetchModelArtifacts = async (url) => {
+  const modelBytes = await fetchBytes(url);
+  const modelJSON = JSON.parse(new TextDecoder().decode(modelBytes));
+  const groups = modelJSON.weightsManifest || [];
+  const modelDir = new URL('.', new URL(url, self.location.href));
+  const shards = await Promise.all(
+    groups.flatMap(group => group.paths).map(path => fetchBytes(new URL(path, modelDir).href))
+  );
+  const weightData = concatBytes(shards);
+
+  const digest = await crypto.subtle.digest('SHA-256', concatBytes([modelBytes, weightData]));
+  const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+  return {
+    artifacts: tf.io.getModelArtifactsForJSONSync(modelJSON, groups.flatMap(group => group.weights), weightData.buffer),
+    checksum: `sha256:${hex}`
+  };
+};
+
+/**
+ * Scale pixel values, then standardise per channel if the model expects it
+ */
+const normalize = (tensor, { scale = 255, mean = null, std = null } = {}) => {
+  let normalized = tensor.div(scale);
+  if (mean) normalized = normalized.sub(tf.tensor1d(mean));
+  if (std) normalized = normalized.div(tf.tensor1d(std));
+  return normalized;
+};
+
+/**
+ * Sliding-window settings of a registry model: overlap between windows
+ * (pixels) and windows per inference batch
+ */
+const tilingOf = ({ task, inputShape, tiling = {} }) => ({
+  overlap: tiling.overlap ?? Math.round(Math.min(inputShape[0], inputShape[1]) / 8),
+  batchSize: tiling.batchSize ?? (task === 'change-detection' ? 4 : 1)
+});
+
+/**
+ * Model id/version recorded on every detection
+ */
+const describeModel = (spec, placeholder) => ({
+  id: spec.id,
+  version: spec.version,
+  name: spec.name || spec.id,
+  placeholder
+});
+
+/**
+ * Decode an image URL (http(s), data: or blob:) to ImageData on an OffscreenCanvas
+ */
+const decodeImage = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load image (HTTP ${response.status})`);
+  }
+  const bitmap = await createImageBitmap(await response.blob());
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+export class MLModels {
+  constructor() {
+    // Loaded model per task: { key, promise -> { key, spec, model, placeholder, checksumVerified } }
+    this.models = new Map();
+  }
+
+  /**
+   * Load a registry model (see services/modelRegistry.js). A model that
+   * cannot be loaded is replaced by an untrained placeholder unless
+   * `requireModels` is set; a checksum mismatch is always an error.
+   * The loaded model stays cached until another model of its task is loaded.
+   */
+  loadModel(spec, { requireModels = false } = {}) {
+    const key = modelKey(spec);
+    const current = this.models.get(spec.task);
+    if (current?.key === key) return current.promise;
+
+    const promise = this.fetchModel(spec, requireModels).catch(error => {
+      // Allow a retry after fixing the model files
+      if (this.models.get(spec.task)?.promise === promise) this.models.delete(spec.task);
+      throw error;
+    });
+    this.models.set(spec.task, { key, promise });
+    current?.promise.then(entry => entry.model.dispose?.()).catch(() => {});
+    return promise;
+  }
+
+  async fetchModel(spec, requireModels) {
+    const key = modelKey(spec);
+    let artifacts;
+    try {
+      artifacts = await fetchModelArtifacts(spec.url);
+    } catch (error) {
+      if (requireModels) {
+        throw modelUnavailable(`Model ${key} could not be loaded from ${spec.url}: ${error.message}`);
+      }
+      console.warn(`Model ${key} not found, using an untrained placeholder:`, error.message);
+      const model = spec.task === 'change-detection'
+        ? this.createPlaceholderUNet(spec.inputShape)
+        : this.createPlaceholderMaskRCNN();
+      return { key, spec, model, placeholder: true, checksumVerified: false };
+    }
+
+    if (spec.checksum && spec.checksum !== artifacts.checksum) {
+      throw modelUnavailable(`Model ${key} failed its checksum: expected ${spec.checksum}, got ${artifacts.checksum}`);
+    }
+
+    const handler = tf.io.fromMemory(artifacts.artifacts);
+    const model = spec.format === 'graph' ? await tf.loadGraphModel(handler) : await tf.loadLayersModel(handler);
+    console.log(`✅ Model ${key} loaded${spec.checksum ? ' (checksum verified)' : ''}`);
+    return { key, spec, model, placeholder: false, checksumVerified: Boolean(spec.checksum) };
+  }
+
+  /**
+   * Load the active models of every task and report how each one loaded
+   */
+  async loadModels(specs, options) {
+    const entries = await Promise.all(Object.values(specs).map(spec => this.loadModel(spec, options)));
+    return entries.map(({ spec, placeholder, checksumVerified }) => ({
+      ...describeModel(spec, placeholder),
+      task: spec.task,
+      checksumVerified
+    }));
+  }
+
+  /**
+   * Load a model, reporting the stage the first time
+   */
+  async ensureModel(spec, options, task) {
+    if (this.models.get(spec.task)?.key !== modelKey(spec)) {
+      task.progress('loading-models');
+    }
+    const entry = await this.loadModel(spec, options);
+    task.checkpoint();
+    return entry;
+  }
+
+  /**
+   * Model input for one window: the window's pixels at native resolution,
+   * zero-padded to the model size where it runs over the image edge, and
+   * normalised as the model was trained
+   */
+  windowInput(pixels, window, { inputShape, normalization }) {
+    return tf.tidy(() => {
+      const [windowHeight, windowWidth] = inputShape;
+      const crop = tf.slice(pixels, [window.y, window.x, 0], [window.height, window.width, 3]);
+      const padded = tf.pad(crop, [[0, windowHeight - window.height], [0, windowWidth - window.width], [0, 0]]);
+      return normalize(padded.toFloat(), normalization);
+    });
+  }
+
+  /**
+   * Run UNet change detection over overlapping windows at native resolution.
+   * Window predictions are blended into one change probability per image pixel.
+   *
+   * @param {string} beforeUrl - baseline image URL
+   * @param {string} afterUrl - image URL compared against
+   * @param {Object} options - { model: registry entry, requireModels, geoTransform, regionFilter }
+   *   geoTransform: of the images, for ground areas; regionFilter: { minArea, maxArea, maxRegions } (m²)
+   * @returns {Promise<Object>} { maskWidth, maskHeight, regions, regionsFound, confidence: Float32Array, model }
+   */
+  async detectChangesWithUNet(beforeUrl, afterUrl, { model: spec, requireModels, geoTransform, regionFilter }, task = IDLE_TASK) {
+    const { model, placeholder } = await this.ensureModel(spec, { requireModels }, task);
+
+    task.progress('decoding');
+    const [beforeImg, afterImg] = await Promise.all([decodeImage(beforeUrl), decodeImage(afterUrl)]);
+    task.checkpoint();
+
+    const { width, height } = beforeImg;
+    const [windowHeight, windowWidth] = spec.inputShape;
+    const { overlap, batchSize } = tilingOf(spec);
+    const windows = planWindows(width, height, windowWidth, windowHeight, overlap);
+    const blender = createBlender(width, height, windowWidth, windowHeight, overlap);
+
+    // Both composites come from the same tile plan; an odd-sized one is matched to the baseline
+    const beforePixels = tf.browser.fromPixels(beforeImg);
+    const afterPixels = tf.tidy(() => {
+      const pixels = tf.browser.fromPixels(afterImg);
+      return afterImg.width === width && afterImg.height === height
+        ? pixels
+        : tf.image.resizeBilinear(pixels, [height, width]).round().toInt();
+    });
+
+    try {
+      for (let start = 0; start < windows.length; start += batchSize) {
+        task.progress('unet', { completed: start, total: windows.length });
+        const batchWindows = windows.slice(start, start + batchSize);
+        // Stack the two images per window: [batch, h, w, 6]
+        const prediction = tf.tidy(() => model.predict(tf.stack(batchWindows.map(window => tf.concat([
+          this.windowInput(beforePixels, window, spec),
+          this.windowInput(afterPixels, window, spec)
+        ], 2)))));
+
+        try {
+          const data = await prediction.data();
+          batchWindows.forEach((window, i) => blender.add(window, data, i * windowWidth * windowHeight));
+        } finally {
+          prediction.dispose();
+        }
+        task.checkpoint();
+      }
+    } finally {
+      beforePixels.dispose();
+      afterPixels.dispose();
+    }
+
+    task.progress('postprocess');
+    const probabilities = blender.result();
+    const { regions, regionsFound } = this.findChangeRegions(probabilities, width, height, {
+      threshold: spec.thresholds?.change ?? 0.5,
+      scale: { x: 1, y: 1 },
+      geoTransform,
+      regionFilter
+    });
+
+    return {
+      maskWidth: width,
+      maskHeight: height,
+      regions,
+      regionsFound,
+      confidence: probabilities,
+      model: describeModel(spec, placeholder)
+    };
+  }
+
+  /**
+   * Change regions: connected components of the thresholded mask, measured
+   * on the ground, filtered by area and capped at the largest maxRegions.
+   * Each region carries its cells as a mask cropped to its bbox.
+   */
+  findChangeRegions(probabilities, width, height, { threshold, scale, geoTransform, regionFilter }) {
+    const { minArea = 0, maxArea = null, maxRegions = null } = regionFilter || {};
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+      mask[i] = probabilities[i] > threshold ? 1 : 0;
+    }
+
+    const { components } = labelComponents(mask, width, height, {
+      values: probabilities,
+      cellWidth: scale.x,
+      cellHeight: scale.y
+    });
+
+    // Ground area of one mask cell in each mask row
+    const rowArea = Array.from({ length: height }, (_, y) => (
+      pixelAreaAt(geoTransform, (y + 0.5) * scale.y) * scale.x * scale.y
+    ));
+
+    const regions = components
+      .map(component => ({
+        ...component,
+        area: component.cells.reduce((sum, cell) => sum + rowArea[Math.floor(cell / width)], 0)
+      }))
+      .filter(component => component.area >= minArea && (maxArea == null || component.area <= maxArea))
+      .sort((a, b) => b.area - a.area || a.y0 - b.y0 || a.x0 - b.x0)
+      .slice(0, maxRegions ?? undefined)
+      .map((component, id) => {
+        const cropWidth = component.x1 - component.x0 + 1;
+        const cropHeight = component.y1 - component.y0 + 1;
+        const data = new Uint8Array(cropWidth * cropHeight);
+        component.cells.forEach(cell => {
+          const x = cell % width;
+          const y = (cell - x) / width;
+          data[(y - component.y0) * cropWidth + x - component.x0] = 1;
+        });
+
+        const perimeter = component.perimeter * geoTransform.metersPerPixel;
+        return {
+          id,
+          area: component.area,
+          perimeter,
+          // 1 for a disc, lower for elongated or ragged shapes
+          compactness: 4 * Math.PI * component.area / (perimeter * perimeter),
+          meanProbability: component.meanValue,
+          cells: component.cells.length,
+          centroid: { x: component.centroid.x * scale.x, y: component.centroid.y * scale.y },
+          mask: { width: cropWidth, height: cropHeight, data },
+          maskBbox: { x: component.x0, y: component.y0, x2: component.x1, y2: component.y1 },
+          scale,
+          bbox: {
+            x: component.x0 * scale.x,
+            y: component.y0 * scale.y,
+            x2: (component.x1 + 1) * scale.x,
+            y2: (component.y1 + 1) * scale.y
+          }
+        };
+      });
+
+    return { regions, regionsFound: components.length };
+  }
+
+  /**
+   * Run Mask R-CNN building detection over overlapping windows at native
+   * resolution. Buildings found in more than one window are merged by
+   * non-maximum suppression.
+   *
+   * @param {string} imageUrl - image to detect buildings in
+   * @param {Array} changeRegions - UNet change regions; only buildings inside them are kept
+   * @param {Object} options - { model: registry entry, requireModels }
+   * @returns {Promise<Object>} { buildings, maskThreshold, model }
+   */
+  async detectBuildingsWithMaskRCNN(imageUrl, changeRegions = [], { model: spec, requireModels }, task = IDLE_TASK) {
+    const { model, placeholder } = await this.ensureModel(spec, { requireModels }, task);
+
+    task.progress('decoding');
+    const img = await decodeImage(imageUrl);
+    task.checkpoint();
+
+    const [windowHeight, windowWidth] = spec.inputShape;
+    const { overlap, batchSize } = tilingOf(spec);
+    const windows = planWindows(img.width, img.height, windowWidth, windowHeight, overlap);
+    const pixels = tf.browser.fromPixels(img);
+    const detections = [];
+
+    try {
+      for (let start = 0; start < windows.length; start += batchSize) {
+        task.progress('maskrcnn', { completed: start, total: windows.length });
+        const batchWindows = windows.slice(start, start + batchSize);
+        const batched = tf.tidy(() => tf.stack(batchWindows.map(window => this.windowInput(pixels, window, spec))));
+        let predictions = null;
+
+        try {
+          predictions = await model.predict(batched);
+          task.checkpoint();
+          detections.push(...await this.postprocessMaskRCNN(predictions, batchWindows, img, spec));
+        } finally {
+          batched.dispose();
+          tf.dispose(predictions);
+        }
+      }
+    } finally {
+      pixels.dispose();
+    }
+
+    task.progress('postprocess');
+    // A building still `clipped` after suppression was only seen cut by a window edge.
+    // Ids are unique across tiles, epochs and analyses: they become site ids in the register
+    const buildings = nonMaxSuppression(detections, { iouThreshold: spec.thresholds?.nms ?? 0.5 })
+      .map(building => ({ ...building, id: crypto.randomUUID() }));
+
+    return {
+      // Filter buildings in change regions if provided
+      buildings: changeRegions.length > 0
+        ? this.filterBuildingsInChangeRegions(buildings, changeRegions)
+        : buildings,
+      maskThreshold: spec.thresholds?.mask ?? 0.5,
+      model: describeModel(spec, placeholder)
+    };
+  }
+
+  /**
+   * Post-process Mask R-CNN predictions of a batch of windows into image
+   * coordinates. Boxes are relative to the padded window; detections centred
+   * in the padding are dropped, and those cut by an inner window edge are
+   * marked `clipped` for non-maximum suppression.
+   */
+  async postprocessMaskRCNN(predictions, windows, image, { inputShape, thresholds = {}, classLabels = {} }) {
+    // In production, parse actual Mask R-CNN output format
+    // Output typically includes: boxes, scores, masks, classes
+    const buildings = [];
+
+    // For placeholder, return simulated detections
+    // In production, parse actual model output
+    if (Array.isArray(predictions)) {
+      const [boxes, scores, masks, classes] = predictions;
+      const [windowHeight, windowWidth] = inputShape;
+
+      // Read each output back once; per-detection reads would block on the backend
+      const perWindow = boxes.shape[1] || 0;
+      const numDetections = Math.min(perWindow, 100); // Limit to 100 per window
+      const [boxData, scoreData, classData, maskData] = await Promise.all([
+        boxes.data(),
+        scores.data(),
+        classes.data(),
+        masks ? masks.data() : null
+      ]);
+      // Instance masks ([batch, N, h, w]) are relative to the detection box
+      const maskHeight = masks?.shape[2];
+      const maskWidth = masks?.shape[3];
+      const maskSize = maskHeight * maskWidth;
+
+      windows.forEach((window, b) => {
+        for (let i = 0; i < numDetections; i++) {
+          const n = b * perWindow + i;
+          const score = scoreData[n];
+          if (!(score > (thresholds.score ?? 0.5))) continue; // Confidence threshold
+
+          const [x1, y1, x2, y2] = boxData.subarray(n * 4, n * 4 + 4);
+          const bbox = {
+            x: window.x + x1 * windowWidth,
+            y: window.y + y1 * windowHeight,
+            width: (x2 - x1) * windowWidth,
+            height: (y2 - y1) * windowHeight
+          };
+          const centerX = bbox.x + bbox.width / 2 - window.x;
+          const centerY = bbox.y + bbox.height / 2 - window.y;
+          if (centerX >= window.width || centerY >= window.height) continue;
+
+          buildings.push({
+            bbox,
+            mask: maskData
+              ? { data: maskData.slice(n * maskSize, (n + 1) * maskSize), height: maskHeight, width: maskWidth }
+              : null,
+            confidence: score,
+            class: classData[n],
+            label: classLabels[classData[n]] || null,
+            clipped: touchesInnerEdge(bbox, window, image.width, image.height)
+          });
+        }
+      });
+    }
+
+    return buildings;
+  }
+
+  /**
+   * Filter buildings that are in change regions
+   */
+  filterBuildingsInChangeRegions(buildings, changeRegions) {
+    return buildings.filter(building => {
+      const bbox = building.bbox;
+      const centerX = bbox.x + bbox.width / 2;
+      const centerY = bbox.y + bbox.height / 2;
+
+      return changeRegions.some(region => {
+        const r = region.bbox;
+        return centerX >= r.x && centerX <= r.x2 && centerY >= r.y && centerY <= r.y2;
+      });
+    });
+  }
+
+  /**
+   * Create placeholder UNet model (for demo when real model not available)
+   */
+  createPlaceholderUNet(inputShape = [512, 512, 6]) {
+    // Simple sequential model that mimics UNet structure
+    const model = tf.sequential({
+      layers: [
+        tf.layers.conv2d({
+          inputShape,
+          filters: 64,
+          kernelSize: 3,
+          activation: 'relu',
+          padding: 'same'
+        }),
+        tf.layers.conv2d({
+          filters: 32,
+          kernelSize: 3,
+          activation: 'relu',
+          padding: 'same'
+        }),
+        tf.layers.conv2d({
+          filters: 1,
+          kernelSize: 1,
+          activation: 'sigmoid',
+          padding: 'same'
+        })
+      ]
+    });
+
+    return model;
+  }
+
+  /**
+   * Create placeholder Mask R-CNN model
+   */
+  createPlaceholderMaskRCNN() {
+    // Placeholder - in production, use actual Mask R-CNN architecture
+    return {
+      predict: async () => {
+        // Return placeholder predictions
+        return {
+          boxes: tf.zeros([1, 10, 4]),
+          scores: tf.ones([1, 10]).mul(0.8),
+          masks: tf.zeros([1, 10, 28, 28]),
+          classes: tf.ones([1, 10])
+        };
+      }
+    };
+  }
+}
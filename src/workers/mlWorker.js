@@ -0,0 +1,73 @@
+/**
+ * ML Inference Worker
+ * Runs model loading and inference off the main thread.
+ *
+ * Messages in:
+ *   { type: 'run', id, task: 'load' | 'unet' | 'maskrcnn', payload }
+ *   { type: 'cancel', id }
+ * Messages out:
+ *   { type: 'progress', id, stage, windows }
+ *   { type: 'result', id, result }
+ *   { type: 'error', id, error: { name, message } }
+ */
+
+import { MLModels } from './mlModels';
+
+const mlModels = new MLModels();
+const running = new Set();
+const cancelled = new Set();
+
+// Payloads carry the registry entries of the active models (services/modelRegistry.js)
+const TASKS = {
+  load: ({ models, requireModels }) => mlModels.loadModels(models, { requireModels }),
+  unet: ({ beforeUrl, afterUrl, geoTransform, regionFilter, models, requireModels }, task) => (
+    mlModels.detectChangesWithUNet(beforeUrl, afterUrl, {
+      model: models['change-detection'],
+      requireModels,
+      geoTransform,
+      regionFilter
+    }, task)
+  ),
+  maskrcnn: ({ imageUrl, changeRegions, models, requireModels }, task) => (
+    mlModels.detectBuildingsWithMaskRCNN(imageUrl, changeRegions, { model: models['building-detection'], requireModels }, task)
+  )
+};
+
+// Large typed arrays are moved to the main thread rather than copied
+const transferables = (result) => [
+  result?.confidence?.buffer,
+  ...(result?.regions || []).map(region => region.mask?.data.buffer)
+].filter(Boolean);
+
+self.onmessage = async ({ data }) => {
+  const { type, id } = data;
+
+  if (type === 'cancel') {
+    if (running.has(id)) cancelled.add(id);
+    return;
+  }
+
+  const run = TASKS[data.task];
+  if (type !== 'run' || !run) {
+    self.postMessage({ type: 'error', id, error: { name: 'Error', message: `Unknown inference task: ${data.task}` } });
+    return;
+  }
+
+  running.add(id);
+  const task = {
+    progress: (stage, windows = null) => self.postMessage({ type: 'progress', id, stage, windows }),
+    checkpoint: () => {
+      if (cancelled.has(id)) throw new DOMException('Inference cancelled', 'AbortError');
+    }
+  };
+
+  try {
+    const result = await run(data.payload || {}, task);
+    self.postMessage({ type: 'result', id, result }, transferables(result));
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: { name: error.name, message: error.message } });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * Tiled Inference
+ * Sliding-window helpers for running fixed-size models over images of any
+ * size at native resolution: the layout of overlapping windows, blending
+ * of overlapping dense predictions, and non-maximum suppression of
+ * instances detected in more than one window.
+ */
+
+/**
+ * Window offsets along one axis: windows `size - overlap` apart, the last
+ * flush with the far edge (one window when the image is not larger)
+ */
+const windowOffsets = (length, size, overlap) => {
+  if (length <= size) return [0];
+  const stride = Math.max(1, size - overlap);
+  const offsets = [];
+  for (let offset = 0; offset + size < length; offset += stride) {
+    offsets.push(offset);
+  }
+  offsets.push(length - size);
+  return offsets;
+};
+
+/**
+ * Overlapping model-sized windows covering an image, in raster order
+ *
+ * @returns {Array} { x, y, width, height }: the part of each window inside
+ *   the image; windows over the image edge are padded to the model size
+ */
+export const planWindows = (width, height, windowWidth, windowHeight, overlap) => (
+  windowOffsets(height, windowHeight, overlap).flatMap(y =>
+    windowOffsets(width, windowWidth, overlap).map(x => ({
+      x,
+      y,
+      width: Math.min(windowWidth, width - x),
+      height: Math.min(windowHeight, height - y)
+    }))
+  )
+);
+
+/**
+ * Per-pixel weights of a window's predictions: 1 in the middle, ramping
+ * down across the overlap towards the window edges, where a model sees the
+ * least context
+ */
+const blendWeights = (windowWidth, windowHeight, overlap) => {
+  const ramp = (size) => Float32Array.from({ length: size }, (_, i) => (
+    Math.min(1, (i + 1) / (overlap + 1), (size - i) / (overlap + 1))
+  ));
+  const rampX = ramp(windowWidth);
+  const rampY = ramp(windowHeight);
+
+  const weights = new Float32Array(windowWidth * windowHeight);
+  for (let y = 0; y < windowHeight; y++) {
+    for (let x = 0; x < windowWidth; x++) {
+      weights[y * windowWidth + x] = rampY[y] * rampX[x];
+    }
+  }
+  return weights;
+};
+
+/**
+ * Accumulates single-channel window predictions into a full-image map,
+ * as the weighted mean of every window covering each pixel
+ *
+ * @returns {Object} { add(window, data, offset), result(): Float32Array }
+ */
+export const createBlender = (width, height, windowWidth, windowHeight, overlap) => {
+  const weights = blendWeights(windowWidth, windowHeight, overlap);
+  const sum = new Float32Array(width * height);
+  const weightSum = new Float32Array(width * height);
+
+  return {
+    // data holds windowWidth x windowHeight predictions from `offset`; padding is skipped
+    add: (window, data, offset = 0) => {
+      for (let y = 0; y < window.height; y++) {
+        for (let x = 0; x < window.width; x++) {
+          const weight = weights[y * windowWidth + x];
+          const i = (window.y + y) * width + window.x + x;
+          sum[i] += data[offset + y * windowWidth + x] * weight;
+          weightSum[i] += weight;
+        }
+      }
+    },
+    result: () => sum.map((value, i) => (weightSum[i] > 0 ? value / weightSum[i] : 0))
+  };
+};
+
+/**
+ * Whether a detection box touches a window edge that lies inside the image,
+ * i.e. the instance may continue into the neighbouring window
+ */
+export const touchesInnerEdge = (bbox, window, imageWidth, imageHeight, margin = 2) => (
+  (window.x > 0 && bbox.x - window.x <= margin) ||
+  (window.y > 0 && bbox.y - window.y <= margin) ||
+  (window.x + window.width < imageWidth && window.x + window.width - (bbox.x + bbox.width) <= margin) ||
+  (window.y + window.height < imageHeight && window.y + window.height - (bbox.y + bbox.height) <= margin)
+);
+
+const boxArea = ({ width, height }) => Math.max(0, width) * Math.max(0, height);
+
+const intersectionArea = (a, b) => boxArea({
+  width: Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x),
+  height: Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y)
+});
+
+/**
+ * Non-maximum suppression of detections from overlapping windows.
+ * Whole instances (not cut by a window edge) win over cut ones, then higher
+ * confidence. A detection is dropped when it overlaps a kept one by more
+ * than `iouThreshold` (intersection over union), or lies mostly inside it
+ * (`containmentThreshold` of the smaller box), as a cut-off part of an
+ * instance seen whole in another window does.
+ *
+ * @param {Array} detections - { bbox: { x, y, width, height }, confidence, clipped }
+ */
+export const nonMaxSuppression = (detections, { iouThreshold = 0.5, containmentThreshold = 0.8 } = {}) => {
+  const ranked = [...detections].sort((a, b) => (
+    Number(Boolean(a.clipped)) - Number(Boolean(b.clipped)) || b.confidence - a.confidence
+  ));
+
+  return ranked.reduce((kept, detection) => {
+    const duplicate = kept.some(other => {
+      const intersection = intersectionArea(detection.bbox, other.bbox);
+      if (intersection === 0) return false;
+      const union = boxArea(detection.bbox) + boxArea(other.bbox) - intersection;
+      const smaller = Math.min(boxArea(detection.bbox), boxArea(other.bbox));
+      return intersection / union > iouThreshold || intersection / smaller > containmentThreshold;
+    });
+    return duplicate ? kept : [...kept, detection];
+  }, []);
+};
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planWindows, nonMaxSuppression } from './tiledInference.js';
+
+const box = (x, y, width, height) => ({ x, y, width, height });
+
+test('planWindows uses one window for an image no larger than the model', () => {
+  assert.deepEqual(planWindows(200, 100, 256, 256, 32), [box(0, 0, 200, 100)]);
+});
+
+test('planWindows overlaps windows and keeps the last flush with the edge', () => {
+  const windows = planWindows(600, 256, 256, 256, 32);
+  assert.deepEqual(windows.map(({ x }) => x), [0, 224, 344]);
+  assert.ok(windows.every(window => window.width === 256 && window.height === 256 && window.y === 0));
+});
+
+test('planWindows covers every pixel, in raster order', () => {
+  const width = 700;
+  const height = 500;
+  const windows = planWindows(width, height, 256, 256, 64);
+
+  const covered = new Uint8Array(width * height);
+  windows.forEach(window => {
+    assert.ok(window.x + window.width <= width && window.y + window.height <= height);
+    for (let y = window.y; y < window.y + window.height; y++) {
+      covered.fill(1, y * width + window.x, y * width + window.x + window.width);
+    }
+  });
+  assert.ok(covered.every(Boolean));
+
+  const order = windows.map(({ x, y }) => [y, x]);
+  const sorted = [...order].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  assert.deepEqual(order, sorted);
+});
+
+test('nonMaxSuppression keeps the more confident of two overlapping detections', () => {
+  const weak = { bbox: box(0, 0, 10, 10), confidence: 0.6 };
+  const strong = { bbox: box(1, 1, 10, 10), confidence: 0.9 };
+  assert.deepEqual(nonMaxSuppression([weak, strong]), [strong]);
+});
+
+test('nonMaxSuppression keeps detections that barely overlap', () => {
+  const detections = [
+    { bbox: box(0, 0, 10, 10), confidence: 0.9 },
+    { bbox: box(8, 0, 10, 10), confidence: 0.8 },
+    { bbox: box(50, 50, 10, 10), confidence: 0.7 }
+  ];
+  assert.equal(nonMaxSuppression(detections).length, 3);
+});
+
+test('nonMaxSuppression prefers a whole instance over a more confident clipped one', () => {
+  const whole = { bbox: box(0, 0, 20, 20), confidence: 0.7, clipped: false };
+  const clipped = { bbox: box(10, 0, 10, 20), confidence: 0.95, clipped: true };
+  assert.deepEqual(nonMaxSuppression([clipped, whole]), [whole]);
+});
+
+test('nonMaxSuppression drops a part lying mostly inside a kept detection', () => {
+  // IoU is only 0.25 here, but the smaller box lies entirely inside the larger
+  const whole = { bbox: box(0, 0, 20, 20), confidence: 0.8 };
+  const part = { bbox: box(0, 0, 10, 10), confidence: 0.75 };
+  assert.deepEqual(nonMaxSuppression([whole, part]), [whole]);
+  assert.equal(nonMaxSuppression([whole, part], { containmentThreshold: 1 }).length, 2);
+});
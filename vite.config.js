@@ -4,4 +4,14 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The ML inference worker is an ES module (see src/services/mlModelService.js)
+  worker: {
+    format: 'es',
+  },
+  server: {
+    proxy: {
+      // Shared site register (see server/index.js)
+      '/api': 'http://localhost:3001',
+    },
+  },
 })